@@ -0,0 +1,36 @@
+/**
+ * ABI Value Formatting
+ * Shared helpers that turn ethers decode results into plain, JSON-serializable values.
+ */
+
+// ethers returns bigint and Result proxies; tuples become objects keyed by component name
+function toPlainValue(value, paramType) {
+  if (typeof value === "bigint") return value.toString();
+
+  if (paramType && paramType.isTuple && paramType.isTuple()) {
+    return Object.fromEntries(
+      paramType.components.map((component, i) => [component.name || `field${i}`, toPlainValue(value[i], component)])
+    );
+  }
+
+  if (Array.isArray(value)) {
+    const child = paramType && paramType.isArray && paramType.isArray() ? paramType.arrayChildren : null;
+    return Array.from(value, (item) => toPlainValue(item, child));
+  }
+
+  return value;
+}
+
+/**
+ * Pairs each fragment input with its decoded value.
+ * @returns {Array<{name: string, type: string, value: *}>}
+ */
+function formatArgs(fragment, values) {
+  return fragment.inputs.map((input, i) => ({
+    name: input.name || `arg${i}`,
+    type: input.format ? input.format("sighash") : input.type,
+    value: toPlainValue(values[i], input),
+  }));
+}
+
+module.exports = { toPlainValue, formatArgs };
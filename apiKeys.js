@@ -0,0 +1,247 @@
+/**
+ * API Keys
+ * Keys for the API's clients, issued and revoked through the admin routes.
+ * Each key has a per-minute request limit and optional daily token and cost
+ * quotas; model usage is counted per UTC day. Keys are kept as one JSON file
+ * each, holding only the SHA-256 of the secret, which is shown once on issue.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger: defaultLogger } = require("./logger");
+
+const DEFAULT_KEYS_DIR = path.join(process.cwd(), "data", "keys");
+const DEFAULT_RATE_LIMIT = 60;
+const SECRET_PREFIX = "dfa_";
+const RATE_WINDOW_MS = 60000;
+const USAGE_DAYS_KEPT = 90;
+
+const ID_PATTERN = /^key_[0-9a-f]{16}$/;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex");
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+const emptyUsage = () => ({ diagnoses: 0, followUps: 0, requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+// Seconds until the daily counters start over
+function secondsToUtcMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+/**
+ * Constant-time comparison of a presented secret with an expected one (both hashed
+ * first, so their lengths don't leak either).
+ */
+function secretsMatch(presented, expected) {
+  if (!presented || !expected) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(presented), "hex"), Buffer.from(hashSecret(expected), "hex"));
+}
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+/**
+ * Creates a key store.
+ * @param {object} [config]
+ * @param {string} [config.dir] - Where key files are kept (default ./data/keys)
+ * @param {object} [config.defaults] - Limits for keys issued without their own:
+ *        rateLimitPerMinute (default 60), dailyTokenQuota and dailyCostQuotaUsd (default unlimited)
+ * @param {object} [config.logger]
+ * @returns Store with issue / revoke / list / get / authenticate / checkRate / quotaExceeded / recordUsage / usage
+ */
+function createApiKeyStore(config = {}) {
+  const dir = config.dir || DEFAULT_KEYS_DIR;
+  const defaults = {
+    rateLimitPerMinute: DEFAULT_RATE_LIMIT,
+    dailyTokenQuota: null,
+    dailyCostQuotaUsd: null,
+    ...config.defaults,
+  };
+
+  const keys = new Map();
+  const byHash = new Map();
+  const requestTimes = new Map(); // key id -> request timestamps of the last minute
+
+  const log = config.logger || defaultLogger;
+
+  // A key file that doesn't parse is logged and skipped: the server still starts,
+  // and the key is refused until its file is repaired (or the key is issued again)
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json"))) {
+      let key;
+      try {
+        key = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (!ID_PATTERN.test(key.id) || typeof key.secretHash !== "string") throw new Error("not an API key file");
+      } catch (err) {
+        log.error("apiKey.skipped", { file, error: `${err.message}; the key is refused until the file is repaired` });
+        continue;
+      }
+      keys.set(key.id, { usage: {}, ...key });
+      byHash.set(key.secretHash, keys.get(key.id));
+    }
+  }
+
+  function save(key) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${key.id}.json`);
+    // Write-then-rename so a crash never leaves a truncated key file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(key, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Everything but the secret's hash and the daily counters
+  function view(key) {
+    const { secretHash, usage, ...rest } = key;
+    return { ...rest, today: { date: utcDay(), ...emptyUsage(), ...usage[utcDay()] } };
+  }
+
+  /**
+   * Issues a key.
+   * @param {object} fields - name, and optionally rateLimitPerMinute, dailyTokenQuota, dailyCostQuotaUsd
+   * @returns {{ key: object, secret: string }} The secret is not stored and cannot be shown again
+   */
+  function issue(fields) {
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const key = {
+      id: `key_${crypto.randomBytes(8).toString("hex")}`,
+      name: fields.name,
+      secretPrefix: secret.slice(0, SECRET_PREFIX.length + 4),
+      secretHash: hashSecret(secret),
+      rateLimitPerMinute: fields.rateLimitPerMinute || defaults.rateLimitPerMinute,
+      dailyTokenQuota: fields.dailyTokenQuota || defaults.dailyTokenQuota,
+      dailyCostQuotaUsd: fields.dailyCostQuotaUsd !== undefined ? fields.dailyCostQuotaUsd : defaults.dailyCostQuotaUsd,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      usage: {},
+    };
+    keys.set(key.id, key);
+    byHash.set(key.secretHash, key);
+    save(key);
+    return { key: view(key), secret };
+  }
+
+  /**
+   * Revokes a key; it stays listed (with its usage) but no longer authenticates.
+   * @returns {object|null} The key, or null if unknown
+   */
+  function revoke(id) {
+    const key = ID_PATTERN.test(id) ? keys.get(id) : null;
+    if (!key) return null;
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      save(key);
+    }
+    return view(key);
+  }
+
+  function get(id) {
+    const key = keys.get(id);
+    return key ? view(key) : null;
+  }
+
+  function list() {
+    return [...keys.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(view);
+  }
+
+  /**
+   * The active key with this secret.
+   * @returns {object|null}
+   */
+  function authenticate(secret) {
+    if (typeof secret !== "string" || !secret.startsWith(SECRET_PREFIX)) return null;
+    const key = byHash.get(hashSecret(secret));
+    return key && !key.revokedAt ? view(key) : null;
+  }
+
+  // ─── Limits ─────────────────────────────────────────────────────────────────
+  /**
+   * Counts one request against the key's per-minute limit (sliding window, in memory).
+   * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfterSeconds: number }}
+   */
+  function checkRate(id) {
+    const key = keys.get(id);
+    const now = Date.now();
+    const recent = (requestTimes.get(id) || []).filter((time) => time > now - RATE_WINDOW_MS);
+    const limit = key.rateLimitPerMinute;
+
+    if (recent.length >= limit) {
+      requestTimes.set(id, recent);
+      return { allowed: false, limit, remaining: 0, retryAfterSeconds: Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000) };
+    }
+    recent.push(now);
+    requestTimes.set(id, recent);
+    return { allowed: true, limit, remaining: limit - recent.length, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Why the key may not start another model run today, or null if it may. Checked
+   * before a run, so the run that crosses a quota still completes.
+   * @returns {string|null}
+   */
+  function quotaExceeded(id) {
+    const key = keys.get(id);
+    if (!key || key.revokedAt) return "API key is revoked";
+    const today = { ...emptyUsage(), ...key.usage[utcDay()] };
+    if (key.dailyTokenQuota && today.inputTokens + today.outputTokens >= key.dailyTokenQuota) {
+      return `Daily token quota of ${key.dailyTokenQuota} used up for API key '${key.name}'`;
+    }
+    if (key.dailyCostQuotaUsd !== null && today.costUsd >= key.dailyCostQuotaUsd) {
+      return `Daily cost quota of $${key.dailyCostQuotaUsd} used up for API key '${key.name}'`;
+    }
+    return null;
+  }
+
+  /**
+   * Adds a diagnosis' or follow-up's `usage` (from agent.js) to today's counters.
+   * Runs on models without a price add tokens only.
+   * @param {string} [kind] - "diagnosis" or "followUp", the run counted
+   */
+  function recordUsage(id, usage, kind = "diagnosis") {
+    const key = keys.get(id);
+    if (!key || !usage) return;
+
+    const date = utcDay();
+    const today = { ...emptyUsage(), ...key.usage[date] };
+    if (kind === "followUp") today.followUps += 1;
+    else today.diagnoses += 1;
+    today.requests += usage.requests || 0;
+    today.inputTokens += usage.inputTokens || 0;
+    today.outputTokens += usage.outputTokens || 0;
+    today.costUsd = Math.round((today.costUsd + (usage.costUsd || 0)) * 1e6) / 1e6;
+    key.usage[date] = today;
+
+    const oldest = utcDay(Date.now() - USAGE_DAYS_KEPT * 86400000);
+    Object.keys(key.usage)
+      .filter((day) => day < oldest)
+      .forEach((day) => delete key.usage[day]);
+    save(key);
+  }
+
+  /**
+   * Daily usage of every key (or one) over the last `days` UTC days, newest first.
+   * @returns {Array<{ id, name, revokedAt, totals, days: Array<{ date, diagnoses, followUps, requests, inputTokens, outputTokens, costUsd }> }>}
+   */
+  function usage({ keyId, days = 7 } = {}) {
+    const dates = Array.from({ length: days }, (_, i) => utcDay(Date.now() - i * 86400000));
+    return [...keys.values()]
+      .filter((key) => !keyId || key.id === keyId)
+      .map((key) => {
+        const daily = dates.map((date) => ({ date, ...emptyUsage(), ...key.usage[date] }));
+        const totals = daily.reduce((sum, day) => {
+          Object.keys(sum).forEach((field) => (sum[field] += day[field]));
+          return sum;
+        }, emptyUsage());
+        totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+        return { id: key.id, name: key.name, revokedAt: key.revokedAt, totals, days: daily };
+      });
+  }
+
+  return { issue, revoke, get, list, authenticate, checkRate, quotaExceeded, recordUsage, usage };
+}
+
+module.exports = {
+  createApiKeyStore,
+  secretsMatch,
+  secondsToUtcMidnight,
+  DEFAULT_KEYS_DIR,
+};
@@ -0,0 +1,120 @@
+/**
+ * Call Trace Analyzer
+ * Walks `debug_traceTransaction` callTracer output to find the innermost
+ * reverting frame and renders a compact call tree for the prompt.
+ */
+
+const { decodeRevertData } = require("./revertDecoder");
+const { decodeCalldata } = require("./calldataDecoder");
+
+const MAX_TREE_LINES = 40;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function toDecimal(value) {
+  if (value === undefined || value === null || value === "") return null;
+  try {
+    return BigInt(value).toString();
+  } catch {
+    return String(value);
+  }
+}
+
+function shortAddress(address) {
+  if (typeof address !== "string" || address.length < 12) return address || "?";
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function describeFrame(frame, depth, abis) {
+  const decodedInput = decodeCalldata(frame.input, abis);
+  const decodedRevert = frame.error ? decodeRevertData(frame.output, abis) : null;
+
+  return {
+    depth,
+    type: frame.type || "CALL",
+    from: frame.from || null,
+    to: frame.to || null,
+    functionName: (decodedInput && decodedInput.name) || (decodedInput && decodedInput.selector) || null,
+    gas: toDecimal(frame.gas),
+    gasUsed: toDecimal(frame.gasUsed),
+    value: toDecimal(frame.value),
+    error: frame.error || null,
+    revertReason: frame.revertReason || (decodedRevert && decodedRevert.reason) || null,
+    revertData: frame.error && frame.output && frame.output !== "0x" ? frame.output : null,
+    decodedRevert,
+  };
+}
+
+/**
+ * Follows errored children down to the deepest frame that reverted.
+ * A frame whose own callees all succeeded is where the revert originated.
+ * @returns {Array<{frame: object, depth: number}>} Path from the root to the failing frame
+ */
+function findFailingPath(root) {
+  if (!root || !root.error) return [];
+
+  const path = [{ frame: root, depth: 0 }];
+  let current = root;
+  for (;;) {
+    const failedChildren = (current.calls || []).filter((c) => c.error);
+    if (failedChildren.length === 0) break;
+    // The last failing callee is the one whose revert bubbled up
+    current = failedChildren[failedChildren.length - 1];
+    path.push({ frame: current, depth: path.length });
+  }
+  return path;
+}
+
+function renderTree(root, failingFrames, abis) {
+  const lines = [];
+
+  function walk(frame, depth) {
+    if (lines.length >= MAX_TREE_LINES) return;
+    const info = describeFrame(frame, depth, abis);
+    let marker = " ";
+    if (failingFrames.has(frame)) {
+      // "↳" for frames that only bubbled a callee's revert, "✗" for where it originated
+      marker = (frame.calls || []).some((c) => failingFrames.has(c)) ? "↳" : "✗";
+    }
+    const status = info.error ? ` [${info.revertReason || info.error}]` : "";
+    lines.push(`${"  ".repeat(depth)}${marker} ${info.type} ${shortAddress(info.to)}::${info.functionName || "?"} gas=${info.gasUsed || "?"}${status}`);
+    (frame.calls || []).forEach((child) => walk(child, depth + 1));
+  }
+
+  walk(root, 0);
+  if (lines.length >= MAX_TREE_LINES) lines.push(`… (truncated after ${MAX_TREE_LINES} frames)`);
+  return lines.join("\n");
+}
+
+function countFrames(frame) {
+  return 1 + (frame.calls || []).reduce((sum, child) => sum + countFrames(child), 0);
+}
+
+// ─── Analyzer ─────────────────────────────────────────────────────────────────
+/**
+ * Analyzes a callTracer result.
+ * @param {object} trace - Root call frame from `debug_traceTransaction` with `{ tracer: "callTracer" }`
+ * @param {Array} [abis] - Extra ABIs for decoding frame inputs and revert payloads
+ * @returns {object|null} { failingFrame, failingPath, tree, frameCount }
+ */
+function analyzeCallTrace(trace, abis = []) {
+  if (!trace || typeof trace !== "object") return null;
+
+  const path = findFailingPath(trace);
+  const failingFrames = new Set(path.map((p) => p.frame));
+  const failing = path[path.length - 1];
+
+  return {
+    failingFrame: failing ? describeFrame(failing.frame, failing.depth, abis) : null,
+    failingPath: path.map((p) => {
+      const info = describeFrame(p.frame, p.depth, abis);
+      return `${shortAddress(info.to)}::${info.functionName || "?"}`;
+    }),
+    tree: renderTree(trace, failingFrames, abis),
+    frameCount: countFrames(trace),
+  };
+}
+
+module.exports = {
+  analyzeCallTrace,
+  findFailingPath,
+};
@@ -0,0 +1,172 @@
+/**
+ * Calldata Decoder
+ * Resolves the 4-byte function selector against a local signature database
+ * (plus optional user-supplied ABIs) and decodes the call arguments.
+ */
+
+const { Interface } = require("ethers");
+const { formatArgs } = require("./abiFormat");
+
+// ─── Local Signature Database ─────────────────────────────────────────────────
+const KNOWN_FUNCTIONS = [
+  // ERC20 / WETH
+  "function approve(address spender, uint256 amount)",
+  "function transfer(address to, uint256 amount)",
+  "function transferFrom(address from, address to, uint256 amount)",
+  "function deposit() payable",
+  "function withdraw(uint256 wad)",
+
+  // Uniswap V2 Router
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+  "function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable",
+  "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+  "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+  "function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable",
+  "function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)",
+
+  // Uniswap V3 SwapRouter / SwapRouter02
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable",
+  "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable",
+  "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable",
+  "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable",
+  "function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable",
+  "function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable",
+  "function multicall(uint256 deadline, bytes[] data) payable",
+  "function multicall(bytes[] data) payable",
+
+  // Uniswap Universal Router
+  "function execute(bytes commands, bytes[] inputs, uint256 deadline) payable",
+  "function execute(bytes commands, bytes[] inputs) payable",
+
+  // Aave V2 / V3 Pool
+  "function deposit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)",
+  "function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)",
+  "function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)",
+  "function repay(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf)",
+  "function withdraw(address asset, uint256 amount, address to)",
+  "function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)",
+
+  // Compound cTokens
+  "function mint(uint256 mintAmount)",
+  "function redeem(uint256 redeemTokens)",
+  "function redeemUnderlying(uint256 redeemAmount)",
+  "function borrow(uint256 borrowAmount)",
+  "function repayBorrow(uint256 repayAmount)",
+
+  // Curve pools
+  "function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)",
+  "function exchange_underlying(int128 i, int128 j, uint256 dx, uint256 min_dy)",
+
+  // Smart accounts: ERC-4337 (SimpleAccount, ERC-7579) and Safe
+  "function execute(address dest, uint256 value, bytes func)",
+  "function executeBatch(address[] dest, bytes[] func)",
+  "function executeBatch(address[] dest, uint256[] value, bytes[] func)",
+  "function execute(bytes32 mode, bytes executionCalldata) payable",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)",
+];
+
+const knownInterface = new Interface(KNOWN_FUNCTIONS);
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function normalizeCalldata(inputData) {
+  if (typeof inputData !== "string") return null;
+  const match = inputData.trim().match(/^0x([0-9a-fA-F]*)/);
+  if (!match || match[1].length < 8) return null;
+  // Keep whole bytes only; truncated demo strings like "0x18cbafe5...." still yield a selector
+  const hex = match[1].slice(0, match[1].length - (match[1].length % 2));
+  return "0x" + hex.toLowerCase();
+}
+
+function findFunction(iface, selector) {
+  try {
+    return iface.getFunction(selector);
+  } catch {
+    return null;
+  }
+}
+
+// Flattens top-level args (and struct params) into a name → value map
+function flattenParams(args) {
+  const params = {};
+  for (const arg of args) {
+    if (arg.value && typeof arg.value === "object" && !Array.isArray(arg.value)) {
+      Object.assign(params, arg.value);
+    } else {
+      params[arg.name] = arg.value;
+    }
+  }
+  return params;
+}
+
+// ─── Decoder ──────────────────────────────────────────────────────────────────
+/**
+ * Finds the function fragment for calldata's selector.
+ * @param {string} inputData - Hex calldata
+ * @param {Array} [abis] - Extra contract ABIs, checked before the local database
+ * @returns {{iface: Interface, fragment: FunctionFragment, data: string}|null} Null if the selector is unknown
+ */
+function resolveFunction(inputData, abis = []) {
+  const data = normalizeCalldata(inputData);
+  if (!data) return null;
+
+  const selector = data.slice(0, 10);
+  for (const iface of [...abis.map((abi) => new Interface(abi)), knownInterface]) {
+    const fragment = findFunction(iface, selector);
+    if (fragment) return { iface, fragment, data };
+  }
+  return null;
+}
+
+/**
+ * Decodes transaction calldata.
+ * @param {string} inputData - Hex calldata (selector + ABI-encoded args)
+ * @param {Array} [abis] - Extra contract ABIs (JSON or human-readable), checked before the local database
+ * @returns {object|null} { selector, name, signature, args, params, complete }
+ */
+function decodeCalldata(inputData, abis = []) {
+  const data = normalizeCalldata(inputData);
+  if (!data) return null;
+
+  const selector = data.slice(0, 10);
+  const resolved = resolveFunction(data, abis);
+  if (!resolved) return { selector, name: null, signature: null, args: [], params: {}, complete: false };
+
+  const { iface, fragment } = resolved;
+  let args = [];
+  let complete = true;
+  try {
+    args = formatArgs(fragment, iface.decodeFunctionData(fragment, data));
+  } catch {
+    // Selector is known but the arguments are missing or truncated
+    complete = false;
+  }
+
+  return {
+    selector,
+    name: fragment.name,
+    signature: fragment.format("sighash"),
+    args,
+    params: flattenParams(args),
+    complete,
+  };
+}
+
+/**
+ * Convenience wrapper: decode `txData.inputData` using `txData.abi` when provided.
+ */
+function decodeTxInput(txData) {
+  return decodeCalldata(txData.inputData, txData.abi ? [txData.abi] : []);
+}
+
+module.exports = {
+  resolveFunction,
+  decodeCalldata,
+  decodeTxInput,
+  KNOWN_FUNCTIONS,
+};
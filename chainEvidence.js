@@ -0,0 +1,267 @@
+/**
+ * On-chain Evidence Tools
+ * Read-only lookups the model can call during analysis (ERC20 allowance,
+ * balance and decimals, paused(), owner(), pool reserves, account nonce) so
+ * the diagnosis rests on state read from a node instead of on
+ * `additionalContext` taken on faith.
+ *
+ * Reads run against the block before the failing transaction's block when
+ * `blockNumber` is known (the same state replayTransaction uses), otherwise
+ * against "latest". Point the endpoint at an archive node or a local anvil
+ * fork (`anvil --fork-url <rpc> --fork-block-number <n>`).
+ */
+
+const { Interface, isAddress, formatUnits } = require("ethers");
+const { rpcRequest } = require("./rpc");
+const { validateAgainstSchema } = require("./diagnosisReport");
+const { sanitizeUntrusted } = require("./promptSafety");
+const { getNetwork, formatNative } = require("./networks");
+
+const READ_INTERFACE = new Interface([
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function paused() view returns (bool)",
+  "function owner() view returns (address)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  // Only the leading slot0 fields; forks differ in the trailing ones
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick)",
+  "function liquidity() view returns (uint128)",
+]);
+
+const MAX_LOOKUPS = 20; // Per diagnosis, across all turns
+
+// ─── Tool Definitions ─────────────────────────────────────────────────────────
+const address = (description) => ({ type: "string", description });
+
+const EVIDENCE_TOOLS = [
+  {
+    name: "get_erc20_allowance",
+    description: "Read how many tokens `spender` may transfer from `owner` (ERC20 allowance) before the failing transaction.",
+    input_schema: {
+      type: "object",
+      properties: {
+        token: address("ERC20 token contract address"),
+        owner: address("Token holder, usually the transaction sender"),
+        spender: address("Approved contract, usually the router or protocol called"),
+      },
+      required: ["token", "owner", "spender"],
+    },
+  },
+  {
+    name: "get_erc20_balance",
+    description: "Read an account's ERC20 token balance before the failing transaction.",
+    input_schema: {
+      type: "object",
+      properties: { token: address("ERC20 token contract address"), account: address("Account to check") },
+      required: ["token", "account"],
+    },
+  },
+  {
+    name: "get_erc20_decimals",
+    description: "Read an ERC20 token's decimals and symbol, to convert raw amounts.",
+    input_schema: {
+      type: "object",
+      properties: { token: address("ERC20 token contract address") },
+      required: ["token"],
+    },
+  },
+  {
+    name: "get_paused",
+    description: "Call paused() on a contract to check whether it was paused.",
+    input_schema: {
+      type: "object",
+      properties: { contract: address("Contract address") },
+      required: ["contract"],
+    },
+  },
+  {
+    name: "get_owner",
+    description: "Call owner() on a contract to see which account holds owner privileges.",
+    input_schema: {
+      type: "object",
+      properties: { contract: address("Contract address") },
+      required: ["contract"],
+    },
+  },
+  {
+    name: "get_pool_reserves",
+    description:
+      "Read a liquidity pool's state: token0/token1 and reserves for Uniswap V2-style pairs, or sqrtPriceX96, tick and liquidity for V3-style pools.",
+    input_schema: {
+      type: "object",
+      properties: { pool: address("Pair or pool contract address") },
+      required: ["pool"],
+    },
+  },
+  {
+    name: "get_account_state",
+    description: "Read an account's nonce, native-currency balance and whether it has contract code.",
+    input_schema: {
+      type: "object",
+      properties: { account: address("Account address") },
+      required: ["account"],
+    },
+  },
+];
+
+const EVIDENCE_TOOL_NAMES = EVIDENCE_TOOLS.map((tool) => tool.name);
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function validateInput(tool, input) {
+  const errors = validateAgainstSchema(input, tool.input_schema);
+  Object.keys(tool.input_schema.properties).forEach((key) => {
+    if (typeof input[key] === "string" && !isAddress(input[key])) errors.push(`$.${key} must be a 0x-prefixed 20-byte address`);
+  });
+  return errors;
+}
+
+// One line per lookup, for prompts, reports and logs
+function describeEvidence(entry) {
+  const args = Object.values(entry.input).join(", ");
+  const outcome = entry.error
+    ? `failed (${entry.error})`
+    : Object.entries(entry.result)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(", ");
+  const block = entry.block === "latest" ? "latest block" : `block ${Number(entry.block)}`;
+  return `${entry.tool}(${args}) @ ${block}: ${outcome}`;
+}
+
+// ─── Collector ────────────────────────────────────────────────────────────────
+/**
+ * Creates the executor for one diagnosis. Every lookup, successful or not, is
+ * appended to `log` as { tool, input, block, result | error }.
+ * @param {object} config
+ * @param {string} config.rpcUrl - JSON-RPC endpoint
+ * @param {number|string} [config.blockNumber] - Block of the failing transaction
+ * @param {number} [config.chainId] - Expected chain; lookups fail if the endpoint serves another
+ */
+function createEvidenceCollector({ rpcUrl, blockNumber, chainId }) {
+  const block = blockNumber !== undefined && blockNumber !== null ? "0x" + (BigInt(blockNumber) - 1n).toString(16) : "latest";
+  const log = [];
+  const tokenCache = new Map();
+  let chainChecked = null;
+
+  async function read(to, fn, args = []) {
+    const data = READ_INTERFACE.encodeFunctionData(fn, args);
+    const result = await rpcRequest(rpcUrl, "eth_call", [{ to, data }, block]);
+    if (!result || result === "0x") throw new Error(`${fn}() returned no data (not implemented, or not a contract)`);
+    return READ_INTERFACE.decodeFunctionResult(fn, result);
+  }
+
+  // decimals/symbol are optional in ERC20; a failure just leaves amounts raw
+  function tokenInfo(token) {
+    const key = token.toLowerCase();
+    if (!tokenCache.has(key)) {
+      tokenCache.set(
+        key,
+        Promise.all([
+          read(token, "decimals").then(([d]) => Number(d), () => null),
+          read(token, "symbol").then(([s]) => sanitizeUntrusted(s, 20), () => null),
+        ]).then(([decimals, symbol]) => ({ decimals, symbol }))
+      );
+    }
+    return tokenCache.get(key);
+  }
+
+  async function amount(token, raw) {
+    const { decimals, symbol } = await tokenInfo(token);
+    const result = { raw: raw.toString() };
+    if (decimals !== null) result.formatted = `${formatUnits(raw, decimals)}${symbol ? ` ${symbol}` : ""}`;
+    return result;
+  }
+
+  const handlers = {
+    async get_erc20_allowance({ token, owner, spender }) {
+      const [allowance] = await read(token, "allowance", [owner, spender]);
+      return amount(token, allowance);
+    },
+    async get_erc20_balance({ token, account }) {
+      const [balance] = await read(token, "balanceOf", [account]);
+      return amount(token, balance);
+    },
+    async get_erc20_decimals({ token }) {
+      const { decimals, symbol } = await tokenInfo(token);
+      if (decimals === null) throw new Error("decimals() returned no data");
+      return { decimals, symbol };
+    },
+    async get_paused({ contract }) {
+      const [paused] = await read(contract, "paused");
+      return { paused };
+    },
+    async get_owner({ contract }) {
+      const [owner] = await read(contract, "owner");
+      return { owner };
+    },
+    async get_pool_reserves({ pool }) {
+      const [token0, token1] = await Promise.all([read(pool, "token0"), read(pool, "token1")]).then((r) => r.map(([t]) => t));
+      try {
+        const [reserve0, reserve1] = await read(pool, "getReserves");
+        return { type: "v2", token0, token1, reserve0: reserve0.toString(), reserve1: reserve1.toString() };
+      } catch {
+        const [[sqrtPriceX96, tick], [liquidity]] = await Promise.all([read(pool, "slot0"), read(pool, "liquidity")]);
+        return { type: "v3", token0, token1, sqrtPriceX96: sqrtPriceX96.toString(), tick: Number(tick), liquidity: liquidity.toString() };
+      }
+    },
+    async get_account_state({ account }) {
+      const [nonce, balance, code] = await Promise.all([
+        rpcRequest(rpcUrl, "eth_getTransactionCount", [account, block]),
+        rpcRequest(rpcUrl, "eth_getBalance", [account, block]),
+        rpcRequest(rpcUrl, "eth_getCode", [account, block]),
+      ]);
+      return { nonce: Number(nonce), balance: formatNative(BigInt(balance), getNetwork(chainId)), isContract: Boolean(code && code !== "0x") };
+    },
+  };
+
+  // Reads from the wrong chain would be confidently wrong evidence
+  async function checkChain() {
+    if (!chainId) return;
+    if (!chainChecked) chainChecked = rpcRequest(rpcUrl, "eth_chainId").then(Number);
+    const served = await chainChecked;
+    if (served !== Number(chainId)) throw new Error(`RPC endpoint serves chain ${served}, transaction is on chain ${chainId}`);
+  }
+
+  /**
+   * Runs one lookup and logs it.
+   * @returns {Promise<object>} The log entry
+   */
+  async function execute(name, input) {
+    const entry = { tool: name, input, block };
+    log.push(entry);
+    try {
+      const tool = EVIDENCE_TOOLS.find((t) => t.name === name);
+      if (!tool) throw new Error(`Unknown evidence tool ${name}`);
+      if (log.length > MAX_LOOKUPS) throw new Error(`Lookup limit of ${MAX_LOOKUPS} reached; diagnose with the evidence gathered so far`);
+      const errors = validateInput(tool, input);
+      if (errors.length) throw new Error(errors.join("; "));
+      await checkChain();
+      entry.result = await handlers[name](input);
+    } catch (err) {
+      entry.error = err.message;
+    }
+    return entry;
+  }
+
+  return { execute, log, block };
+}
+
+/**
+ * Answers a tool_use block with the tool_result for its log entry.
+ */
+function evidenceToolResult(toolUse, entry) {
+  return entry.error
+    ? { type: "tool_result", tool_use_id: toolUse.id, is_error: true, content: entry.error }
+    : { type: "tool_result", tool_use_id: toolUse.id, content: JSON.stringify({ block: entry.block, ...entry.result }) };
+}
+
+module.exports = {
+  EVIDENCE_TOOLS,
+  EVIDENCE_TOOL_NAMES,
+  createEvidenceCollector,
+  evidenceToolResult,
+  describeEvidence,
+};
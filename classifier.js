@@ -0,0 +1,223 @@
+/**
+ * Error Classifier
+ * Scores every error category against the transaction, weighting revert
+ * reasons over generic node error text and combining string matches with
+ * decoded revert data, protocol knowledge packs, gas and calldata signals. Returns a ranked list with
+ * the evidence behind each score.
+ */
+
+const { decodeTxRevert } = require("./revertDecoder");
+const { decodeTxInput } = require("./calldataDecoder");
+const { findFailingPath } = require("./callTrace");
+const { ERROR_PATTERNS } = require("./errorPatterns");
+const { matchKnowledge } = require("./knowledgePacks");
+const { analyzeGas } = require("./gasAnalyzer");
+
+// ─── Weights ──────────────────────────────────────────────────────────────────
+// How much a pattern match counts depending on which field it came from
+const SOURCE_WEIGHTS = {
+  decodedRevert: 1.0,
+  revertReason: 1.0,
+  errorMessage: 0.6,
+  error: 0.5,
+};
+
+const SINGLE_WORD_WEIGHT = 0.5; // Bare words like "slippage" match loosely
+const PHRASE_WEIGHT = 1.0;
+const CATCH_ALL_FACTOR = 0.3; // REVERT_NO_REASON only wins when nothing else matches
+const DECODED_ERROR_WEIGHT = 2.0; // Panic codes / known custom errors are authoritative
+const GAS_EXHAUSTED_WEIGHT = 0.8;
+const TRANSFER_GAS_LIMIT_WEIGHT = 0.6;
+const DEADLINE_PASSED_WEIGHT = 1.5;
+const KNOWLEDGE_WEIGHT = 1.5; // Exact protocol error code from a knowledge pack
+const KNOWLEDGE_PROTOCOL_BONUS = 0.5; // ...raised by the contract itself
+
+const UNKNOWN_CATEGORY = { key: "UNKNOWN", category: "Unknown Error", patterns: [] };
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+// "INSUFFICIENT_OUTPUT_AMOUNT" and "insufficient output amount" should match alike
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/_/g, " ");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function patternRegExp(pattern) {
+  return new RegExp(`(?<![a-z0-9])${escapeRegExp(normalizeText(pattern))}(?![a-z0-9])`, "g");
+}
+
+// Without top-level revert data, fall back to the payload of the innermost reverting trace frame
+function withTraceRevertData(txData) {
+  if (txData.revertData || !txData.trace) return txData;
+  const path = findFailingPath(txData.trace);
+  const innermost = path.length ? path[path.length - 1].frame : null;
+  if (!innermost || !innermost.output || innermost.output === "0x") return txData;
+  return { ...txData, revertData: innermost.output };
+}
+
+// A swap deadline (unix seconds) earlier than the tx timestamp is a definite DEADLINE failure
+function isDeadlineExpired(decodedInput, timestamp) {
+  if (!decodedInput || !decodedInput.complete || decodedInput.params.deadline === undefined) return false;
+  const minedAt = Date.parse(timestamp);
+  if (Number.isNaN(minedAt)) return false;
+  return Number(decodedInput.params.deadline) < minedAt / 1000;
+}
+
+function collectTextSources(txData, decodedRevert) {
+  const candidates = [
+    ["decodedRevert", decodedRevert && decodedRevert.type !== "Unknown" ? decodedRevert.reason : null],
+    ["revertReason", txData.revertReason],
+    ["errorMessage", txData.errorMessage],
+    ["error", txData.error],
+  ];
+
+  const seen = new Set();
+  return candidates
+    .filter(([, text]) => typeof text === "string" && text.trim())
+    .map(([source, text]) => ({ source, text: normalizeText(text) }))
+    .filter(({ text }) => {
+      // The same string in two fields shouldn't count twice
+      if (seen.has(text)) return false;
+      seen.add(text);
+      return true;
+    });
+}
+
+/**
+ * Finds every pattern match in a text, dropping matches whose span is
+ * contained in a longer match ("allowance" inside "gas required exceeds allowance").
+ */
+function matchPatterns(text) {
+  const matches = [];
+  for (const [key, value] of Object.entries(ERROR_PATTERNS)) {
+    for (const pattern of value.patterns) {
+      for (const m of text.matchAll(patternRegExp(pattern))) {
+        matches.push({ key, pattern, start: m.index, end: m.index + m[0].length });
+      }
+    }
+  }
+
+  return matches.filter(
+    (m) =>
+      !matches.some(
+        (other) => other !== m && other.start <= m.start && other.end >= m.end && other.end - other.start > m.end - m.start
+      )
+  );
+}
+
+function gasSignals(txData) {
+  const signals = [];
+  const gas = analyzeGas(txData);
+
+  if (gas.outOfGas) {
+    signals.push({ key: "OUT_OF_GAS", source: "gas", match: `gasUsed == gasLimit (${gas.gasLimit})`, weight: GAS_EXHAUSTED_WEIGHT });
+  }
+
+  if (gas.transferLimitOnContractCall) {
+    signals.push({
+      key: "OUT_OF_GAS",
+      source: "gas",
+      match: `${gas.gasLimit} gas limit (plain transfer) on a contract call`,
+      weight: TRANSFER_GAS_LIMIT_WEIGHT,
+    });
+  }
+
+  return signals;
+}
+
+function confidenceFor(score, totalScore) {
+  // Strength of the evidence times its margin over the other candidates
+  const strength = 1 - Math.exp(-score);
+  const share = totalScore > 0 ? score / totalScore : 0;
+  return Math.round(strength * share * 100) / 100;
+}
+
+// ─── Classifier ───────────────────────────────────────────────────────────────
+/**
+ * Scores every category.
+ * @returns {Array<{key, category, score, confidence, evidence}>} Sorted by score, best first
+ */
+function classifyTransaction(txData) {
+  const decodedRevert = decodeTxRevert(withTraceRevertData(txData));
+  const evidence = [];
+
+  if (decodedRevert && decodedRevert.errorKey) {
+    evidence.push({
+      key: decodedRevert.errorKey,
+      source: "decodedRevert",
+      match: decodedRevert.signature || decodedRevert.selector,
+      weight: DECODED_ERROR_WEIGHT,
+    });
+  }
+
+  for (const match of matchKnowledge(txData, decodedRevert)) {
+    evidence.push({
+      key: match.category,
+      source: "knowledgePack",
+      match: `${match.protocol} ${match.name || match.code}${match.details ? ` ${match.details}` : ""}`,
+      weight: KNOWLEDGE_WEIGHT + (match.protocolMatched ? KNOWLEDGE_PROTOCOL_BONUS : 0),
+    });
+  }
+
+  for (const { source, text } of collectTextSources(txData, decodedRevert)) {
+    for (const m of matchPatterns(text)) {
+      const specificity = m.pattern.trim().includes(" ") ? PHRASE_WEIGHT : SINGLE_WORD_WEIGHT;
+      evidence.push({ key: m.key, source, match: m.pattern, weight: SOURCE_WEIGHTS[source] * specificity });
+    }
+  }
+
+  evidence.push(...gasSignals(txData));
+
+  if (isDeadlineExpired(decodeTxInput(txData), txData.timestamp)) {
+    evidence.push({ key: "DEADLINE", source: "calldata", match: "deadline earlier than block timestamp", weight: DEADLINE_PASSED_WEIGHT });
+  }
+
+  const scores = {};
+  for (const item of evidence) {
+    if (!scores[item.key]) scores[item.key] = { score: 0, evidence: [] };
+    scores[item.key].evidence.push(item);
+    scores[item.key].score += item.weight * (ERROR_PATTERNS[item.key].catchAll ? CATCH_ALL_FACTOR : 1);
+  }
+
+  const totalScore = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
+
+  return Object.entries(scores)
+    .map(([key, { score, evidence: items }]) => ({
+      key,
+      category: ERROR_PATTERNS[key].category,
+      score: Math.round(score * 100) / 100,
+      confidence: confidenceFor(score, totalScore),
+      evidence: items.map(({ source, match, weight }) => ({ source, match, weight })),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Best-scoring category, with its confidence, evidence and the runner-up categories.
+ * @returns {{key, category, patterns, confidence, evidence, alternatives}}
+ */
+function detectErrorCategory(txData) {
+  const ranked = classifyTransaction(txData);
+  if (ranked.length === 0) {
+    return { ...UNKNOWN_CATEGORY, confidence: 0, evidence: [], alternatives: [] };
+  }
+
+  const [top, ...rest] = ranked;
+  return {
+    key: top.key,
+    category: top.category,
+    patterns: ERROR_PATTERNS[top.key].patterns,
+    confidence: top.confidence,
+    evidence: top.evidence,
+    alternatives: rest.map(({ key, category, score, confidence }) => ({ key, category, score, confidence })),
+  };
+}
+
+module.exports = {
+  ERROR_PATTERNS,
+  classifyTransaction,
+  detectErrorCategory,
+  withTraceRevertData,
+};
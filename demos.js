@@ -0,0 +1,195 @@
+/**
+ * Demo Transactions
+ * Sample failed transactions, one per common failure, used by the CLI's
+ * `--demo` and `--batch` and by the web UI through `GET /demos`. Each is a
+ * valid `POST /diagnose` body, so the UI can send it to the server unchanged.
+ */
+
+const DEMOS = [
+  {
+    id: "out-of-gas",
+    title: "Out of Gas",
+    icon: "⛽",
+    transaction: {
+      hash: "0x1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b",
+      network: "Ethereum Mainnet",
+      chainId: 1,
+      from: "0x5b3d0e3a4f1c7e8d9a2b6c4f0e1d3a5b7c9e2f40",
+      to: "0x7a250d5630b4cf539739df2c5dacb4c659f2488d",
+      contractName: "Uniswap V2 Router",
+      functionName: "swapExactTokensForETH",
+      gasUsed: "21000",
+      gasLimit: "21000",
+      gasPrice: "30 Gwei",
+      value: "0",
+      nonce: "42",
+      error: "out of gas",
+      revertReason: "Transaction ran out of gas",
+      inputData: "0x18cbafe5....",
+      timestamp: "2024-01-15T10:23:45Z",
+      additionalContext: {
+        tokenIn: "USDC",
+        tokenOut: "ETH",
+        amountIn: "1000 USDC",
+        estimatedGas: "150000",
+        actualGasLimit: "21000",
+      },
+    },
+  },
+  {
+    id: "slippage",
+    title: "Slippage",
+    icon: "📉",
+    transaction: {
+      hash: "0x9f8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c3b2a1f0e9d8c7b6a5f4e3d2c1b0a9f8e",
+      network: "Ethereum Mainnet",
+      chainId: 1,
+      from: "0x4c6e8a0b2d4f6a8c0e2b4d6f8a0c2e4b6d8f0a13",
+      to: "0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45",
+      contractName: "Uniswap V3 Router",
+      functionName: "exactInputSingle",
+      gasUsed: "98543",
+      gasLimit: "200000",
+      gasPrice: "25 Gwei",
+      value: "1.5",
+      nonce: "7",
+      error: "execution reverted",
+      revertReason: "Too little received",
+      inputData: "0x04e45aaf....",
+      timestamp: "2024-01-15T11:45:00Z",
+      additionalContext: {
+        tokenIn: "ETH",
+        tokenOut: "PEPE",
+        amountIn: "1.5 ETH",
+        slippageTolerance: "0.1%",
+        priceImpact: "8.5%",
+        poolLiquidity: "Low",
+      },
+    },
+  },
+  {
+    id: "allowance",
+    title: "Allowance",
+    icon: "🔒",
+    transaction: {
+      hash: "0x3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d",
+      network: "Polygon",
+      chainId: 137,
+      from: "0x7e9a1c3e5a7c9e1b3d5f7a9c1e3b5d7f9a1c3e57",
+      to: "0x794a61358d6845594f94dc1db02a252b5b4814ad",
+      contractName: "Aave V3 Lending Pool",
+      functionName: "supply",
+      gasUsed: "45231",
+      gasLimit: "300000",
+      gasPrice: "100 Gwei",
+      value: "0",
+      nonce: "156",
+      error: "execution reverted",
+      revertReason: "ERC20: transfer amount exceeds allowance",
+      inputData: "0x617ba037....",
+      timestamp: "2024-01-15T14:20:30Z",
+      additionalContext: {
+        token: "USDT",
+        attemptedAmount: "5000 USDT",
+        currentAllowance: "0 USDT",
+        spender: "Aave V3 Pool",
+      },
+    },
+  },
+  {
+    id: "paused",
+    title: "Paused Contract",
+    icon: "⏸",
+    transaction: {
+      hash: "0x7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c",
+      network: "Arbitrum",
+      chainId: 42161,
+      from: "0x2a4c6e8a0c2e4a6c8e0a2c4e6a8c0e2a4c6e8a02",
+      to: "0x9c2e4a6c8e0a2c4e6a8c0e2a4c6e8a0c2e4a6c81",
+      contractName: "Compound Finance",
+      functionName: "mint",
+      gasUsed: "31000",
+      gasLimit: "250000",
+      gasPrice: "0.1 Gwei",
+      value: "0",
+      nonce: "89",
+      error: "execution reverted",
+      revertReason: "Pausable: paused",
+      inputData: "0xa0712d68....",
+      timestamp: "2024-01-15T16:55:10Z",
+      additionalContext: {
+        reason: "Emergency pause triggered due to oracle manipulation",
+        pausedAt: "2024-01-15T16:40:00Z",
+        governance: "Multi-sig",
+      },
+    },
+  },
+  {
+    id: "access",
+    title: "Access Control",
+    icon: "🚫",
+    transaction: {
+      hash: "0x4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f",
+      network: "Ethereum Mainnet",
+      chainId: 1,
+      from: "0x3b5d7f9b1d3f5b7d9f1b3d5f7b9d1f3b5d7f9b19",
+      to: "0x6d8f0b2d4f6b8d0f2b4d6f8b0d2f4b6d8f0b2d46",
+      contractName: "Yearn Vault",
+      functionName: "setEmergencyShutdown",
+      gasUsed: "22000",
+      gasLimit: "100000",
+      gasPrice: "20 Gwei",
+      value: "0",
+      nonce: "3",
+      error: "execution reverted",
+      revertReason: "Ownable: caller is not the owner",
+      timestamp: "2024-01-15T18:02:11Z",
+      additionalContext: {
+        owner: "Yearn governance multisig",
+        action: "Emergency shutdown",
+      },
+    },
+  },
+  {
+    id: "balance",
+    title: "Insufficient Balance",
+    icon: "💸",
+    transaction: {
+      hash: "0xb1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2",
+      network: "BSC",
+      chainId: 56,
+      from: "0x8e0a2c4e6a8c0e2a4c6e8a0c2e4a6c8e0a2c4e6b",
+      to: "0x10ed43c718714eb63d5aa57b78b54704e256024e",
+      contractName: "PancakeSwap Router",
+      functionName: "swapExactTokensForTokens",
+      gasUsed: "0",
+      gasLimit: "250000",
+      gasPrice: "5 Gwei",
+      value: "0",
+      nonce: "201",
+      error: "execution reverted",
+      revertReason: "BEP20: transfer amount exceeds balance",
+      inputData: "0x38ed1739....",
+      timestamp: "2024-01-15T19:30:00Z",
+      additionalContext: {
+        tokenIn: "CAKE",
+        attemptedAmount: "50000 CAKE",
+        walletBalance: "1200 CAKE",
+      },
+    },
+  },
+];
+
+/**
+ * A demo's transaction by id.
+ * @returns {object|null}
+ */
+function demoTransaction(id) {
+  const demo = DEMOS.find((d) => d.id === id);
+  return demo ? demo.transaction : null;
+}
+
+module.exports = {
+  DEMOS,
+  demoTransaction,
+};
@@ -0,0 +1,179 @@
+/**
+ * Structured Diagnosis Report
+ * JSON schemas the model fills in via tool use, a small validator for them,
+ * and the markdown views derived from a validated report.
+ */
+
+const SEVERITIES = ["Low", "Medium", "High", "Critical"];
+const CONFIDENCE_LEVELS = ["High", "Medium", "Low"];
+
+// ─── Schemas ──────────────────────────────────────────────────────────────────
+const DIAGNOSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    rootCause: { type: "string", description: "One sentence summary of why the transaction failed" },
+    explanation: { type: "string", description: "2-3 sentences explaining what happened technically" },
+    userExplanation: { type: "string", description: "Plain-English explanation for a non-technical user" },
+    fixSteps: { type: "array", items: { type: "string" }, minItems: 1, description: "Concrete steps to resolve the issue, in order" },
+    preventionTips: { type: "array", items: { type: "string" }, description: "How to avoid this in the future" },
+    severity: { type: "string", enum: SEVERITIES },
+    evidence: {
+      type: "array",
+      items: { type: "string" },
+      description: "On-chain facts read with the lookup tools that support this diagnosis, each with the value read",
+    },
+  },
+  required: ["rootCause", "explanation", "userExplanation", "fixSteps", "preventionTips", "severity"],
+};
+
+const RISK_SCHEMA = {
+  type: "object",
+  properties: {
+    fundsLost: { type: "boolean", description: "True if any ETH/tokens beyond the gas fee were lost" },
+    fundsLostDetails: { type: "string", description: "What was lost (gas fees, tokens) and roughly how much" },
+    securityConcerns: { type: "array", items: { type: "string" }, description: "Security concerns, empty if none" },
+    confidence: { type: "string", enum: CONFIDENCE_LEVELS },
+    confidenceReason: { type: "string", description: "Why this confidence level was chosen" },
+  },
+  required: ["fundsLost", "securityConcerns", "confidence"],
+};
+
+const REPORT_SCHEMA = {
+  type: "object",
+  properties: { ...DIAGNOSIS_SCHEMA.properties, ...RISK_SCHEMA.properties },
+  required: [...DIAGNOSIS_SCHEMA.required, ...RISK_SCHEMA.required],
+};
+
+// Tool definitions passed to the Messages API; tool_choice forces the model to fill them in
+const DIAGNOSIS_TOOL = {
+  name: "record_diagnosis",
+  description: "Record the structured diagnosis of the failed transaction.",
+  input_schema: DIAGNOSIS_SCHEMA,
+};
+
+const RISK_TOOL = {
+  name: "record_risk_assessment",
+  description: "Record the structured risk assessment of the failed transaction.",
+  input_schema: RISK_SCHEMA,
+};
+
+// The quick pipeline's single turn records both at once
+const REPORT_TOOL = {
+  name: "record_report",
+  description: "Record the structured diagnosis and risk assessment of the failed transaction.",
+  input_schema: REPORT_SCHEMA,
+};
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+/**
+ * Validates a value against the subset of JSON Schema used above
+ * (object, array, string, boolean, enum, required, minItems).
+ * @returns {string[]} Human-readable errors; empty when valid
+ */
+function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+
+  switch (schema.type) {
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+      });
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+      break;
+
+    case "string":
+      if (typeof value !== "string") return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${path} must be a boolean`);
+      break;
+  }
+
+  return errors;
+}
+
+function validateReport(report) {
+  return validateAgainstSchema(report, REPORT_SCHEMA);
+}
+
+// ─── Markdown Views ───────────────────────────────────────────────────────────
+function renderDiagnosisMarkdown(report) {
+  return [
+    "## Root Cause",
+    report.rootCause,
+    "",
+    "## Detailed Explanation",
+    report.explanation,
+    "",
+    "## User-Friendly Explanation",
+    report.userExplanation,
+    "",
+    "## Fix Recommendations",
+    ...report.fixSteps.map((step, i) => `${i + 1}. ${step}`),
+    "",
+    "## Prevention Tips",
+    ...(report.preventionTips.length ? report.preventionTips.map((tip) => `- ${tip}`) : ["- None"]),
+    "",
+    ...(report.evidence && report.evidence.length ? ["## On-chain Evidence", ...report.evidence.map((e) => `- ${e}`), ""] : []),
+    `**Severity**: ${report.severity}`,
+  ].join("\n");
+}
+
+function renderRiskMarkdown(report) {
+  const lost = report.fundsLost ? "Yes" : "No (only gas fees are spent on a failed transaction)";
+  return [
+    "## Funds Lost",
+    report.fundsLostDetails ? `${lost} — ${report.fundsLostDetails}` : lost,
+    "",
+    "## Security Concerns",
+    ...(report.securityConcerns.length ? report.securityConcerns.map((c) => `- ${c}`) : ["- None identified"]),
+    "",
+    "## Confidence",
+    report.confidenceReason ? `**${report.confidence}** — ${report.confidenceReason}` : `**${report.confidence}**`,
+  ].join("\n");
+}
+
+// Review and custom pipeline sections: text as is, tool answers as JSON
+function sectionTitle(name) {
+  if (name === "review") return "Second Opinion";
+  return name.replace(/[A-Z]/g, (c) => ` ${c}`).replace(/^./, (c) => c.toUpperCase());
+}
+
+function renderSectionMarkdown(name, content) {
+  const body = typeof content === "string" ? content : `\`\`\`json\n${JSON.stringify(content, null, 2)}\n\`\`\``;
+  return `# ${sectionTitle(name)}\n${body}`;
+}
+
+module.exports = {
+  SEVERITIES,
+  CONFIDENCE_LEVELS,
+  DIAGNOSIS_SCHEMA,
+  RISK_SCHEMA,
+  REPORT_SCHEMA,
+  DIAGNOSIS_TOOL,
+  RISK_TOOL,
+  REPORT_TOOL,
+  validateAgainstSchema,
+  validateReport,
+  renderDiagnosisMarkdown,
+  renderRiskMarkdown,
+  renderSectionMarkdown,
+  sectionTitle,
+};
@@ -0,0 +1,297 @@
+/**
+ * Diagnosis Store
+ * Keeps every finished diagnosis, with its conversation, as one JSON file so
+ * it can be listed, shared, continued with follow-up questions and served
+ * again: a repeat of the same input (same fingerprint) returns the stored
+ * result instead of running the pipeline again, unless `force` is set. Each
+ * record keeps the API key that asked for it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { diagnoseTxFailure } = require("./agent");
+const { getProvider } = require("./providers");
+const { resolvePipeline } = require("./pipeline");
+const { logger: defaultLogger } = require("./logger");
+
+const DEFAULT_DIAGNOSES_DIR = path.join(process.cwd(), "data", "diagnoses");
+
+// Ids are generated here; anything else could name a file outside the store
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// ─── Fingerprint ──────────────────────────────────────────────────────────────
+// JSON with sorted keys, so key order doesn't change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of everything that shapes a diagnosis: the transaction data, the
+ * provider and model, the pipeline, whether lookups or a retry transaction
+ * were asked for, and the API key that asked (a key is only answered from its
+ * own diagnoses). The RPC endpoint itself is left out (it often carries an API key).
+ */
+function fingerprint(txData, options = {}) {
+  const provider = getProvider(options.provider);
+  const rpcUrl = options.rpcUrl || process.env.EVIDENCE_RPC_URL;
+  const pipeline = resolvePipeline(options.pipeline);
+  // The default pipeline is left out, so diagnoses stored before pipelines keep matching
+  const isDefault = canonicalJson(pipeline) === canonicalJson(resolvePipeline());
+  return crypto
+    .createHash("sha256")
+    .update(
+      canonicalJson({
+        txData,
+        provider: provider.name,
+        model: provider.model || pipeline.model,
+        pipeline: isDefault ? undefined : pipeline,
+        evidence: Boolean(rpcUrl) && options.evidence !== false,
+        retry: options.retry || false,
+        // Left out without a key, so diagnoses stored before keys keep matching
+        apiKeyId: options.apiKeyId || undefined,
+      })
+    )
+    .digest("hex");
+}
+
+// ─── Records ──────────────────────────────────────────────────────────────────
+// The parts of a diagnoseTxFailure result worth keeping (transactionContext lives in the conversation)
+function storedResult(result) {
+  return {
+    hash: result.transactionContext.hash,
+    errorCategory: result.errorCategory,
+    gasAnalysis: result.gasAnalysis,
+    smartAccount: result.smartAccount,
+    report: result.report,
+    provider: result.provider,
+    model: result.model,
+    pipeline: result.pipeline,
+    usage: result.usage,
+    requestId: result.requestId,
+    durationMs: result.durationMs,
+    diagnosis: result.diagnosis,
+    codeFix: result.codeFix,
+    riskAssessment: result.riskAssessment,
+    sections: result.sections,
+    skippedTurns: result.skippedTurns,
+    conversationTurns: result.conversationTurns,
+    evidence: result.evidence,
+    retryTransaction: result.retryTransaction,
+    safety: result.safety,
+  };
+}
+
+function summarize(record) {
+  return {
+    id: record.id,
+    hash: record.hash,
+    fingerprint: record.fingerprint,
+    apiKeyId: record.apiKeyId || null,
+    provider: record.provider,
+    model: record.model,
+    depth: record.pipeline ? record.pipeline.depth : "standard",
+    category: record.errorCategory.key,
+    severity: record.report.severity,
+    followUps: record.followUps.length,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+/**
+ * A stored record in diagnoseTxFailure's result shape, plus `diagnosisId`,
+ * `diagnosedAt` and `cached`. Records from before pipelines ran the standard three turns.
+ */
+function toResult(record, cached) {
+  const { id, createdAt, fingerprint: _, followUps, conversation, ...fields } = record;
+  return {
+    sections: {},
+    skippedTurns: [],
+    conversationTurns: 3,
+    ...fields,
+    transactionContext: conversation.transactionContext,
+    conversation,
+    diagnosisId: id,
+    diagnosedAt: createdAt,
+    cached,
+  };
+}
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+/**
+ * Creates a store.
+ * @param {object} [config]
+ * @param {string} [config.dir] - Where diagnosis files are kept (default ./data/diagnoses)
+ * @param {Function} [config.diagnose] - (txData, options) => result; defaults to diagnoseTxFailure
+ * @param {object} [config.logger]
+ * @returns Store with diagnose / save / get / getByHash / list / addFollowUp
+ */
+function createDiagnosisStore(config = {}) {
+  const dir = config.dir || DEFAULT_DIAGNOSES_DIR;
+  const runDiagnosis = config.diagnose || diagnoseTxFailure;
+  const log = config.logger || defaultLogger;
+
+  let index = null; // id -> summary, read from disk on first use
+  const inFlight = new Map(); // fingerprint -> promise, so simultaneous repeats share one run
+
+  // A file that doesn't parse (truncated, edited by hand) is logged and treated as missing
+  function read(file) {
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      return { record, summary: summarize(record) };
+    } catch (err) {
+      log.error("diagnosis.skipped", { file, error: err.message });
+      return null;
+    }
+  }
+
+  function summaries() {
+    if (!index) {
+      index = new Map();
+      if (fs.existsSync(dir)) {
+        fs.readdirSync(dir)
+          .filter((file) => file.endsWith(".json"))
+          .map(read)
+          .filter(Boolean)
+          .forEach(({ record, summary }) => index.set(record.id, summary));
+      }
+    }
+    return index;
+  }
+
+  function write(record) {
+    record.updatedAt = new Date().toISOString();
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${record.id}.json`);
+    // Write-then-rename so a crash never leaves a truncated file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record));
+    fs.renameSync(`${file}.tmp`, file);
+    summaries().set(record.id, summarize(record));
+  }
+
+  /**
+   * Stores a diagnoseTxFailure result.
+   * @param {string} [inputFingerprint] - fingerprint() of the input, for cache hits
+   * @param {string} [apiKeyId] - The API key that asked for the diagnosis
+   * @returns {object} The stored record, with its new `id`
+   */
+  function save(result, inputFingerprint = null, apiKeyId = null) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      fingerprint: inputFingerprint,
+      apiKeyId,
+      createdAt: now,
+      updatedAt: now,
+      ...storedResult(result),
+      conversation: result.conversation,
+      followUps: [],
+    };
+    write(record);
+    return record;
+  }
+
+  /**
+   * @returns {object|null} The record, or null for an unknown or malformed id or an unreadable file
+   */
+  function get(id) {
+    if (!ID_PATTERN.test(id || "")) return null;
+    if (!fs.existsSync(path.join(dir, `${id}.json`))) return null;
+    const stored = read(`${id}.json`);
+    return stored && stored.record;
+  }
+
+  /**
+   * Diagnoses, newest first, without their conversations.
+   * @param {object} [filter]
+   * @param {string} [filter.hash] - Only diagnoses of this transaction
+   * @param {string|null} [filter.apiKeyId] - Only diagnoses of this API key (null: made without one)
+   * @param {number} [filter.limit]
+   */
+  function list({ hash, apiKeyId, limit } = {}) {
+    const all = [...summaries().values()]
+      .filter((s) => !hash || s.hash.toLowerCase() === hash.toLowerCase())
+      .filter((s) => apiKeyId === undefined || s.apiKeyId === apiKeyId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return limit ? all.slice(0, limit) : all;
+  }
+
+  /**
+   * @param {object} [filter] - `apiKeyId`, as for list
+   * @returns {object|null} The newest diagnosis of a transaction hash
+   */
+  function getByHash(hash, { apiKeyId } = {}) {
+    if (!TX_HASH_PATTERN.test(hash || "")) return null;
+    const [latest] = list({ hash, apiKeyId, limit: 1 });
+    return latest ? get(latest.id) : null;
+  }
+
+  function findByFingerprint(inputFingerprint) {
+    const match = list().find((s) => s.fingerprint === inputFingerprint);
+    return match ? get(match.id) : null;
+  }
+
+  /**
+   * Diagnoses through the store: identical input returns the stored result
+   * (`cached: true`) unless `options.force`; otherwise the diagnosis is run and saved.
+   * @returns {Promise<object>} A diagnoseTxFailure result with diagnosisId, diagnosedAt and cached
+   */
+  async function diagnose(txData, options = {}) {
+    // Resolved once, so a bad config throws before anything runs
+    options = { ...options, pipeline: resolvePipeline(options.pipeline) };
+    const key = fingerprint(txData, options);
+    if (!options.force) {
+      const stored = findByFingerprint(key);
+      if (stored) return toResult(stored, true);
+      if (inFlight.has(key)) return toResult(await inFlight.get(key), true);
+    }
+
+    const run = Promise.resolve(runDiagnosis(txData, options)).then((result) => save(result, key, options.apiKeyId || null));
+    inFlight.set(key, run);
+    try {
+      return toResult(await run, false);
+    } finally {
+      if (inFlight.get(key) === run) inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Records an askFollowUp exchange and replaces the stored conversation.
+   * @returns {object|null} The follow-up entry, or null if the diagnosis is unknown
+   */
+  function addFollowUp(id, question, followUp) {
+    const record = get(id);
+    if (!record) return null;
+
+    const entry = {
+      question,
+      answer: followUp.answer,
+      provider: followUp.provider,
+      usage: followUp.usage,
+      evidence: followUp.evidence,
+      safety: followUp.safety,
+      askedAt: new Date().toISOString(),
+    };
+    record.followUps.push(entry);
+    record.conversation = followUp.conversation;
+    write(record);
+    return entry;
+  }
+
+  return { diagnose, save, get, getByHash, list, addFollowUp };
+}
+
+module.exports = {
+  createDiagnosisStore,
+  fingerprint,
+  DEFAULT_DIAGNOSES_DIR,
+};
@@ -0,0 +1,115 @@
+/**
+ * Error Pattern Library
+ * Category definitions shared by the classifier and the protocol knowledge packs.
+ * Patterns are matched case-insensitively on whole words; underscores count as spaces.
+ * Prefer phrases: a bare word like "allowance", "paused" or "deadline" also turns up in
+ * unrelated errors ("gas required exceeds allowance", "unpause failed: not paused").
+ */
+
+// ─── Error Pattern Library ────────────────────────────────────────────────────
+const ERROR_PATTERNS = {
+  OUT_OF_GAS: {
+    patterns: ["out of gas", "gas required exceeds allowance", "intrinsic gas too low"],
+    category: "Gas Error",
+  },
+  REVERT_NO_REASON: {
+    patterns: ["execution reverted", "transaction reverted"],
+    category: "Execution Revert",
+    catchAll: true,
+  },
+  SLIPPAGE: {
+    patterns: ["insufficient output amount", "excessive input amount", "too little received", "too much requested", "UniswapV2: K", "slippage"],
+    category: "Slippage Error",
+  },
+  ALLOWANCE: {
+    patterns: ["insufficient allowance", "amount exceeds allowance", "allowance too low", "erc20: insufficient allowance"],
+    category: "Allowance Error",
+  },
+  BALANCE: {
+    patterns: ["insufficient balance", "transfer amount exceeds balance", "erc20: transfer amount exceeds balance"],
+    category: "Balance Error",
+  },
+  DEADLINE: {
+    patterns: ["transaction too old", "transaction expired", "deadline expired", "expired deadline", "deadline passed", "deadline exceeded"],
+    category: "Deadline Error",
+  },
+  REENTRANCY: {
+    patterns: ["reentrant call", "reentrancy guard"],
+    category: "Reentrancy Guard",
+  },
+  OWNERSHIP: {
+    patterns: ["ownable: caller is not the owner", "not authorized", "access denied", "onlyowner"],
+    category: "Access Control Error",
+  },
+  PAUSED: {
+    patterns: ["is paused", "contract is paused", "pausable: paused", "when not paused"],
+    category: "Contract Paused",
+  },
+  NONCE: {
+    patterns: ["nonce too low", "nonce too high", "replacement transaction underpriced", "invalid account nonce"],
+    category: "Nonce Error",
+  },
+  ARITHMETIC: {
+    patterns: ["arithmetic underflow or overflow", "arithmetic operation overflowed", "division or modulo by zero", "division by zero"],
+    category: "Arithmetic Error",
+  },
+  OUT_OF_BOUNDS: {
+    patterns: ["array index out of bounds", "index out of bounds", "pop() on an empty array"],
+    category: "Out-of-Bounds Access",
+  },
+  PANIC: {
+    patterns: ["panic code", "assertion failed", "invalid opcode"],
+    category: "Solidity Panic",
+  },
+  COLLATERAL: {
+    patterns: ["health factor", "collateral cannot cover", "insufficient collateral", "undercollateralized", "not collateralized"],
+    category: "Collateral / Health Factor Error",
+  },
+  LIQUIDITY: {
+    patterns: ["insufficient liquidity", "not enough liquidity", "insufficient reserves", "cash not available"],
+    category: "Liquidity Error",
+  },
+  ORACLE: {
+    patterns: ["stale price", "bad price", "invalid price", "price feed", "stale oracle", "oracle price"],
+    category: "Oracle Error",
+  },
+  INVALID_INPUT: {
+    patterns: ["invalid amount", "invalid path", "invalid input", "zero amount"],
+    category: "Invalid Parameters",
+  },
+
+  // Smart accounts: ERC-4337 EntryPoint (AAxx) and Safe (GSxxx) codes are in the knowledge packs
+  PREFUND: {
+    patterns: ["didn't pay prefund", "prefund below actualgascost", "insufficient prefund"],
+    category: "Smart Account Prefund Error",
+  },
+  ACCOUNT_VALIDATION: {
+    patterns: ["account not deployed", "initcode failed", "sender already constructed", "validateuserop", "expired or not due"],
+    category: "Smart Account Validation Error",
+  },
+  PAYMASTER: {
+    patterns: ["paymaster deposit too low", "paymaster not deployed", "paymaster validation", "paymaster deposit", "paymaster signature"],
+    category: "Paymaster Error",
+  },
+  SIGNATURE: {
+    patterns: [
+      "signature error",
+      "invalid signature",
+      "invalid owner provided",
+      "signatures data too short",
+      "invalid contract signature",
+      "hash has not been approved",
+    ],
+    category: "Signature Error",
+  },
+  BUNDLER: {
+    patterns: ["invalid useroperation", "opcode validation", "reputation too low", "low reputation", "is throttled", "throttled or banned", "stake too low", "unsupported aggregator", "invalid beneficiary"],
+    category: "Bundler Rejection",
+  },
+  SAFE_EXECUTION: {
+    patterns: ["not enough gas to execute safe transaction", "execution failure"],
+    category: "Safe Transaction Failed",
+  },
+};
+
+module.exports = { ERROR_PATTERNS };
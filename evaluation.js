@@ -0,0 +1,377 @@
+/**
+ * Evaluation Harness
+ * Measures how well diagnoses match a labeled corpus of failed transactions,
+ * so a change to ERROR_PATTERNS, a knowledge pack or the system prompt can be
+ * judged before it ships. Every case is classified with detectErrorCategory
+ * (precision and recall per category, a confusion matrix); with `agent` the
+ * full diagnosis runs too and its root cause and fix are checked for the
+ * case's keywords. Use the rules or recorded provider to run offline. A saved
+ * report is the baseline the next run is compared against.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { diagnoseTxFailure, detectErrorCategory } = require("./agent");
+const { ERROR_PATTERNS } = require("./errorPatterns");
+const { parseJsonl } = require("./jobQueue");
+
+const DEFAULT_CORPUS = path.join(__dirname, "corpus", "failed-transactions.jsonl");
+const DEFAULT_BASELINE = path.join(__dirname, "corpus", "baseline.json");
+
+// Category keys in ERROR_PATTERNS order; UNKNOWN labels a case nothing should match
+const CATEGORY_KEYS = [...Object.keys(ERROR_PATTERNS), "UNKNOWN"];
+
+// ─── Corpus ───────────────────────────────────────────────────────────────────
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isKeywordList = (value) => value === undefined || (Array.isArray(value) && value.every((k) => typeof k === "string" && k.trim()));
+
+/**
+ * Reads a corpus: JSON Lines of
+ * `{ id, expected: { category, rootCause?: string[], fix?: string[] }, transaction }`.
+ * Throws naming the first invalid case.
+ * @param {string} [file] - Default corpus/failed-transactions.jsonl
+ * @returns {object[]} Cases, with missing keyword lists filled in as []
+ */
+function loadCorpus(file = DEFAULT_CORPUS) {
+  const cases = parseJsonl(fs.readFileSync(file, "utf8"));
+  const ids = new Set();
+  return cases.map((entry, i) => {
+    const where = `Corpus case ${i + 1}${isObject(entry) && entry.id ? ` (${entry.id})` : ""}`;
+    if (!isObject(entry) || typeof entry.id !== "string" || !entry.id.trim()) throw new Error(`${where} needs a string id`);
+    if (ids.has(entry.id)) throw new Error(`${where} repeats an id`);
+    ids.add(entry.id);
+    if (!isObject(entry.expected) || !CATEGORY_KEYS.includes(entry.expected.category)) {
+      throw new Error(`${where} expected.category must be one of ${CATEGORY_KEYS.join(", ")}`);
+    }
+    if (!isKeywordList(entry.expected.rootCause) || !isKeywordList(entry.expected.fix)) {
+      throw new Error(`${where} expected.rootCause and expected.fix must be arrays of keywords`);
+    }
+    if (!isObject(entry.transaction)) throw new Error(`${where} needs a transaction object`);
+    return {
+      id: entry.id,
+      expected: { category: entry.expected.category, rootCause: entry.expected.rootCause || [], fix: entry.expected.fix || [] },
+      transaction: entry.transaction,
+    };
+  });
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────────────────
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1e4) / 1e4 : null);
+
+/**
+ * Which keywords appear in `text` (case-insensitive substring match).
+ * @returns {{matched: string[], missing: string[]}}
+ */
+function keywordHits(text, keywords) {
+  const haystack = String(text || "").toLowerCase();
+  return {
+    matched: keywords.filter((k) => haystack.includes(k.toLowerCase())),
+    missing: keywords.filter((k) => !haystack.includes(k.toLowerCase())),
+  };
+}
+
+/**
+ * Per-category precision / recall / F1, accuracy and the confusion matrix.
+ * Precision is null for a category never predicted and recall for one never
+ * expected; macro averages cover the expected categories, counting null as 0.
+ * @param {{expected: string, predicted: string}[]} pairs
+ * @returns {{ total, correct, accuracy, macro: object, categories: object, confusion: object }}
+ *          confusion is `{ expected: { predicted: count } }`
+ */
+function scoreCategories(pairs) {
+  const seen = new Set(pairs.flatMap(({ expected, predicted }) => [expected, predicted]));
+  const keys = CATEGORY_KEYS.filter((key) => seen.has(key));
+
+  const confusion = {};
+  pairs.forEach(({ expected, predicted }) => {
+    confusion[expected] = confusion[expected] || {};
+    confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+  });
+
+  const categories = {};
+  keys.forEach((key) => {
+    const tp = pairs.filter((p) => p.expected === key && p.predicted === key).length;
+    const fp = pairs.filter((p) => p.expected !== key && p.predicted === key).length;
+    const fn = pairs.filter((p) => p.expected === key && p.predicted !== key).length;
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    const f1 = precision && recall ? Math.round(((2 * precision * recall) / (precision + recall)) * 1e4) / 1e4 : 0;
+    categories[key] = { support: tp + fn, tp, fp, fn, precision, recall, f1 };
+  });
+
+  const expected = keys.filter((key) => categories[key].support > 0);
+  const average = (field) => ratio(expected.reduce((sum, key) => sum + (categories[key][field] || 0), 0), expected.length);
+  const correct = pairs.filter((p) => p.expected === p.predicted).length;
+  return {
+    total: pairs.length,
+    correct,
+    accuracy: ratio(correct, pairs.length),
+    macro: { precision: average("precision"), recall: average("recall"), f1: average("f1") },
+    categories,
+    confusion,
+  };
+}
+
+// Keyword recall over every case the agent diagnosed
+function keywordRecall(cases, field) {
+  const scored = cases.filter((c) => c[field]);
+  const matched = scored.reduce((sum, c) => sum + c[field].matched.length, 0);
+  const total = scored.reduce((sum, c) => sum + c[field].matched.length + c[field].missing.length, 0);
+  return { matched, total, recall: ratio(matched, total) };
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+/**
+ * Runs the classifier, and with `options.agent` the full diagnosis, on every case.
+ * A case the agent cannot diagnose is recorded with its error; the run goes on.
+ * @param {object[]} corpus - loadCorpus output
+ * @param {object} [options]
+ * @param {boolean} [options.agent] - Also run diagnoseTxFailure and score its keywords
+ * @param {string} [options.provider] - Diagnosis provider (rules or recorded run offline)
+ * @param {object} [options.pipeline] - Pipeline config of every diagnosis
+ * @param {object} [options.logger]
+ * @param {string} [options.corpus] - Corpus path, recorded in the report
+ * @param {function} [options.onCase] - Called as (case, index) before each case
+ * @returns {Promise<object>} { corpus, cases, classifier, agent, results }
+ */
+async function evaluate(corpus, options = {}) {
+  const results = [];
+  for (let i = 0; i < corpus.length; i++) {
+    const entry = corpus[i];
+    if (options.onCase) options.onCase(entry, i);
+    const category = detectErrorCategory(entry.transaction);
+    const result = {
+      id: entry.id,
+      expected: entry.expected.category,
+      predicted: category.key,
+      confidence: category.confidence,
+    };
+
+    if (options.agent) {
+      try {
+        const diagnosis = await diagnoseTxFailure(entry.transaction, {
+          provider: options.provider,
+          pipeline: options.pipeline,
+          logger: options.logger,
+          evidence: false,
+        });
+        const { report } = diagnosis;
+        result.rootCause = keywordHits([report.rootCause, report.explanation].join("\n"), entry.expected.rootCause);
+        result.fix = keywordHits([...(report.fixSteps || []), diagnosis.codeFix || ""].join("\n"), entry.expected.fix);
+        result.usage = { inputTokens: diagnosis.usage.inputTokens, outputTokens: diagnosis.usage.outputTokens, costUsd: diagnosis.usage.costUsd || 0 };
+        result.provider = diagnosis.provider;
+        result.model = diagnosis.model;
+      } catch (err) {
+        result.error = err.message;
+      }
+    }
+    results.push(result);
+  }
+
+  const diagnosed = results.filter((r) => !r.error);
+  const sum = (field) => Math.round(diagnosed.reduce((total, r) => total + r.usage[field], 0) * 1e6) / 1e6;
+  return {
+    corpus: options.corpus ? path.relative(process.cwd(), options.corpus) : null,
+    cases: results.length,
+    classifier: scoreCategories(results),
+    agent: options.agent
+      ? {
+          provider: diagnosed.length ? diagnosed[0].provider : options.provider || null,
+          model: diagnosed.length ? diagnosed[0].model : null,
+          diagnosed: diagnosed.length,
+          errors: results.length - diagnosed.length,
+          rootCause: keywordRecall(results, "rootCause"),
+          fix: keywordRecall(results, "fix"),
+          usage: { inputTokens: sum("inputTokens"), outputTokens: sum("outputTokens"), costUsd: sum("costUsd") },
+        }
+      : null,
+    results: results.map(({ provider, model, usage, ...rest }) => rest),
+  };
+}
+
+// ─── Baseline Comparison ──────────────────────────────────────────────────────
+const delta = (current, baseline) => (current === null || baseline === null ? null : Math.round((current - baseline) * 1e4) / 1e4);
+
+/**
+ * What changed since a saved report. Cases are matched by id; the agent is
+ * only compared when both reports ran it.
+ * @returns {{ accuracy, macroF1, categories, fixed, regressed, changed, keywordRegressions, keywordGains, added, removed, agent, regressions }}
+ *          `regressions` is true when a case got worse or a keyword was lost
+ */
+function compareReports(current, baseline) {
+  const before = new Map(baseline.results.map((r) => [r.id, r]));
+  const after = new Map(current.results.map((r) => [r.id, r]));
+  const both = current.results.filter((r) => before.has(r.id));
+
+  const categoryKeys = CATEGORY_KEYS.filter((key) => current.classifier.categories[key] || baseline.classifier.categories[key]);
+  const categories = categoryKeys
+    .map((key) => {
+      const now = current.classifier.categories[key] || { precision: null, recall: null, f1: 0 };
+      const then = baseline.classifier.categories[key] || { precision: null, recall: null, f1: 0 };
+      return {
+        key,
+        precision: { baseline: then.precision, current: now.precision },
+        recall: { baseline: then.recall, current: now.recall },
+        f1: { baseline: then.f1, current: now.f1, delta: delta(now.f1, then.f1) },
+      };
+    })
+    .filter((c) => c.precision.baseline !== c.precision.current || c.recall.baseline !== c.recall.current);
+
+  const wasRight = (r) => r.expected === r.predicted;
+  const fixed = both.filter((r) => wasRight(r) && !wasRight(before.get(r.id))).map((r) => r.id);
+  const regressed = both.filter((r) => !wasRight(r) && wasRight(before.get(r.id))).map((r) => r.id);
+  // Still wrong, but wrong differently
+  const changed = both
+    .filter((r) => !wasRight(r) && !wasRight(before.get(r.id)) && r.predicted !== before.get(r.id).predicted)
+    .map((r) => ({ id: r.id, baseline: before.get(r.id).predicted, current: r.predicted }));
+
+  const agent = Boolean(current.agent && baseline.agent);
+  const keywordRegressions = [];
+  const keywordGains = [];
+  if (agent) {
+    both.forEach((r) => {
+      const then = before.get(r.id);
+      ["rootCause", "fix"].forEach((field) => {
+        if (!r[field] || !then[field]) return;
+        const lost = then[field].matched.filter((k) => !r[field].matched.includes(k));
+        const gained = r[field].matched.filter((k) => !then[field].matched.includes(k));
+        if (lost.length) keywordRegressions.push({ id: r.id, field, keywords: lost });
+        if (gained.length) keywordGains.push({ id: r.id, field, keywords: gained });
+      });
+      if (r.error && !then.error) keywordRegressions.push({ id: r.id, field: "error", keywords: [r.error] });
+    });
+  }
+
+  return {
+    accuracy: { baseline: baseline.classifier.accuracy, current: current.classifier.accuracy, delta: delta(current.classifier.accuracy, baseline.classifier.accuracy) },
+    macroF1: { baseline: baseline.classifier.macro.f1, current: current.classifier.macro.f1, delta: delta(current.classifier.macro.f1, baseline.classifier.macro.f1) },
+    categories,
+    fixed,
+    regressed,
+    changed,
+    keywordRegressions,
+    keywordGains,
+    added: current.results.filter((r) => !before.has(r.id)).map((r) => r.id),
+    removed: baseline.results.filter((r) => !after.has(r.id)).map((r) => r.id),
+    agent: agent
+      ? {
+          provider: { baseline: baseline.agent.provider, current: current.agent.provider },
+          rootCauseRecall: { baseline: baseline.agent.rootCause.recall, current: current.agent.rootCause.recall },
+          fixRecall: { baseline: baseline.agent.fix.recall, current: current.agent.fix.recall },
+        }
+      : null,
+    regressions: regressed.length > 0 || keywordRegressions.length > 0,
+  };
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+const percent = (value) => (value === null || value === undefined ? "–" : `${(value * 100).toFixed(1)}%`);
+const signed = (value) => (value === null ? "–" : `${value > 0 ? "+" : ""}${(value * 100).toFixed(1)} pts`);
+const table = (header, rows) =>
+  [`| ${header.join(" | ")} |`, `|${header.map(() => "---").join("|")}|`, ...rows.map((row) => `| ${row.join(" | ")} |`)].join("\n");
+
+function comparisonMarkdown(comparison) {
+  const lines = [
+    `- **Accuracy**: ${percent(comparison.accuracy.baseline)} → ${percent(comparison.accuracy.current)} (${signed(comparison.accuracy.delta)})`,
+    `- **Macro F1**: ${percent(comparison.macroF1.baseline)} → ${percent(comparison.macroF1.current)} (${signed(comparison.macroF1.delta)})`,
+  ];
+  if (comparison.agent) {
+    const { rootCauseRecall, fixRecall, provider } = comparison.agent;
+    lines.push(`- **Root cause keywords**: ${percent(rootCauseRecall.baseline)} → ${percent(rootCauseRecall.current)}`);
+    lines.push(`- **Fix keywords**: ${percent(fixRecall.baseline)} → ${percent(fixRecall.current)}`);
+    if (provider.baseline !== provider.current) lines.push(`- ⚠️ The baseline used the ${provider.baseline} provider, this run ${provider.current}`);
+  }
+  lines.push(`- **Fixed**: ${comparison.fixed.join(", ") || "none"}`);
+  lines.push(`- **Regressed**: ${comparison.regressed.join(", ") || "none"}`);
+  comparison.changed.forEach((c) => lines.push(`- **${c.id}** is still wrong: ${c.baseline} → ${c.current}`));
+  comparison.keywordRegressions.forEach((k) => lines.push(`- **${k.id}** lost ${k.field}: ${k.keywords.join(", ")}`));
+  comparison.keywordGains.forEach((k) => lines.push(`- **${k.id}** gained ${k.field}: ${k.keywords.join(", ")}`));
+  if (comparison.added.length) lines.push(`- **New cases**: ${comparison.added.join(", ")}`);
+  if (comparison.removed.length) lines.push(`- **Removed cases**: ${comparison.removed.join(", ")}`);
+
+  const sections = [`## Compared to Baseline\n${lines.join("\n")}`];
+  if (comparison.categories.length) {
+    sections.push(
+      table(
+        ["Category", "Precision", "Recall", "F1"],
+        comparison.categories.map((c) => [
+          c.key,
+          `${percent(c.precision.baseline)} → ${percent(c.precision.current)}`,
+          `${percent(c.recall.baseline)} → ${percent(c.recall.current)}`,
+          signed(c.f1.delta),
+        ])
+      )
+    );
+  }
+  return sections.join("\n\n");
+}
+
+/**
+ * The report (and its comparison to a baseline, if any) as one markdown document.
+ */
+function renderEvaluationMarkdown(report, comparison = null) {
+  const { classifier, agent } = report;
+  const summary = [
+    `- **Corpus**: ${report.corpus || "(in memory)"}, ${report.cases} cases`,
+    `- **Classifier accuracy**: ${percent(classifier.accuracy)} (${classifier.correct}/${classifier.total})`,
+    `- **Macro precision / recall / F1**: ${percent(classifier.macro.precision)} / ${percent(classifier.macro.recall)} / ${percent(classifier.macro.f1)}`,
+  ];
+  if (agent) {
+    summary.push(`- **Agent**: ${agent.provider}${agent.model ? ` (${agent.model})` : ""}, ${agent.diagnosed} diagnosed, ${agent.errors} failed`);
+    summary.push(`- **Root cause keywords**: ${percent(agent.rootCause.recall)} (${agent.rootCause.matched}/${agent.rootCause.total})`);
+    summary.push(`- **Fix keywords**: ${percent(agent.fix.recall)} (${agent.fix.matched}/${agent.fix.total})`);
+    summary.push(`- **Tokens**: ${agent.usage.inputTokens} in / ${agent.usage.outputTokens} out${agent.usage.costUsd ? `, $${agent.usage.costUsd}` : ""}`);
+  }
+
+  const sections = [`# Evaluation Report\n${summary.join("\n")}`];
+  if (comparison) sections.push(comparisonMarkdown(comparison));
+
+  sections.push(
+    `## Categories\n${table(
+      ["Category", "Support", "Precision", "Recall", "F1"],
+      Object.entries(classifier.categories).map(([key, c]) => [key, c.support, percent(c.precision), percent(c.recall), percent(c.f1)])
+    )}`
+  );
+  // One row per expected category; the full matrix is in the JSON report
+  sections.push(
+    `## Confusion Matrix\n${table(
+      ["Expected", "Predicted"],
+      Object.keys(classifier.categories)
+        .filter((key) => classifier.confusion[key])
+        .map((key) => [
+          key,
+          Object.entries(classifier.confusion[key])
+            .map(([predicted, count]) => `${predicted === key ? `**${predicted}**` : predicted} ×${count}`)
+            .join(", "),
+        ])
+    )}`
+  );
+
+  const misses = report.results.filter((r) => r.expected !== r.predicted || r.error || (r.rootCause && r.rootCause.missing.length) || (r.fix && r.fix.missing.length));
+  if (misses.length) {
+    sections.push(
+      `## Misses\n${misses
+        .map((r) => {
+          const notes = [];
+          if (r.expected !== r.predicted) notes.push(`classified ${r.predicted}, expected ${r.expected}`);
+          if (r.error) notes.push(`diagnosis failed: ${r.error}`);
+          if (r.rootCause && r.rootCause.missing.length) notes.push(`root cause lacks ${r.rootCause.missing.join(", ")}`);
+          if (r.fix && r.fix.missing.length) notes.push(`fix lacks ${r.fix.missing.join(", ")}`);
+          return `- **${r.id}**: ${notes.join("; ")}`;
+        })
+        .join("\n")}`
+    );
+  }
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  DEFAULT_CORPUS,
+  DEFAULT_BASELINE,
+  loadCorpus,
+  keywordHits,
+  scoreCategories,
+  evaluate,
+  compareReports,
+  renderEvaluationMarkdown,
+};
@@ -0,0 +1,152 @@
+/**
+ * Gas Analyzer
+ * Deterministic reading of a transaction's gas fields (legacy or EIP-1559,
+ * Gwei, wei or hex): utilization, the out-of-gas signature, a plain-transfer
+ * limit on a contract call, the fee actually lost and recommended limits.
+ * The classifier, the prompt and the result all use the same numbers.
+ */
+
+const { resolveNetwork, parseGasPrice, parseGasUnits, formatNative, formatGwei } = require("./networks");
+
+const TRANSFER_GAS = 21000n;
+const DEFAULT_CALL_GAS = 300000n; // Contract call sent with a plain-transfer limit
+const GAS_BUFFER_PERCENT = 30;
+const NEAR_LIMIT_UTILIZATION = 0.95;
+
+const gwei = (wei) => (wei === null ? null : formatGwei(wei));
+const units = (gas) => (gas === null ? null : gas.toString());
+const bigMin = (a, b) => (a < b ? a : b);
+
+function isContractCall(txData) {
+  return typeof txData.inputData === "string" && /^0x[0-9a-f]{8}/i.test(txData.inputData);
+}
+
+// A gas estimate the caller already has, e.g. from eth_estimateGas
+function knownEstimate(txData) {
+  const context = txData.additionalContext || {};
+  return parseGasUnits(txData.estimatedGas) || parseGasUnits(context.estimatedGas);
+}
+
+/**
+ * What the sender paid per gas. An explicit gasPrice is taken as the effective
+ * price (receipts report effectiveGasPrice there); otherwise it is derived from
+ * the EIP-1559 caps and the block's base fee. Arbitrum ignores priority fees.
+ */
+function effectivePrice(pricing, network) {
+  if (pricing.gasPrice !== null) return pricing.gasPrice;
+  if (pricing.maxFeePerGas === null || pricing.baseFee === null) return null;
+  const tip = network.l2 === "arbitrum" ? 0n : pricing.maxPriorityFeePerGas || 0n;
+  return bigMin(pricing.maxFeePerGas, pricing.baseFee + tip);
+}
+
+function recommendGasLimit(gasLimit, estimate, exhausted) {
+  if (estimate) return (estimate * BigInt(100 + GAS_BUFFER_PERCENT)) / 100n;
+  if (!exhausted) return null;
+  return gasLimit === null || gasLimit <= TRANSFER_GAS ? DEFAULT_CALL_GAS : gasLimit * 2n;
+}
+
+// ─── Analysis ─────────────────────────────────────────────────────────────────
+/**
+ * Analyzes the gas fields of a transaction.
+ * @param {object} txData - gasUsed, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas,
+ *   baseFee (or baseFeePerGas), gasUsedForL1, l1Fee, estimatedGas, inputData
+ * @param {object} [network] - Registry entry from resolveNetwork (resolved from txData by default)
+ * @returns {object} Plain-JSON analysis; amounts are strings, flags booleans, `findings` sentences
+ */
+function analyzeGas(txData, network = resolveNetwork(txData)) {
+  const gasUsed = parseGasUnits(txData.gasUsed);
+  const gasLimit = parseGasUnits(txData.gasLimit);
+  const l1GasUsed = parseGasUnits(txData.gasUsedForL1);
+  const l1Fee = network.l2 === "op-stack" ? parseGasUnits(txData.l1Fee) : null;
+  const pricing = {
+    gasPrice: parseGasPrice(txData.gasPrice),
+    maxFeePerGas: parseGasPrice(txData.maxFeePerGas),
+    maxPriorityFeePerGas: parseGasPrice(txData.maxPriorityFeePerGas),
+    baseFee: parseGasPrice(txData.baseFee || txData.baseFeePerGas),
+  };
+  const price = effectivePrice(pricing, network);
+
+  const utilization = gasUsed !== null && gasLimit ? Number((gasUsed * 10000n) / gasLimit) / 10000 : null;
+  const outOfGas = gasUsed !== null && gasLimit !== null && gasLimit > 0n && gasUsed === gasLimit;
+  const transferLimitOnContractCall = gasLimit !== null && gasLimit <= TRANSFER_GAS && isContractCall(txData);
+  const maxFeeBelowBaseFee =
+    pricing.maxFeePerGas !== null && pricing.baseFee !== null && pricing.maxFeePerGas < pricing.baseFee;
+  const priorityFeeAboveMaxFee =
+    pricing.maxFeePerGas !== null && pricing.maxPriorityFeePerGas !== null && pricing.maxPriorityFeePerGas > pricing.maxFeePerGas;
+
+  const feeWei = gasUsed !== null && price !== null ? gasUsed * price + (l1Fee || 0n) : null;
+  const estimate = knownEstimate(txData);
+  const recommendedGasLimit = recommendGasLimit(gasLimit, estimate, outOfGas || transferLimitOnContractCall);
+  // Wallet heuristic: room for the base fee to double, plus the tip
+  const recommendedMaxFeePerGas =
+    (maxFeeBelowBaseFee || priorityFeeAboveMaxFee) && pricing.baseFee !== null
+      ? pricing.baseFee * 2n + (pricing.maxPriorityFeePerGas || 0n)
+      : null;
+
+  const findings = [];
+  if (outOfGas) findings.push(`gasUsed equals gasLimit (${gasLimit}): the transaction ran out of gas.`);
+  if (transferLimitOnContractCall) {
+    findings.push(`A ${gasLimit} gas limit only covers a plain transfer, but this is a contract call.`);
+  }
+  if (!outOfGas && utilization !== null && utilization >= NEAR_LIMIT_UTILIZATION) {
+    findings.push(`${(utilization * 100).toFixed(1)}% of the gas limit was used; the call came close to running out of gas.`);
+  }
+  if (maxFeeBelowBaseFee) findings.push(`maxFeePerGas (${gwei(pricing.maxFeePerGas)}) is below the base fee (${gwei(pricing.baseFee)}).`);
+  if (priorityFeeAboveMaxFee) findings.push("maxPriorityFeePerGas is higher than maxFeePerGas, which nodes reject.");
+  if (l1GasUsed !== null && gasUsed !== null) findings.push(`${l1GasUsed} of the ${gasUsed} gas used paid for L1 calldata.`);
+  if (estimate && gasLimit !== null && gasLimit < estimate) findings.push(`The gas limit is below the known estimate of ${estimate}.`);
+
+  return {
+    gasUsed: units(gasUsed),
+    gasLimit: units(gasLimit),
+    utilization,
+    l1GasUsed: units(l1GasUsed),
+    pricing: {
+      type: pricing.maxFeePerGas !== null ? "eip1559" : pricing.gasPrice !== null ? "legacy" : null,
+      gasPrice: gwei(pricing.gasPrice),
+      maxFeePerGas: gwei(pricing.maxFeePerGas),
+      maxPriorityFeePerGas: gwei(pricing.maxPriorityFeePerGas),
+      baseFee: gwei(pricing.baseFee),
+      effectiveGasPrice: gwei(price),
+    },
+    l1Fee: l1Fee === null ? null : formatNative(l1Fee, network),
+    feeLost: feeWei === null ? null : formatNative(feeWei, network),
+    feeLostWei: feeWei === null ? null : feeWei.toString(),
+    outOfGas,
+    transferLimitOnContractCall,
+    maxFeeBelowBaseFee,
+    priorityFeeAboveMaxFee,
+    recommendedGasLimit: units(recommendedGasLimit),
+    recommendedMaxFeePerGas: gwei(recommendedMaxFeePerGas),
+    findings,
+  };
+}
+
+// ─── Prompt View ──────────────────────────────────────────────────────────────
+function formatGasAnalysis(gas) {
+  const lines = [
+    `- **Gas Used**: ${gas.gasUsed || "N/A"}`,
+    `- **Gas Limit**: ${gas.gasLimit || "N/A"}`,
+  ];
+  if (gas.utilization !== null) lines.push(`- **Utilization**: ${(gas.utilization * 100).toFixed(1)}%`);
+
+  const { pricing } = gas;
+  if (pricing.type === "eip1559") {
+    lines.push(`- **Max Fee**: ${pricing.maxFeePerGas} | **Max Priority Fee**: ${pricing.maxPriorityFeePerGas || "N/A"}`);
+    lines.push(`- **Base Fee**: ${pricing.baseFee || "N/A"}`);
+  }
+  lines.push(`- **Gas Price**: ${pricing.effectiveGasPrice || "N/A"}${pricing.type === "eip1559" && !pricing.gasPrice ? " (derived)" : ""}`);
+  if (gas.l1Fee) lines.push(`- **L1 Data Fee**: ${gas.l1Fee}`);
+  if (gas.feeLost) lines.push(`- **Fee Paid**: ${gas.feeLost}`);
+  gas.findings.forEach((finding) => lines.push(`- ⚠️ ${finding}`));
+  if (gas.recommendedGasLimit) lines.push(`- **Recommended Gas Limit**: ${gas.recommendedGasLimit}`);
+  if (gas.recommendedMaxFeePerGas) lines.push(`- **Recommended Max Fee**: ${gas.recommendedMaxFeePerGas}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  analyzeGas,
+  formatGasAnalysis,
+  TRANSFER_GAS,
+  DEFAULT_CALL_GAS,
+};
@@ -1,132 +1,332 @@
 #!/usr/bin/env node
 /**
  * DeFi AI Agent - CLI Entry Point
- * Run: node index.js [--demo] [--batch] [--hash <tx_hash>]
+ * Run: node index.js [--demo | --hash <tx_hash> | --file <path> | --stdin | --jsonl <path>]
+ *                     [--format json|markdown|html] [--out <path>] [--batch] [--fix] [--chat]
+ *                     [--depth quick|standard|deep] [--model <id>] [--pipeline <path>]
+ *                     [--eval [corpus] [--eval-agent] [--baseline <path>] [--save-baseline <path>]]
  */
 
-const { interactiveDiagnosis, batchAnalyze } = require("./src/agent");
-
-// ─── Demo Transaction Samples ─────────────────────────────────────────────────
-const DEMO_TRANSACTIONS = {
-  outOfGas: {
-    hash: "0x1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b",
-    network: "Ethereum Mainnet",
-    from: "0xUserWallet123...abc",
-    to: "0xUniswapV2Router02",
-    contractName: "Uniswap V2 Router",
-    functionName: "swapExactTokensForETH",
-    gasUsed: "21000",
-    gasLimit: "21000",
-    gasPrice: "30 Gwei",
-    value: "0",
-    nonce: "42",
-    error: "out of gas",
-    revertReason: "Transaction ran out of gas",
-    inputData: "0x18cbafe5....",
-    timestamp: "2024-01-15T10:23:45Z",
-    additionalContext: {
-      tokenIn: "USDC",
-      tokenOut: "ETH",
-      amountIn: "1000 USDC",
-      estimatedGas: "150000",
-      actualGasLimit: "21000",
-    },
-  },
-
-  slippageError: {
-    hash: "0x9f8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c3b2a1f0e9d8c7b6a5f4e3d2c1b0a9f8e",
-    network: "Ethereum Mainnet",
-    from: "0xTrader456...def",
-    to: "0xUniswapV3Router",
-    contractName: "Uniswap V3 Router",
-    functionName: "exactInputSingle",
-    gasUsed: "98543",
-    gasLimit: "200000",
-    gasPrice: "25 Gwei",
-    value: "1.5",
-    nonce: "7",
-    error: "execution reverted",
-    revertReason: "Too little received",
-    inputData: "0x04e45aaf....",
-    timestamp: "2024-01-15T11:45:00Z",
-    additionalContext: {
-      tokenIn: "ETH",
-      tokenOut: "PEPE",
-      amountIn: "1.5 ETH",
-      slippageTolerance: "0.1%",
-      priceImpact: "8.5%",
-      poolLiquidity: "Low",
-    },
-  },
-
-  insufficientAllowance: {
-    hash: "0x3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d",
-    network: "Polygon",
-    from: "0xDeFiUser789...ghi",
-    to: "0xAaveV3Pool",
-    contractName: "Aave V3 Lending Pool",
-    functionName: "supply",
-    gasUsed: "45231",
-    gasLimit: "300000",
-    gasPrice: "100 Gwei",
-    value: "0",
-    nonce: "156",
-    error: "execution reverted",
-    revertReason: "ERC20: transfer amount exceeds allowance",
-    inputData: "0x617ba037....",
-    timestamp: "2024-01-15T14:20:30Z",
-    additionalContext: {
-      token: "USDT",
-      attemptedAmount: "5000 USDT",
-      currentAllowance: "0 USDT",
-      spender: "Aave V3 Pool",
-    },
-  },
-
-  contractPaused: {
-    hash: "0x7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c",
-    network: "Arbitrum",
-    from: "0xYieldFarmer321...jkl",
-    to: "0xCompoundProtocol",
-    contractName: "Compound Finance",
-    functionName: "mint",
-    gasUsed: "31000",
-    gasLimit: "250000",
-    gasPrice: "0.1 Gwei",
-    value: "0",
-    nonce: "89",
-    error: "execution reverted",
-    revertReason: "Pausable: paused",
-    inputData: "0xa0712d68....",
-    timestamp: "2024-01-15T16:55:10Z",
-    additionalContext: {
-      reason: "Emergency pause triggered due to oracle manipulation",
-      pausedAt: "2024-01-15T16:40:00Z",
-      governance: "Multi-sig",
-    },
-  },
-};
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { diagnoseTxFailure, interactiveDiagnosis, askFollowUp, batchAnalyze } = require("./agent");
+const { describeEvidence } = require("./chainEvidence");
+const { fetchTxDataByHash } = require("./rpc");
+const { parseJsonl } = require("./jobQueue");
+const { renderReportMarkdown, renderHtmlPage } = require("./reportPage");
+const { createLogger } = require("./logger");
+const { resolvePipeline } = require("./pipeline");
+const { DEMOS, demoTransaction } = require("./demos");
+const { DEFAULT_CORPUS, loadCorpus, evaluate, compareReports, renderEvaluationMarkdown } = require("./evaluation");
+
+// ─── Follow-up Chat ───────────────────────────────────────────────────────────
+// Reads questions until "exit" or end of input; each answer extends the same conversation
+async function chat(conversation, options) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "❓ " });
+  console.log('💬 Ask a follow-up question about this transaction ("exit" to quit).\n');
+  rl.prompt();
+
+  for await (const line of rl) {
+    const question = line.trim();
+    if (["exit", "quit"].includes(question.toLowerCase())) break;
+
+    if (question) {
+      try {
+        const followUp = await askFollowUp(conversation, question, options);
+        conversation = followUp.conversation;
+        followUp.evidence.forEach((entry) => console.log(`🔎 ${describeEvidence(entry)}`));
+        console.log(`\n${followUp.answer}\n`);
+        followUp.safety.warnings.forEach((warning) => console.log(`🛡️  ${warning}`));
+      } catch (err) {
+        console.error(`❌ ${err.message}\n`);
+      }
+    }
+    rl.prompt();
+  }
+  rl.close();
+}
+
+// ─── Input ────────────────────────────────────────────────────────────────────
+const OUTPUT_FORMATS = ["text", "json", "markdown", "html"];
+const FORMAT_EXTENSIONS = { ".json": "json", ".md": "markdown", ".html": "html", ".htm": "html" };
+
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => (text += chunk));
+    process.stdin.on("end", () => resolve(text));
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * Transactions from a JSON object, a JSON array or JSON Lines (one transaction per line).
+ * @returns {{ transactions: object[], list: boolean }} `list` is false for a single JSON object
+ */
+function parseTransactions(text, source, { jsonl = false } = {}) {
+  let parsed;
+  if (jsonl) {
+    parsed = parseJsonl(text);
+  } else {
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = parseJsonl(text); // Not one JSON value: read it as JSON Lines
+    }
+  }
+
+  const list = Array.isArray(parsed) || jsonl;
+  const transactions = Array.isArray(parsed) ? parsed : [parsed];
+  if (transactions.length === 0) throw new Error(`${source} contains no transactions`);
+  transactions.forEach((tx, i) => {
+    if (!tx || typeof tx !== "object" || Array.isArray(tx)) {
+      throw new Error(`Transaction ${i + 1} in ${source} is not a JSON object`);
+    }
+  });
+  return { transactions, list };
+}
+
+// ─── Pipeline ─────────────────────────────────────────────────────────────────
+// --pipeline reads a config file (custom turns, per-turn settings); the flags override its fields
+function pipelineConfig(args) {
+  const file = optionValue(args, "--pipeline");
+  const config = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const number = (flag) => (args.includes(flag) ? Number(optionValue(args, flag)) : undefined);
+  const flags = {
+    depth: optionValue(args, "--depth"),
+    model: optionValue(args, "--model"),
+    maxTokens: number("--max-tokens"),
+    timeoutMs: number("--timeout-ms"),
+    tokenBudget: number("--token-budget"),
+    sections: args.includes("--sections") ? String(optionValue(args, "--sections")).split(",").map((name) => name.trim()) : undefined,
+  };
+  for (const [key, value] of Object.entries(flags)) {
+    if (value !== undefined) config[key] = value;
+  }
+  return resolvePipeline(config);
+}
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+// The fields of a result worth exporting; transactionContext and the conversation stay internal
+function exportedResult({ tx, result, error, diagnosedAt }) {
+  if (error) return { hash: tx.hash || null, error };
+  return {
+    hash: result.transactionContext.hash,
+    network: result.transactionContext.network,
+    chainId: result.transactionContext.chainId,
+    errorCategory: result.errorCategory,
+    gasAnalysis: result.gasAnalysis,
+    smartAccount: result.smartAccount,
+    report: result.report,
+    diagnosis: result.diagnosis,
+    codeFix: result.codeFix,
+    riskAssessment: result.riskAssessment,
+    sections: result.sections,
+    skippedTurns: result.skippedTurns,
+    retryTransaction: result.retryTransaction,
+    evidence: result.evidence,
+    safety: result.safety,
+    provider: result.provider,
+    model: result.model,
+    pipeline: result.pipeline,
+    usage: result.usage,
+    analysisTimestamp: diagnosedAt,
+  };
+}
+
+function entryMarkdown(entry) {
+  const exported = exportedResult(entry);
+  if (entry.error) return `# Diagnosis failed: ${exported.hash || "unknown transaction"}\n${entry.error}`;
+  return renderReportMarkdown({ ...exported, createdAt: entry.diagnosedAt, followUps: [] });
+}
+
+function renderOutput(format, entries, list) {
+  if (format === "json") {
+    const exported = entries.map(exportedResult);
+    return JSON.stringify(list ? exported : exported[0], null, 2);
+  }
+  const documents = entries.map(entryMarkdown);
+  if (format === "markdown") return documents.join("\n\n---\n\n");
+  const title = list ? `Diagnoses of ${entries.length} transactions` : `Diagnosis of ${entries[0].tx.hash || "a transaction"}`;
+  return renderHtmlPage(title, documents);
+}
+
+/**
+ * Diagnoses every transaction without console output and writes one document
+ * in the requested format to --out or stdout. Progress goes to stderr.
+ * @returns {Promise<number>} Number of transactions that could not be diagnosed
+ */
+async function exportDiagnoses(transactions, options, { format, out, list }) {
+  const entries = [];
+  for (let i = 0; i < transactions.length; i++) {
+    const tx = transactions[i];
+    console.error(`[${i + 1}/${transactions.length}] Diagnosing ${tx.hash || "transaction"}...`);
+    try {
+      const result = await diagnoseTxFailure(tx, options);
+      entries.push({ tx, result, diagnosedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error(`  ❌ ${err.message}`);
+      entries.push({ tx, error: err.message });
+    }
+  }
+
+  const output = renderOutput(format, entries, list);
+  if (out) {
+    fs.writeFileSync(out, `${output}\n`);
+    console.error(`📝 Wrote ${format} for ${entries.length} transaction(s) to ${out}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+  return entries.filter((e) => e.error).length;
+}
+
+function printBatchSummary(summary) {
+  console.log("\n📈 Batch Analysis Summary:");
+  console.log(`  Total: ${summary.total}`);
+  console.log(`  ✅ Analyzed: ${summary.analyzed}`);
+  console.log(`  ❌ Failed: ${summary.failed}`);
+  console.log("  Category Breakdown:");
+  Object.entries(summary.categorySummary).forEach(([cat, count]) => {
+    console.log(`    • ${cat}: ${count}`);
+  });
+}
+
+// Console reports one after another, as --demo all does
+async function printDiagnoses(transactions, options) {
+  let failed = 0;
+  for (let i = 0; i < transactions.length; i++) {
+    const tx = transactions[i];
+    if (transactions.length > 1) {
+      console.log(`\n${"═".repeat(70)}`);
+      console.log(`🔄 Transaction ${i + 1}/${transactions.length}: ${tx.hash || "Unknown"}`);
+      console.log("═".repeat(70));
+    }
+    try {
+      await interactiveDiagnosis(tx, options);
+    } catch (err) {
+      console.error(`❌ Failed to analyze: ${err.message}`);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+/**
+ * Scores the classifier (and with --eval-agent the full diagnosis) against a
+ * labeled corpus, compares with --baseline and saves with --save-baseline.
+ * @returns {Promise<boolean>} Whether the run regressed from the baseline
+ */
+async function runEvaluation(args, options, { format, out }) {
+  // --eval takes an optional corpus path
+  const corpusArg = optionValue(args, "--eval");
+  const corpusFile = corpusArg && !corpusArg.startsWith("--") ? corpusArg : DEFAULT_CORPUS;
+  const agent = args.includes("--eval-agent");
+  const corpus = loadCorpus(corpusFile);
+
+  console.error(`🧪 Evaluating ${corpus.length} cases from ${corpusFile}${agent ? ` with the ${options.provider || process.env.DIAGNOSIS_PROVIDER || "anthropic"} provider` : ""}...`);
+  const report = await evaluate(corpus, {
+    ...options,
+    agent,
+    corpus: corpusFile,
+    onCase: agent ? (entry, i) => console.error(`[${i + 1}/${corpus.length}] ${entry.id}`) : undefined,
+  });
+
+  const baselineFile = optionValue(args, "--baseline");
+  const comparison = baselineFile ? compareReports(report, JSON.parse(fs.readFileSync(baselineFile, "utf8"))) : null;
+
+  const saveTo = optionValue(args, "--save-baseline");
+  if (saveTo) {
+    fs.writeFileSync(saveTo, `${JSON.stringify(report, null, 2)}\n`);
+    console.error(`💾 Saved the report as a baseline to ${saveTo}`);
+  }
+
+  let output;
+  if (format === "json") output = JSON.stringify({ report, comparison }, null, 2);
+  else if (format === "html") output = renderHtmlPage("Evaluation Report", [renderEvaluationMarkdown(report, comparison)]);
+  else output = renderEvaluationMarkdown(report, comparison);
+
+  if (out) {
+    fs.writeFileSync(out, `${output}\n`);
+    console.error(`📝 Wrote the ${format} evaluation report to ${out}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+  return Boolean(comparison && comparison.regressions);
+}
 
 // ─── CLI Interface ────────────────────────────────────────────────────────────
 async function main() {
   const args = process.argv.slice(2);
+  const out = optionValue(args, "--out");
+  const format = optionValue(args, "--format") || (out && FORMAT_EXTENSIONS[path.extname(out).toLowerCase()]) || "text";
 
-  console.log(`
+  if (format === "text" || args.includes("--help")) {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════════╗
 ║         🔍 DeFi AI Agent - Transaction Failure Diagnoser          ║
 ║              Powered by Claude AI (Multi-Turn Analysis)           ║
 ╚═══════════════════════════════════════════════════════════════════╝
 `);
+  }
 
   if (args.includes("--help") || args.length === 0) {
-    console.log(`Usage: node index.js [option]
+    console.log(`Usage: node index.js [input] [options]
 
-Options:
+Input:
   --demo <type>    Run a demo diagnosis
-                   Types: out-of-gas | slippage | allowance | paused | all
+                   Types: out-of-gas | slippage | allowance | paused | access |
+                   balance | all
   --batch          Run batch analysis on all demo transactions
+  --hash <hash>    Fetch a transaction from a JSON-RPC node and diagnose it
+  --rpc <url>      JSON-RPC endpoint for --hash (default: $RPC_URL)
+  --file <path>    Diagnose the transaction (JSON object) or transactions
+                   (JSON array) in a file
+  --stdin          Read a JSON transaction, array or JSON Lines from stdin
+  --jsonl <path>   Diagnose a JSON Lines file, one transaction per line
+  --eval [path]    Score the classifier against a labeled corpus (default:
+                   corpus/failed-transactions.jsonl): precision and recall
+                   per category and a confusion matrix
+
+Options:
+  --format <f>     Output: text (console report, default) | json | markdown | html
+  --out <path>     Write the output to a file instead of stdout; the format is
+                   taken from a .json / .md / .html extension when not given
+  --provider <p>   Diagnosis backend: anthropic | rules | recorded
+                   (default: $DIAGNOSIS_PROVIDER or anthropic)
+  --fix            Also build a corrected, ready-to-sign retry transaction
+                   (re-quoted and simulated when an RPC is available)
+  --depth <d>      Analysis depth: quick (one turn) | standard (diagnosis, code
+                   fix, risk; default) | deep (adds a second-opinion review)
+  --model <id>     Model for every turn (default: claude-opus-4-6)
+  --max-tokens <n> Output token limit per model request
+  --timeout-ms <n> Time limit per model request
+  --token-budget <n>
+                   Skip the remaining turns once this many tokens are used
+  --sections <a,b> Turns to run, in order (e.g. diagnosis,risk)
+  --pipeline <path>
+                   Pipeline config (JSON): custom turns, per-turn models and
+                   limits; the flags above override its fields
+  --chat           Ask follow-up questions after a single text diagnosis
+  --eval-agent     With --eval, also run every diagnosis and check its root
+                   cause and fix for the expected keywords
+  --baseline <path>
+                   With --eval, compare with a saved report; the exit code is
+                   1 when a case or keyword regressed
+  --save-baseline <path>
+                   With --eval, save the report as the next baseline
   --help           Show this help message
 
+With json, markdown or html, only the document goes to stdout (progress goes
+to stderr) and the exit code is 1 when any transaction could not be diagnosed.
+
 Examples:
   node index.js --demo out-of-gas
   node index.js --demo slippage
@@ -134,55 +334,134 @@ Examples:
   node index.js --demo paused
   node index.js --demo all
   node index.js --batch
+  node index.js --hash 0xabc... --rpc http://127.0.0.1:8545
+  node index.js --hash 0xabc... --rpc http://127.0.0.1:8545 --fix
+  node index.js --demo slippage --chat
+  node index.js --demo all --provider rules
+  node index.js --demo paused --depth quick --model claude-haiku-4-5
+  node index.js --demo slippage --depth deep --pipeline pipeline.json
+  node index.js --file failed-tx.json --format json
+  node index.js --jsonl failed-txs.jsonl --provider rules --out report.html
+  cat failed-tx.json | node index.js --stdin --format markdown
+  node index.js --eval --baseline corpus/baseline.json
+  node index.js --eval --eval-agent --provider rules --save-baseline corpus/baseline.json
 
 Programmatic Usage:
-  const { diagnoseTxFailure } = require('./src/agent');
+  const { diagnoseTxFailure } = require('./agent');
   const result = await diagnoseTxFailure(txData);
 `);
     return;
   }
 
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown format: ${format} (use ${OUTPUT_FORMATS.join(", ")})`);
+    process.exit(1);
+  }
+  if (out && format === "text") {
+    console.error("❌ --out needs --format json, markdown or html");
+    process.exit(1);
+  }
+
+  // Structured logs stay out of the way unless LOG_LEVEL asks for them
+  const options = { logger: createLogger({}, { level: process.env.LOG_LEVEL || "warn" }) };
+  if (args.includes("--provider")) {
+    options.provider = optionValue(args, "--provider");
+  }
+  if (args.includes("--fix")) {
+    options.retry = true;
+  }
+  options.pipeline = pipelineConfig(args);
+  const chatting = args.includes("--chat");
+  const log = format === "text" ? console.log : console.error;
+
+  if (args.includes("--eval")) {
+    if (await runEvaluation(args, options, { format, out })) process.exitCode = 1;
+    return;
+  }
+
+  // Each input mode yields the transactions to diagnose
+  let input = null;
+
   // Demo mode
   if (args.includes("--demo")) {
-    const typeIndex = args.indexOf("--demo") + 1;
-    const demoType = args[typeIndex] || "out-of-gas";
+    const demoType = optionValue(args, "--demo") || "out-of-gas";
 
-    const demoMap = {
-      "out-of-gas": "outOfGas",
-      slippage: "slippageError",
-      allowance: "insufficientAllowance",
-      paused: "contractPaused",
-    };
-
-    if (demoType === "all") {
+    if (demoType === "all" && format === "text") {
       console.log("🚀 Running all demo scenarios...\n");
-      for (const [name, tx] of Object.entries(DEMO_TRANSACTIONS)) {
+      for (const demo of DEMOS) {
         console.log(`\n${"═".repeat(70)}`);
-        console.log(`🔄 Demo: ${name}`);
+        console.log(`🔄 Demo: ${demo.title}`);
         console.log("═".repeat(70));
-        await interactiveDiagnosis(tx);
+        await interactiveDiagnosis(demo.transaction, options);
       }
+      return;
+    }
+    if (demoType === "all") {
+      input = { transactions: DEMOS.map((demo) => demo.transaction), list: true };
     } else {
-      const key = demoMap[demoType];
-      if (!key || !DEMO_TRANSACTIONS[key]) {
+      const tx = demoTransaction(demoType);
+      if (!tx) {
         console.error(`❌ Unknown demo type: ${demoType}`);
-        console.log(`Available: ${Object.keys(demoMap).join(", ")}, all`);
+        console.error(`Available: ${DEMOS.map((demo) => demo.id).join(", ")}, all`);
         process.exit(1);
       }
-      const tx = DEMO_TRANSACTIONS[key];
-      await interactiveDiagnosis(tx);
+      input = { transactions: [tx], list: false };
     }
-    return;
+  }
+
+  // Fetch-by-hash mode
+  else if (args.includes("--hash")) {
+    const hash = optionValue(args, "--hash");
+    const rpcUrl = optionValue(args, "--rpc") || process.env.RPC_URL;
+
+    log(`🌐 Fetching ${hash} from ${rpcUrl || "(no RPC configured)"}...`);
+    const tx = await fetchTxDataByHash(hash, rpcUrl);
+    if (tx.status !== "failed") {
+      log("ℹ️  Transaction did not fail on-chain; diagnosing anyway.");
+    }
+    options.rpcUrl = process.env.EVIDENCE_RPC_URL || rpcUrl;
+    input = { transactions: [tx], list: false };
+  }
+
+  // File, stdin and JSON Lines input
+  else if (args.includes("--file")) {
+    const file = optionValue(args, "--file");
+    input = parseTransactions(fs.readFileSync(file, "utf8"), file);
+  } else if (args.includes("--stdin")) {
+    input = parseTransactions(await readStdin(), "stdin");
+  } else if (args.includes("--jsonl")) {
+    const file = optionValue(args, "--jsonl");
+    input = parseTransactions(fs.readFileSync(file, "utf8"), file, { jsonl: true });
   }
 
   // Batch mode
-  if (args.includes("--batch")) {
-    const allTxs = Object.values(DEMO_TRANSACTIONS);
-    await batchAnalyze(allTxs);
+  else if (args.includes("--batch")) {
+    const allTxs = DEMOS.map((demo) => demo.transaction);
+    console.log(`\n📦 Batch analyzing ${allTxs.length} transactions...\n`);
+    const { summary } = await batchAnalyze(allTxs, options);
+    printBatchSummary(summary);
+    return;
+  }
+
+  if (!input) {
+    console.log("Use --help to see available options.");
     return;
   }
 
-  console.log("Use --help to see available options.");
+  if (format !== "text") {
+    const failed = await exportDiagnoses(input.transactions, options, { format, out, list: input.list });
+    if (failed) process.exitCode = 1;
+    return;
+  }
+
+  // A single transaction keeps its conversation open for --chat
+  if (input.transactions.length === 1) {
+    const result = await interactiveDiagnosis(input.transactions[0], options);
+    if (chatting) await chat(result.conversation, options);
+    return;
+  }
+  const failed = await printDiagnoses(input.transactions, options);
+  if (failed) process.exitCode = 1;
 }
 
 main().catch((err) => {
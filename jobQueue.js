@@ -0,0 +1,342 @@
+/**
+ * Batch Job Queue
+ * Diagnoses any number of transactions in the background: a bounded worker
+ * pool, exponential backoff on rate-limit / overload errors, cancellation,
+ * and one JSON file per job so results (and unfinished work) survive a
+ * server restart.
+ */
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { diagnoseTxFailure } = require("./agent");
+const { logger: defaultLogger } = require("./logger");
+
+const DEFAULT_JOBS_DIR = path.join(process.cwd(), "data", "jobs");
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+// Item states; a job is finished once no item is pending or running
+const UNFINISHED = ["pending", "running"];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+/**
+ * Parses JSON Lines (one transaction object per line, blank lines ignored).
+ * Throws with the offending line number.
+ */
+function parseJsonl(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNo]) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${lineNo}: ${err.message}`);
+      }
+    });
+}
+
+// 429 = rate limited, 529 = overloaded (Anthropic SDK errors carry the HTTP status)
+function isRetryable(err) {
+  if ([429, 503, 529].includes(err.status)) return true;
+  return /rate.?limit|overloaded/i.test(err.message || "");
+}
+
+function retryDelay(err, attempt, baseDelayMs) {
+  const retryAfter = err.headers ? Number(err.headers["retry-after"]) : NaN;
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  const backoff = baseDelayMs * 2 ** (attempt - 1) + Math.random() * baseDelayMs;
+  return Math.min(backoff, MAX_DELAY_MS);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Same per-transaction shape as POST /batch
+function compactResult(result) {
+  return {
+    hash: result.transactionContext.hash,
+    ...(result.diagnosisId ? { diagnosisId: result.diagnosisId, cached: result.cached } : {}),
+    errorCategory: result.errorCategory,
+    gasAnalysis: result.gasAnalysis,
+    smartAccount: result.smartAccount,
+    report: result.report,
+    diagnosis: result.diagnosis,
+    codeFix: result.codeFix,
+    riskAssessment: result.riskAssessment,
+    sections: result.sections,
+    evidence: result.evidence,
+    safety: result.safety,
+  };
+}
+
+function summarize(job) {
+  const count = (status) => job.items.filter((i) => i.status === status).length;
+  const summary = {
+    total: job.items.length,
+    analyzed: count("done"),
+    failed: count("error"),
+    cancelled: count("cancelled"),
+    pending: count("pending") + count("running"),
+    categorySummary: {},
+  };
+
+  job.items
+    .filter((i) => i.status === "done")
+    .forEach((i) => {
+      const cat = i.result.errorCategory.category;
+      summary.categorySummary[cat] = (summary.categorySummary[cat] || 0) + 1;
+    });
+  return summary;
+}
+
+// ─── Queue ────────────────────────────────────────────────────────────────────
+/**
+ * Creates a job queue.
+ * @param {object} [config]
+ * @param {string} [config.dir] - Where job files are kept (default ./data/jobs)
+ * @param {number} [config.concurrency] - Transactions diagnosed at once, across all jobs
+ * @param {number} [config.maxRetries] - Retries per transaction on rate-limit / overload errors
+ * @param {number} [config.baseDelayMs] - First backoff delay; doubles on each retry
+ * @param {Function} [config.diagnose] - (tx, options) => result; defaults to diagnoseTxFailure
+ *        (a diagnosis store's `diagnose` adds caching and storage)
+ * @param {number} [config.saveDelayMs] - Progress is written at most this often per job; submit,
+ *        cancel and the end of a job are written at once
+ * @param {object} [config.logger]
+ * @returns Queue with submit / get / list / cancel / resume / isJobFinished and an `events` emitter
+ *          ("progress" and "finished", both with (jobId, job))
+ */
+function createJobQueue(config = {}) {
+  const dir = config.dir || DEFAULT_JOBS_DIR;
+  const concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+  const maxRetries = config.maxRetries === undefined ? DEFAULT_MAX_RETRIES : config.maxRetries;
+  const baseDelayMs = config.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+  const diagnose = config.diagnose || diagnoseTxFailure;
+  const saveDelayMs = config.saveDelayMs === undefined ? DEFAULT_SAVE_DELAY_MS : config.saveDelayMs;
+  const log = config.logger || defaultLogger;
+
+  const events = new EventEmitter();
+  const jobs = new Map();
+  const waiting = []; // { job, item } in submission order
+  const saveTimers = new Map(); // job id -> pending progress write
+  let active = 0;
+
+  function save(job) {
+    clearTimeout(saveTimers.get(job.id));
+    saveTimers.delete(job.id);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${job.id}.json`);
+    // Write-then-rename so a crash never leaves a truncated job file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Each write is the whole job, so progress is batched; a restart re-runs what wasn't written
+  function scheduleSave(job) {
+    if (saveTimers.has(job.id)) return;
+    const timer = setTimeout(() => {
+      saveTimers.delete(job.id);
+      try {
+        save(job);
+      } catch (err) {
+        log.error("job.save.failed", { jobId: job.id, error: err.message });
+      }
+    }, saveDelayMs);
+    timer.unref();
+    saveTimers.set(job.id, timer);
+  }
+
+  function view(job, { includeResults = true } = {}) {
+    const summary = summarize(job);
+    const base = {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      provider: job.options.provider || null,
+      apiKeyId: job.options.apiKeyId || null,
+      progress: summary,
+    };
+    if (!includeResults) return base;
+    return {
+      ...base,
+      results: job.items.map(({ index, status, attempts, tx, result, error }) => ({
+        index,
+        status,
+        attempts,
+        hash: tx.hash || null,
+        ...(result ? { result } : {}),
+        ...(error ? { error } : {}),
+      })),
+    };
+  }
+
+  function isFinished(job) {
+    return !job.items.some((i) => UNFINISHED.includes(i.status));
+  }
+
+  function publish(job, { flush = false } = {}) {
+    job.updatedAt = new Date().toISOString();
+    if (flush || isFinished(job)) save(job);
+    else scheduleSave(job);
+    events.emit("progress", job.id, view(job, { includeResults: false }));
+    if (isFinished(job)) events.emit("finished", job.id, view(job, { includeResults: false }));
+  }
+
+  async function runItem(job, item) {
+    item.status = "running";
+    if (job.status === "queued") job.status = "running";
+    publish(job);
+
+    while (true) {
+      item.attempts++;
+      try {
+        // The request id ties the item's log lines to its job
+        item.result = compactResult(await diagnose(item.tx, { ...job.options, requestId: `${job.id}/${item.index}` }));
+        item.status = "done";
+        break;
+      } catch (err) {
+        if (isRetryable(err) && item.attempts <= maxRetries && job.status !== "cancelled") {
+          await sleep(retryDelay(err, item.attempts, baseDelayMs));
+          continue;
+        }
+        item.status = "error";
+        item.error = err.message;
+        break;
+      }
+    }
+
+    if (isFinished(job) && job.status !== "cancelled") job.status = "completed";
+    publish(job);
+  }
+
+  function pump() {
+    while (active < concurrency && waiting.length) {
+      const { job, item } = waiting.shift();
+      if (item.status !== "pending") continue; // cancelled while waiting
+      active++;
+      runItem(job, item)
+        // A failed write or a throwing listener must not leave the item running (or crash the process)
+        .catch((err) => {
+          log.error("job.item.failed", { jobId: job.id, index: item.index, error: err.message });
+          if (UNFINISHED.includes(item.status)) {
+            item.status = "error";
+            item.error = err.message;
+          }
+          if (isFinished(job) && job.status !== "cancelled") job.status = "completed";
+          scheduleSave(job);
+        })
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  function enqueue(job) {
+    job.items.filter((i) => i.status === "pending").forEach((item) => waiting.push({ job, item }));
+    pump();
+  }
+
+  /**
+   * Queues a job. Only serializable options (the provider name, `force`, a
+   * resolved `pipeline` and the submitting `apiKeyId`) are kept.
+   */
+  function submit(transactions, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      createdAt: now,
+      updatedAt: now,
+      options: {
+        ...(options.provider ? { provider: options.provider } : {}),
+        ...(options.force ? { force: true } : {}),
+        ...(options.pipeline ? { pipeline: options.pipeline } : {}),
+        ...(options.apiKeyId ? { apiKeyId: options.apiKeyId } : {}),
+      },
+      items: transactions.map((tx, index) => ({ index, status: "pending", attempts: 0, tx })),
+    };
+    jobs.set(job.id, job);
+    save(job);
+    enqueue(job);
+    return view(job, { includeResults: false });
+  }
+
+  function get(id, opts) {
+    const job = jobs.get(id);
+    return job ? view(job, opts) : null;
+  }
+
+  /**
+   * Jobs, newest first, without their results.
+   * @param {object} [filter]
+   * @param {string|null} [filter.apiKeyId] - Only jobs of this API key (null: submitted without one)
+   */
+  function list({ apiKeyId } = {}) {
+    return [...jobs.values()]
+      .filter((job) => apiKeyId === undefined || (job.options.apiKeyId || null) === apiKeyId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((job) => view(job, { includeResults: false }));
+  }
+
+  /**
+   * Cancels the pending transactions of a job. Ones already running finish
+   * and keep their results.
+   * @returns {object|null} The updated job, or null if unknown
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!isFinished(job)) {
+      job.status = "cancelled";
+      job.items.filter((i) => i.status === "pending").forEach((i) => (i.status = "cancelled"));
+      publish(job, { flush: true });
+    }
+    return view(job, { includeResults: false });
+  }
+
+  /**
+   * Loads persisted jobs and re-queues any work interrupted by a restart. A
+   * file that doesn't parse is logged and skipped.
+   * @returns {number} Number of jobs loaded
+   */
+  function resume() {
+    if (!fs.existsSync(dir)) return 0;
+    const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+
+    return files.filter((file) => {
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (!job.id || !Array.isArray(job.items)) throw new Error("not a job file");
+      } catch (err) {
+        log.error("job.resume.skipped", { file, error: err.message });
+        return false;
+      }
+      job.items.filter((i) => i.status === "running").forEach((i) => (i.status = "pending"));
+      jobs.set(job.id, job);
+      if (job.status !== "cancelled" && !isFinished(job)) enqueue(job);
+      return true;
+    }).length;
+  }
+
+  function isJobFinished(id) {
+    return jobs.has(id) && isFinished(jobs.get(id));
+  }
+
+  return { submit, get, list, cancel, resume, isJobFinished, events };
+}
+
+module.exports = {
+  createJobQueue,
+  parseJsonl,
+  isRetryable,
+  retryDelay,
+  DEFAULT_JOBS_DIR,
+};
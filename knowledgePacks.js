@@ -0,0 +1,215 @@
+/**
+ * Protocol Knowledge Packs
+ * Maps the terse revert codes real protocols use ("STF", "35", "BAL#507",
+ * BorrowComptrollerRejection(4)) to an error category, a plain-English
+ * meaning and the typical fix.
+ *
+ * Packs are JSON files loaded at startup from ./knowledge and from every
+ * directory listed in KNOWLEDGE_PACKS_DIR. Format:
+ *
+ *   {
+ *     "protocol": "Uniswap V3",
+ *     "aliases": ["uniswap v3", "swaprouter"],      // matched against contractName
+ *     "codePattern": "\\b(AA\\d{2})\\b",            // optional: pulls the code out of a longer message
+ *     "enums": { "Name": { "4": { "name": "...", "category": "..." } } },
+ *     "errors": {
+ *       "STF": { "category": "ALLOWANCE", "meaning": "...", "fix": "..." },
+ *       "35": { "name": "HEALTH_FACTOR_...", ... },   // matches "35" or the name
+ *       "Err(uint256 code)": { ..., "argEnums": { "code": "Name" } }
+ *     }
+ *   }
+ *
+ * Keys containing "(" are custom error signatures and are added to the revert
+ * decoder's registry. With `codePattern`, the first capture group found in a
+ * revert message ("AA21 didn't pay prefund") is matched as a code as well. Purely numeric codes only match when an alias matches
+ * the contract name, since several protocols reuse small numbers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ERROR_PATTERNS } = require("./errorPatterns");
+const { registerCustomErrors } = require("./revertDecoder");
+const { logger } = require("./logger");
+
+const KNOWLEDGE_DIR = path.join(__dirname, "knowledge");
+
+const packs = [];
+
+// ─── Registration ─────────────────────────────────────────────────────────────
+function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== "object") return ["pack must be an object"];
+  if (typeof pack.protocol !== "string" || !pack.protocol) errors.push("protocol is required");
+  if (pack.aliases !== undefined && !Array.isArray(pack.aliases)) errors.push("aliases must be an array");
+  if (pack.codePattern !== undefined) {
+    try {
+      new RegExp(pack.codePattern);
+    } catch (err) {
+      errors.push(`codePattern is not a valid regular expression (${err.message})`);
+    }
+  }
+  if (!pack.errors || typeof pack.errors !== "object") return [...errors, "errors must be an object"];
+
+  const enums = pack.enums || {};
+  Object.values(enums).forEach((values) =>
+    Object.entries(values).forEach(([value, info]) => {
+      if (info.category && !ERROR_PATTERNS[info.category]) errors.push(`enum value ${value}: unknown category ${info.category}`);
+    })
+  );
+
+  Object.entries(pack.errors).forEach(([code, entry]) => {
+    if (!entry || typeof entry !== "object") return errors.push(`${code}: entry must be an object`);
+    if (!ERROR_PATTERNS[entry.category]) errors.push(`${code}: unknown category ${entry.category}`);
+    if (typeof entry.meaning !== "string") errors.push(`${code}: meaning is required`);
+    if (typeof entry.fix !== "string") errors.push(`${code}: fix is required`);
+    Object.values(entry.argEnums || {}).forEach((enumName) => {
+      if (!enums[enumName]) errors.push(`${code}: unknown enum ${enumName}`);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Adds a pack to the registry. Throws if the pack is malformed or uses an
+ * unknown category.
+ */
+function registerKnowledgePack(pack, source = pack && pack.protocol) {
+  const errors = validatePack(pack);
+  if (errors.length) {
+    throw new Error(`Invalid knowledge pack ${source}: ${errors.join("; ")}`);
+  }
+
+  const customErrors = Object.entries(pack.errors)
+    .filter(([code]) => code.includes("("))
+    // Enum-coded errors get their category from the decoded argument instead
+    .map(([signature, entry]) => ({ signature, errorKey: entry.argEnums ? null : entry.category }));
+  registerCustomErrors(customErrors);
+
+  packs.push({ aliases: [], enums: {}, ...pack, codePattern: pack.codePattern ? new RegExp(pack.codePattern) : null });
+}
+
+/**
+ * Loads every *.json pack in a directory. A file that can't be read, parsed
+ * or registered is logged and skipped, so one bad pack doesn't stop startup.
+ * @returns {number} Number of packs loaded
+ */
+function loadKnowledgePacks(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  return files.filter((file) => {
+    const filePath = path.join(dir, file);
+    try {
+      registerKnowledgePack(JSON.parse(fs.readFileSync(filePath, "utf8")), filePath);
+      return true;
+    } catch (err) {
+      logger.error("knowledgePack.skipped", { file: filePath, error: err.message });
+      return false;
+    }
+  }).length;
+}
+
+function getKnowledgePacks() {
+  return packs;
+}
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+// Revert strings as they appear on their own, or wrapped by the node / explorer
+function reasonCandidates(txData, decodedRevert) {
+  const candidates = [];
+  if (decodedRevert && decodedRevert.type === "Error" && decodedRevert.reason) candidates.push(decodedRevert.reason);
+  // String arguments of custom errors, e.g. the reason in EntryPoint's FailedOp(opIndex, reason)
+  if (decodedRevert && decodedRevert.type === "CustomError") {
+    decodedRevert.args.filter((a) => a.type === "string").forEach((a) => candidates.push(a.value));
+  }
+
+  for (const text of [txData.revertReason, txData.errorMessage, txData.error]) {
+    if (typeof text !== "string") continue;
+    candidates.push(text);
+    const wrapped = text.match(/reverted[^:]*:\s*['"]?(.+?)['"]?\s*$/i) || text.match(/fail with error\s*'(.+)'/i);
+    if (wrapped) candidates.push(wrapped[1]);
+  }
+  return [...new Set(candidates.map((c) => String(c).trim()).filter(Boolean))];
+}
+
+function extractCodes(codePattern, reasons) {
+  const extracted = reasons.map((reason) => reason.match(codePattern)).filter(Boolean).map((m) => m[1] || m[0]);
+  return [...new Set([...reasons, ...extracted])];
+}
+
+function resolveEnumArgs(pack, entry, decodedRevert) {
+  let category = entry.category;
+  const details = [];
+
+  Object.entries(entry.argEnums || {}).forEach(([argName, enumName]) => {
+    const arg = decodedRevert.args.find((a) => a.name === argName);
+    if (!arg) return;
+    const info = pack.enums[enumName][String(arg.value)];
+    if (!info) return;
+    details.push(`${argName}=${arg.value} (${info.name})`);
+    if (info.category) category = info.category;
+  });
+
+  return { category, details: details.join(", ") || null };
+}
+
+/**
+ * Finds knowledge pack entries matching a transaction's revert.
+ * @param {object} txData
+ * @param {object|null} decodedRevert - Output of decodeTxRevert
+ * @returns {Array<{protocol, code, name, category, meaning, fix, details, protocolMatched}>}
+ */
+function matchKnowledge(txData, decodedRevert) {
+  const reasons = reasonCandidates(txData, decodedRevert);
+  const contractName = String(txData.contractName || "").toLowerCase();
+  const customErrorName = decodedRevert && decodedRevert.type === "CustomError" ? decodedRevert.name : null;
+  const matches = [];
+
+  for (const pack of packs) {
+    const protocolMatched = pack.aliases.some((alias) => contractName.includes(alias.toLowerCase()));
+    const codes = pack.codePattern ? extractCodes(pack.codePattern, reasons) : reasons;
+
+    for (const [code, entry] of Object.entries(pack.errors)) {
+      let matched;
+      let resolved = { category: entry.category, details: null };
+
+      if (code.includes("(")) {
+        matched = customErrorName === code.split("(")[0];
+        if (matched) resolved = resolveEnumArgs(pack, entry, decodedRevert);
+      } else {
+        const codeAllowed = protocolMatched || !/^\d+$/.test(code);
+        matched = (codeAllowed && codes.includes(code)) || Boolean(entry.name && reasons.includes(entry.name));
+      }
+
+      if (matched) {
+        matches.push({
+          protocol: pack.protocol,
+          code,
+          name: entry.name || null,
+          category: resolved.category,
+          meaning: entry.meaning,
+          fix: entry.fix,
+          details: resolved.details,
+          protocolMatched,
+        });
+      }
+    }
+  }
+
+  // Entries for the contract's own protocol first
+  return matches.sort((a, b) => Number(b.protocolMatched) - Number(a.protocolMatched));
+}
+
+// ─── Startup ──────────────────────────────────────────────────────────────────
+loadKnowledgePacks(KNOWLEDGE_DIR);
+(process.env.KNOWLEDGE_PACKS_DIR || "")
+  .split(path.delimiter)
+  .filter(Boolean)
+  .forEach((dir) => loadKnowledgePacks(path.resolve(dir)));
+
+module.exports = {
+  KNOWLEDGE_DIR,
+  registerKnowledgePack,
+  loadKnowledgePacks,
+  getKnowledgePacks,
+  matchKnowledge,
+};
@@ -0,0 +1,64 @@
+/**
+ * Structured Logging
+ * One JSON object per line on stderr: `{ time, level, msg, ...fields }`.
+ * Child loggers add fields (request id, job id, transaction hash) to every
+ * line they write, so one diagnosis can be followed through the server, the
+ * store and each model turn. LOG_LEVEL sets the minimum level and
+ * LOG_FORMAT=pretty prints `time LEVEL msg key=value` for reading in a terminal.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Error objects don't survive JSON.stringify
+function serializable(fields) {
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, value instanceof Error ? { message: value.message, status: value.status } : value])
+  );
+}
+
+function prettyLine(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+}
+
+/**
+ * Creates a logger.
+ * @param {object} [fields] - Added to every line
+ * @param {object} [config]
+ * @param {string} [config.level] - debug | info | warn | error | silent (default: $LOG_LEVEL or info)
+ * @param {string} [config.format] - json | pretty (default: $LOG_FORMAT or json)
+ * @param {object} [config.stream] - Where lines are written (default: process.stderr)
+ * @returns {{debug, info, warn, error, child}} `log.info(msg, fields)`; `child(fields)` shares the config
+ */
+function createLogger(fields = {}, config = {}) {
+  const level = config.level || process.env.LOG_LEVEL || "info";
+  const format = config.format || process.env.LOG_FORMAT || "json";
+  const stream = config.stream || process.stderr;
+  const threshold = LOG_LEVELS[level] === undefined ? LOG_LEVELS.info : LOG_LEVELS[level];
+
+  const write = (lineLevel) => (msg, extra = {}) => {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...serializable({ ...fields, ...extra }) };
+    stream.write(`${format === "pretty" ? prettyLine(entry) : JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: write("debug"),
+    info: write("info"),
+    warn: write("warn"),
+    error: write("error"),
+    child: (childFields) => createLogger({ ...fields, ...childFields }, { level, format, stream }),
+  };
+}
+
+// Shared default for library code called without `options.logger`
+const logger = createLogger();
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  logger,
+};
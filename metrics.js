@@ -0,0 +1,161 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text
+ * exposition format for `GET /metrics`. Labels are plain objects; each
+ * distinct label set is its own series. The service metrics below cover HTTP
+ * requests, diagnoses by category, model tokens, cost and turn latency.
+ */
+
+const LATENCY_BUCKETS = [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const MODEL_LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are keyed by their label text, which is also what gets rendered
+const seriesKey = (labels) => labelText(Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))));
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+/**
+ * Creates a registry.
+ * @returns {{ counter, gauge, histogram, render }} Each factory takes (name, help[, buckets or collect])
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => [...series.entries()].map(([key, value]) => `${name}${key} ${value}`),
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labels);
+        series.set(key, (series.get(key) || 0) + amount);
+      },
+    };
+  }
+
+  // Read when scraped: collect() returns [{ labels, value }]
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      lines: () => collect().map(({ labels = {}, value }) => `${name}${seriesKey(labels)} ${value}`),
+    });
+  }
+
+  function histogram(name, help, buckets = LATENCY_BUCKETS) {
+    const series = new Map(); // key -> { labels, counts, sum, count }
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, i) => `${name}_bucket${seriesKey({ ...labels, le })} ${counts[i]}`),
+          `${name}_bucket${seriesKey({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${seriesKey(labels)} ${Math.round(sum * 1e6) / 1e6}`,
+          `${name}_count${seriesKey(labels)} ${count}`,
+        ]),
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  function render() {
+    return `${metrics
+      .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join("\n"))
+      .join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// ─── Service Metrics ──────────────────────────────────────────────────────────
+/**
+ * The API's metrics on a new registry.
+ * @returns Recorders (observeRequest, observeDiagnosis, observeDiagnosisError, observeFollowUp),
+ *          `gauge` for values read at scrape time, and `render`
+ */
+function createServiceMetrics() {
+  const registry = createRegistry();
+
+  const httpRequests = registry.counter("defi_agent_http_requests_total", "HTTP requests by method, route and status code");
+  const httpDuration = registry.histogram("defi_agent_http_request_duration_seconds", "HTTP request duration by method and route");
+  const diagnoses = registry.counter("defi_agent_diagnoses_total", "Diagnoses by provider, error category and whether the store answered");
+  const diagnosisErrors = registry.counter("defi_agent_diagnosis_errors_total", "Diagnoses that failed, by provider");
+  const diagnosisDuration = registry.histogram(
+    "defi_agent_diagnosis_duration_seconds",
+    "Wall time of fresh diagnoses by provider",
+    MODEL_LATENCY_BUCKETS
+  );
+  const modelRequests = registry.counter("defi_agent_model_requests_total", "Model API requests by provider, model and turn");
+  const tokens = registry.counter("defi_agent_model_tokens_total", "Model tokens by provider, model, turn and direction (input / output)");
+  const cost = registry.counter("defi_agent_model_cost_usd_total", "Model cost in USD by model (priced models only)");
+  const turnLatency = registry.histogram(
+    "defi_agent_model_turn_duration_seconds",
+    "Time spent waiting on the model per turn (report, diagnosis, codeFix, risk, review, custom turns, followUp)",
+    MODEL_LATENCY_BUCKETS
+  );
+
+  // Token counts of a diagnoseTxFailure / askFollowUp `usage`
+  function observeUsage(provider, usage) {
+    if (!usage) return;
+    for (const turn of usage.turns || []) {
+      const labels = { provider, model: turn.model || usage.model, turn: turn.turn };
+      modelRequests.inc(labels, turn.requests);
+      tokens.inc({ ...labels, direction: "input" }, turn.inputTokens);
+      tokens.inc({ ...labels, direction: "output" }, turn.outputTokens);
+      turnLatency.observe({ provider, turn: turn.turn }, turn.latencyMs / 1000);
+      if (turn.costUsd) cost.inc({ model: labels.model }, turn.costUsd);
+    }
+  }
+
+  return {
+    /** `route` is the route pattern (e.g. /diagnoses/:id), so ids don't create series */
+    observeRequest(method, route, status, durationMs) {
+      httpRequests.inc({ method, route, status });
+      httpDuration.observe({ method, route }, durationMs / 1000);
+    },
+    /** A diagnosisStore.diagnose result; cached ones count as diagnoses but add no tokens */
+    observeDiagnosis(result) {
+      diagnoses.inc({ provider: result.provider, category: result.errorCategory.key, cached: Boolean(result.cached) });
+      if (result.cached) return;
+      if (result.durationMs !== undefined) diagnosisDuration.observe({ provider: result.provider }, result.durationMs / 1000);
+      observeUsage(result.provider, result.usage);
+    },
+    observeDiagnosisError(provider) {
+      diagnosisErrors.inc({ provider });
+    },
+    observeFollowUp(followUp) {
+      observeUsage(followUp.provider, followUp.usage);
+    },
+    gauge: registry.gauge,
+    render: registry.render,
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createServiceMetrics,
+  LATENCY_BUCKETS,
+};
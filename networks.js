@@ -0,0 +1,257 @@
+/**
+ * Network Registry
+ * Chain id, native currency, block explorer and fee model of the networks the
+ * agent knows, and parsers that turn the free-form amounts found in txData
+ * ("30 Gwei", "1.5", "0x5208", "21,000") into exact integers, so the context
+ * and prompt state values in the chain's own units.
+ */
+
+const { formatUnits, parseUnits } = require("ethers");
+
+const ETH = { symbol: "ETH", decimals: 18 };
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+const NETWORKS = [
+  {
+    chainId: 1,
+    name: "Ethereum Mainnet",
+    aliases: ["ethereum", "mainnet", "eth"],
+    nativeCurrency: ETH,
+    explorer: "https://etherscan.io",
+    eip1559: true,
+    l2: null,
+  },
+  {
+    chainId: 10,
+    name: "Optimism",
+    aliases: ["op mainnet", "op"],
+    nativeCurrency: ETH,
+    explorer: "https://optimistic.etherscan.io",
+    eip1559: true,
+    l2: "op-stack",
+  },
+  {
+    chainId: 56,
+    name: "BSC",
+    aliases: ["bnb chain", "bnb smart chain", "binance smart chain"],
+    nativeCurrency: { symbol: "BNB", decimals: 18 },
+    explorer: "https://bscscan.com",
+    eip1559: false,
+    l2: null,
+  },
+  {
+    chainId: 137,
+    name: "Polygon",
+    aliases: ["polygon pos", "matic"],
+    nativeCurrency: { symbol: "POL", decimals: 18, aliases: ["MATIC"] },
+    explorer: "https://polygonscan.com",
+    eip1559: true,
+    l2: null,
+    facts: ["Validators enforce a minimum priority fee; transactions priced below it stay pending rather than fail."],
+  },
+  {
+    chainId: 8453,
+    name: "Base",
+    aliases: ["base mainnet"],
+    nativeCurrency: ETH,
+    explorer: "https://basescan.org",
+    eip1559: true,
+    l2: "op-stack",
+  },
+  {
+    chainId: 42161,
+    name: "Arbitrum",
+    aliases: ["arbitrum one", "arb"],
+    nativeCurrency: ETH,
+    explorer: "https://arbiscan.io",
+    eip1559: true,
+    l2: "arbitrum",
+  },
+  {
+    chainId: 43114,
+    name: "Avalanche",
+    aliases: ["avalanche c-chain", "avax"],
+    nativeCurrency: { symbol: "AVAX", decimals: 18 },
+    explorer: "https://snowtrace.io",
+    eip1559: true,
+    l2: null,
+  },
+  {
+    chainId: 11155111,
+    name: "Sepolia",
+    aliases: ["sepolia testnet"],
+    nativeCurrency: ETH,
+    explorer: "https://sepolia.etherscan.io",
+    eip1559: true,
+    l2: null,
+    testnet: true,
+  },
+  {
+    chainId: 31337,
+    name: "Local (Anvil/Hardhat)",
+    aliases: ["anvil", "hardhat", "local"],
+    nativeCurrency: ETH,
+    explorer: null,
+    eip1559: true,
+    l2: null,
+    testnet: true,
+  },
+];
+
+// How rollups charge for posting data to Ethereum, which gasUsed × gasPrice alone misses
+const L2_FEE_MODELS = {
+  arbitrum: [
+    "Arbitrum folds the L1 calldata cost into gasUsed (receipt.gasUsedForL1), so gas limits that fit on Ethereum can run out here and estimates rise with L1 gas prices.",
+    "Only the base fee is charged; priority fees are ignored.",
+  ],
+  "op-stack": [
+    "OP Stack fee = L2 gasUsed × gas price + an L1 data fee (receipt.l1Fee) for posting the transaction to Ethereum.",
+    "The L1 data fee is charged outside the gas limit and grows with calldata size, so it never causes out-of-gas but can exceed the execution fee.",
+  ],
+};
+
+/**
+ * Looks a network up by chain id (number, decimal or 0x string) or by name / alias.
+ * @returns {object|null} Registry entry
+ */
+function getNetwork(key) {
+  if (key === undefined || key === null || key === "") return null;
+  const text = String(key).trim();
+  if (/^(0x[0-9a-f]+|\d+)$/i.test(text)) return NETWORKS.find((n) => n.chainId === Number(text)) || null;
+
+  const name = text.toLowerCase();
+  return NETWORKS.find((n) => n.name.toLowerCase() === name || n.aliases.includes(name)) || null;
+}
+
+/**
+ * The network of a transaction: `chainId` wins over the free-text `network`.
+ * Unknown chains get an entry with `known: false` and null currency / fee model.
+ */
+function resolveNetwork(txData) {
+  const entry = getNetwork(txData.chainId) || (txData.chainId ? null : getNetwork(txData.network));
+  if (entry) return { ...entry, known: true };
+
+  const chainId = /^(0x[0-9a-f]+|\d+)$/i.test(String(txData.chainId || "").trim()) ? Number(txData.chainId) : null;
+  return {
+    chainId,
+    name: txData.network || (chainId ? `Chain ${chainId}` : "Unknown network"),
+    aliases: [],
+    nativeCurrency: null,
+    explorer: null,
+    eip1559: null,
+    l2: null,
+    known: false,
+  };
+}
+
+// ─── Units ────────────────────────────────────────────────────────────────────
+const AMOUNT = /^(\d[\d,_]*(?:\.\d+)?|\.\d+)\s*([a-z]*)$/i;
+
+function splitAmount(value) {
+  const match = String(value).trim().match(AMOUNT);
+  return match ? { number: match[1].replace(/[,_]/g, ""), unit: match[2].toLowerCase() } : null;
+}
+
+/**
+ * Native-currency amount in its smallest unit. Plain numbers are whole units
+ * ("1.5" = 1.5 ETH on Ethereum, 1.5 POL on Polygon); "wei" / "gwei" suffixes
+ * and 0x hex (wei) are exact. Returns null when unparsable or when the symbol
+ * belongs to another currency ("1.5 ETH" on Polygon).
+ */
+function parseNativeAmount(value, network = null) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (/^0x[0-9a-f]+$/i.test(text)) return BigInt(text);
+
+  const amount = splitAmount(text);
+  if (!amount) return null;
+  const currency = (network && network.nativeCurrency) || null;
+  const decimals = currency ? currency.decimals : 18;
+  try {
+    if (amount.unit === "wei") return BigInt(amount.number);
+    if (amount.unit === "gwei") return parseUnits(amount.number, 9);
+    const symbols = currency ? [currency.symbol, ...(currency.aliases || [])].map((s) => s.toLowerCase()) : [];
+    if (amount.unit && !symbols.includes(amount.unit)) return null;
+    return parseUnits(amount.number, decimals);
+  } catch {
+    return null; // More decimals than the currency has, or a fractional wei amount
+  }
+}
+
+/**
+ * Gas price in wei. "30 Gwei", "30" (Gwei, the schema's unit), "30000000000 wei"
+ * or 0x hex (wei). A bare integer of 10+ digits can only be wei.
+ */
+function parseGasPrice(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  if (/^0x[0-9a-f]+$/i.test(text)) return BigInt(text);
+
+  const amount = splitAmount(text);
+  if (!amount) return null;
+  try {
+    if (amount.unit === "wei") return BigInt(amount.number);
+    if (amount.unit === "gwei" || (amount.unit === "" && !/^\d{10,}$/.test(amount.number))) return parseUnits(amount.number, 9);
+    if (amount.unit === "") return BigInt(amount.number);
+  } catch {
+    // Fractional wei
+  }
+  return null;
+}
+
+// Gas units: "21000", "21,000" or 0x hex
+function parseGasUnits(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim().replace(/[,_]/g, "");
+  return /^(0x[0-9a-f]+|\d+)$/i.test(text) ? BigInt(text) : null;
+}
+
+function formatNative(wei, network = null) {
+  const currency = network && network.nativeCurrency;
+  return currency ? `${formatUnits(wei, currency.decimals)} ${currency.symbol}` : `${formatUnits(wei, 18)} (native currency)`;
+}
+
+function formatGwei(wei) {
+  return `${formatUnits(wei, 9)} Gwei`;
+}
+
+function explorerTxUrl(network, hash) {
+  return network && network.explorer && /^0x[0-9a-fA-F]{64}$/.test(hash || "") ? `${network.explorer}/tx/${hash}` : null;
+}
+
+// ─── Prompt Facts ─────────────────────────────────────────────────────────────
+/**
+ * Chain-specific facts for the prompt: currency, fee model and L2 fee rules.
+ * @returns {string[]}
+ */
+function describeNetwork(network) {
+  if (!network.known) {
+    return [
+      network.chainId
+        ? `Chain ${network.chainId} is not in the network registry: its native currency and fee model are unknown.`
+        : "The network is unknown (no chainId given): do not assume Ethereum mainnet prices or currency.",
+    ];
+  }
+
+  const facts = [
+    `${network.name} (chain id ${network.chainId}${network.testnet ? ", testnet" : ""}); fees and value are paid in ${network.nativeCurrency.symbol} (${network.nativeCurrency.decimals} decimals).`,
+    network.eip1559
+      ? "Fee model: EIP-1559 (base fee burned, plus a priority fee)."
+      : "Fee model: legacy gas price (no EIP-1559 base fee).",
+  ];
+  return [...facts, ...(L2_FEE_MODELS[network.l2] || []), ...(network.facts || [])];
+}
+
+module.exports = {
+  NETWORKS,
+  L2_FEE_MODELS,
+  getNetwork,
+  resolveNetwork,
+  parseNativeAmount,
+  parseGasPrice,
+  parseGasUnits,
+  formatNative,
+  formatGwei,
+  explorerTxUrl,
+  describeNetwork,
+};
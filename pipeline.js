@@ -0,0 +1,227 @@
+/**
+ * Analysis Pipeline
+ * Which turns a diagnosis runs, and with what model, output token budget and
+ * timeout. A depth mode picks the turns: quick answers in one combined report
+ * turn, standard runs diagnosis, code fix and risk, and deep adds a review of
+ * other causes that fit the evidence. Custom turns add sections of their own,
+ * answered in text or, with a `schema`, through a tool. resolvePipeline checks
+ * a caller's config and returns the plain-JSON pipeline diagnoseTxFailure runs
+ * (and the diagnosis store fingerprints).
+ */
+
+const { DIAGNOSIS_TOOL, RISK_TOOL, REPORT_TOOL } = require("./diagnosisReport");
+
+const DEFAULT_MODEL = "claude-opus-4-6";
+const DEFAULT_DEPTH = "standard";
+
+// Turns the agent has prompts for; "report" is the diagnosis and risk assessment in one tool call
+const BUILT_IN_TURNS = ["report", "diagnosis", "codeFix", "risk", "review"];
+
+const DEPTH_MODES = {
+  quick: { sections: ["report"], maxTokens: 4096, maxEvidenceRounds: 0 },
+  standard: { sections: ["diagnosis", "codeFix", "risk"], maxTokens: 8096, maxEvidenceRounds: 4 },
+  deep: { sections: ["diagnosis", "codeFix", "risk", "review"], maxTokens: 16000, maxEvidenceRounds: 8 },
+};
+
+const MAX_TOKENS_LIMIT = 64000;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 600000;
+const MAX_EVIDENCE_ROUNDS_LIMIT = 10;
+const MAX_CUSTOM_TURNS = 5;
+const MAX_PROMPT = 4000;
+const MAX_MODEL_NAME = 100;
+
+const TURN_NAME = /^[a-z][a-zA-Z0-9]{0,39}$/;
+const RESERVED_TOOL_NAMES = [DIAGNOSIS_TOOL, RISK_TOOL, REPORT_TOOL].map((tool) => tool.name);
+
+// ─── Custom Turns ─────────────────────────────────────────────────────────────
+// mevExposure -> record_mev_exposure
+const customToolName = (turnName) => `record_${turnName.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)}`;
+
+/**
+ * The tool a custom turn with a `schema` answers through.
+ * @param {object} turn - A turn of a resolved pipeline
+ */
+function customTurnTool(turn) {
+  return {
+    name: customToolName(turn.name),
+    description: `Record the ${turn.name} section of the analysis.`,
+    input_schema: turn.schema,
+  };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+function integerIn(field, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Pipeline ${field} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function modelName(field, value) {
+  if (typeof value !== "string" || !value.trim() || value.length > MAX_MODEL_NAME) {
+    throw new Error(`Pipeline ${field} must be a model name of at most ${MAX_MODEL_NAME} characters`);
+  }
+  return value.trim();
+}
+
+// model / maxTokens / timeoutMs, each optional; `prefix` names the settings in error messages
+function turnSettings(prefix, settings) {
+  const known = ["model", "maxTokens", "timeoutMs"];
+  const field = (key) => `${prefix}${key}`;
+  const unknown = Object.keys(settings).filter((key) => !known.includes(key));
+  if (unknown.length) throw new Error(`Pipeline ${field(unknown[0])} is not a known setting (${known.join(", ")})`);
+  return {
+    ...(settings.model !== undefined ? { model: modelName(field("model"), settings.model) } : {}),
+    ...(settings.maxTokens !== undefined ? { maxTokens: integerIn(field("maxTokens"), settings.maxTokens, 1, MAX_TOKENS_LIMIT) } : {}),
+    ...(settings.timeoutMs !== undefined
+      ? { timeoutMs: integerIn(field("timeoutMs"), settings.timeoutMs, MIN_TIMEOUT_MS, MAX_TIMEOUT_MS) }
+      : {}),
+  };
+}
+
+function customTurn(turn, i) {
+  const field = `customTurns[${i}]`;
+  if (!isObject(turn)) throw new Error(`Pipeline ${field} must be an object`);
+  if (typeof turn.name !== "string" || !TURN_NAME.test(turn.name)) {
+    throw new Error(`Pipeline ${field}.name must be camelCase letters and digits (at most 40), starting with a lowercase letter`);
+  }
+  if (BUILT_IN_TURNS.includes(turn.name) || RESERVED_TOOL_NAMES.includes(customToolName(turn.name))) {
+    throw new Error(`Pipeline ${field}.name '${turn.name}' is taken by a built-in turn`);
+  }
+  if (typeof turn.prompt !== "string" || !turn.prompt.trim() || turn.prompt.length > MAX_PROMPT) {
+    throw new Error(`Pipeline ${field}.prompt must be a non-empty string of at most ${MAX_PROMPT} characters`);
+  }
+  if (turn.schema !== undefined && !(isObject(turn.schema) && turn.schema.type === "object" && isObject(turn.schema.properties))) {
+    throw new Error(`Pipeline ${field}.schema must be a JSON Schema with type "object" and properties`);
+  }
+  return { name: turn.name, prompt: turn.prompt.trim(), ...(turn.schema ? { schema: turn.schema } : {}) };
+}
+
+function checkSections(sections, known) {
+  if (!Array.isArray(sections) || sections.length === 0) throw new Error("Pipeline sections must be a non-empty array of turn names");
+  sections.forEach((name, i) => {
+    if (!known.includes(name)) throw new Error(`Pipeline sections[${i}] '${name}' is not a built-in or custom turn`);
+    if (sections.indexOf(name) !== i) throw new Error(`Pipeline sections lists '${name}' twice`);
+  });
+  // Every other turn builds on the diagnosis
+  if (!["diagnosis", "report"].includes(sections[0])) throw new Error("Pipeline sections must start with 'diagnosis' or 'report'");
+  if (sections.includes("report") && sections.some((name) => name === "diagnosis" || name === "risk")) {
+    throw new Error("Pipeline section 'report' already covers 'diagnosis' and 'risk'");
+  }
+  if (sections.indexOf("report") > 0) throw new Error("Pipeline section 'report' must come first");
+  return sections;
+}
+
+const RESOLVED_FIELDS = ["depth", "model", "maxTokens", "timeoutMs", "maxEvidenceRounds", "tokenBudget", "turns"];
+
+// A resolved pipeline (sent back by a client, or read from a job file) as the config
+// that resolves to it, so it goes through the same checks
+function asConfig(pipeline) {
+  const unknown = Object.keys(pipeline).filter((key) => !RESOLVED_FIELDS.includes(key));
+  if (unknown.length) throw new Error(`Pipeline ${unknown[0]} is not a known setting`);
+  pipeline.turns.forEach((turn, i) => {
+    if (!isObject(turn)) throw new Error(`Pipeline turns[${i}] must be an object`);
+  });
+  // Resolved pipelines carry null for "no timeout" and "no budget"
+  const settings = ({ model, maxTokens, timeoutMs }) => ({ model, maxTokens, ...(timeoutMs !== null ? { timeoutMs } : {}) });
+  const { depth, maxEvidenceRounds, tokenBudget, turns } = pipeline;
+
+  return {
+    depth,
+    ...settings(pipeline),
+    maxEvidenceRounds,
+    ...(tokenBudget !== null ? { tokenBudget } : {}),
+    sections: turns.map((turn) => turn.name),
+    turnOptions: Object.fromEntries(turns.map((turn) => [turn.name, settings(turn)])),
+    customTurns: turns
+      .filter((turn) => !BUILT_IN_TURNS.includes(turn.name))
+      .map(({ name, prompt, schema }) => ({ name, prompt, ...(schema !== undefined ? { schema } : {}) })),
+  };
+}
+
+/**
+ * Resolves a pipeline config. Every field is optional; a resolved pipeline is
+ * checked like a config and returned as it resolves.
+ * @param {object} [config]
+ * @param {string} [config.depth] - quick | standard | deep (default standard)
+ * @param {string} [config.model] - Model of every turn (default claude-opus-4-6)
+ * @param {number} [config.maxTokens] - Output token limit per model request (default: the depth's)
+ * @param {number} [config.timeoutMs] - Limit per model request (default: the provider's own)
+ * @param {number} [config.maxEvidenceRounds] - Lookup rounds per structured turn (default: the depth's)
+ * @param {number} [config.tokenBudget] - Input + output tokens after which the remaining turns are skipped
+ * @param {string[]} [config.sections] - Turns to run, in order (default: the depth's, then the custom turns)
+ * @param {object} [config.turnOptions] - Per-turn model / maxTokens / timeoutMs, e.g. { codeFix: { model: "claude-haiku-4-5" } }
+ * @param {object[]} [config.customTurns] - { name, prompt, schema? }; with a schema the turn answers through a tool
+ * @returns {{ depth, model, maxTokens, timeoutMs, maxEvidenceRounds, tokenBudget, turns: object[] }}
+ *          Each turn: { name, model, maxTokens, timeoutMs } (custom turns add prompt and schema)
+ */
+function resolvePipeline(config = {}) {
+  if (!isObject(config)) throw new Error("Pipeline config must be an object");
+  if (Array.isArray(config.turns)) return resolvePipeline(asConfig(config));
+
+  const known = ["depth", "model", "maxTokens", "timeoutMs", "maxEvidenceRounds", "tokenBudget", "sections", "turnOptions", "customTurns"];
+  const unknown = Object.keys(config).filter((key) => !known.includes(key));
+  if (unknown.length) throw new Error(`Pipeline ${unknown[0]} is not a known setting`);
+
+  const depth = config.depth || DEFAULT_DEPTH;
+  if (!Object.keys(DEPTH_MODES).includes(depth)) throw new Error(`Pipeline depth must be one of ${Object.keys(DEPTH_MODES).join(", ")}`);
+  const mode = DEPTH_MODES[depth];
+
+  const defaults = {
+    model: DEFAULT_MODEL,
+    maxTokens: mode.maxTokens,
+    timeoutMs: null,
+    ...turnSettings("", { model: config.model, maxTokens: config.maxTokens, timeoutMs: config.timeoutMs }),
+  };
+  const maxEvidenceRounds =
+    config.maxEvidenceRounds === undefined
+      ? mode.maxEvidenceRounds
+      : integerIn("maxEvidenceRounds", config.maxEvidenceRounds, 0, MAX_EVIDENCE_ROUNDS_LIMIT);
+  const tokenBudget = config.tokenBudget === undefined ? null : integerIn("tokenBudget", config.tokenBudget, 1, Number.MAX_SAFE_INTEGER);
+
+  const customTurns = config.customTurns || [];
+  if (!Array.isArray(customTurns) || customTurns.length > MAX_CUSTOM_TURNS) {
+    throw new Error(`Pipeline customTurns must be an array of at most ${MAX_CUSTOM_TURNS} turns`);
+  }
+  const custom = customTurns.map(customTurn);
+  custom.forEach((turn, i) => {
+    if (custom.findIndex((other) => other.name === turn.name) !== i) throw new Error(`Pipeline customTurns has two turns named '${turn.name}'`);
+  });
+
+  const sections = checkSections(config.sections || [...mode.sections, ...custom.map((turn) => turn.name)], [
+    ...BUILT_IN_TURNS,
+    ...custom.map((turn) => turn.name),
+  ]);
+
+  const turnOptions = config.turnOptions || {};
+  if (!isObject(turnOptions)) throw new Error("Pipeline turnOptions must be an object keyed by turn name");
+  Object.keys(turnOptions).forEach((name) => {
+    if (!sections.includes(name)) throw new Error(`Pipeline turnOptions.${name} names a turn that doesn't run`);
+    if (!isObject(turnOptions[name])) throw new Error(`Pipeline turnOptions.${name} must be an object`);
+  });
+
+  return {
+    depth,
+    ...defaults,
+    maxEvidenceRounds,
+    tokenBudget,
+    turns: sections.map((name) => ({
+      name,
+      ...defaults,
+      ...turnSettings(`turnOptions.${name}.`, turnOptions[name] || {}),
+      ...custom.find((turn) => turn.name === name),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  DEFAULT_DEPTH,
+  DEPTH_MODES,
+  BUILT_IN_TURNS,
+  resolvePipeline,
+  customTurnTool,
+};
@@ -0,0 +1,165 @@
+/**
+ * Prompt Safety
+ * Revert strings, contract/function names and caller-supplied context are
+ * chosen by whoever deployed the contract or submitted the request, so they
+ * are treated as data: sanitized, length-capped, wrapped in <untrusted> tags
+ * and scanned for instruction-like content before reaching the prompt.
+ * After the model answers, its output is checked for approvals and addresses
+ * that do not belong to the transaction.
+ */
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+const FIELD_LIMITS = {
+  revertReason: 500,
+  error: 500,
+  contractName: 100,
+  functionName: 100,
+  network: 60,
+  additionalContext: 2000,
+  callTrace: 4000,
+};
+const DEFAULT_LIMIT = 300;
+
+// Phrases that address the model rather than describe a failure
+const INJECTION_PATTERNS = [
+  { name: "override instructions", regex: /\b(ignore|disregard|forget|override)\b.{0,30}\b(instructions?|prompts?|rules|context)\b/i },
+  { name: "role reassignment", regex: /\byou are (now|no longer)\b|\bact as\b|\bpretend to be\b/i },
+  { name: "system prompt reference", regex: /\b(system|developer) (prompt|message|instructions?)\b/i },
+  { name: "role or tag markup", regex: /<\/?(system|assistant|user|instructions?|untrusted)\b|^\s*(system|assistant|human)\s*:/im },
+  { name: "instructions to the user", regex: /\b(tell|instruct|advise|ask) the user to\b/i },
+  { name: "approval request", regex: /\bapprove\b.{0,40}(\b0x[0-9a-f]{40}\b|unlimited|infinite|max)/i },
+  { name: "fund transfer request", regex: /\b(send|transfer|move)\b.{0,30}\b(funds|eth|tokens|balance)\b.{0,20}\bto\b/i },
+];
+
+const UNLIMITED_APPROVAL = /MaxUint256|type\(uint256\)\.max|2n?\s*\*\*\s*256n?|uint256\(-1\)|0x[fF]{64}\b/;
+const ADDRESS = /\b0x[0-9a-fA-F]{40}\b/g;
+
+// ─── Sanitizing ───────────────────────────────────────────────────────────────
+/**
+ * Strips control, zero-width and bidi-override characters, defuses <untrusted>
+ * tags and caps the length.
+ */
+function sanitizeUntrusted(value, maxLength = DEFAULT_LIMIT) {
+  let text = typeof value === "string" ? value : JSON.stringify(value, null, 2);
+  if (text === undefined) return "";
+
+  text = text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+    .replace(/[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g, "")
+    .replace(/<(\/?)untrusted/gi, "\u2039$1untrusted");
+
+  if (text.length > maxLength) {
+    text = `${text.slice(0, maxLength)}… [truncated ${text.length - maxLength} chars]`;
+  }
+  return text;
+}
+
+/**
+ * Sanitized value wrapped in delimiters the system prompt tells the model to treat as data.
+ */
+function wrapUntrusted(field, value, maxLength = FIELD_LIMITS[field] || DEFAULT_LIMIT) {
+  return `<untrusted field="${field}">${sanitizeUntrusted(value, maxLength)}</untrusted>`;
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+function detectInjection(text) {
+  if (typeof text !== "string" || !text) return [];
+  return INJECTION_PATTERNS.filter((p) => p.regex.test(text)).map((p) => p.name);
+}
+
+/**
+ * Scans every attacker-influenced field of a transaction context.
+ * @returns {Array<{field: string, indicators: string[]}>}
+ */
+function scanUntrustedFields(ctx) {
+  const fields = {
+    revertReason: ctx.revertReason,
+    error: ctx.error,
+    contractName: ctx.contractName,
+    functionName: ctx.functionName,
+    network: ctx.network,
+    additionalContext: JSON.stringify(ctx.additionalContext || {}),
+  };
+  (ctx.decodedRevert ? ctx.decodedRevert.args : [])
+    .filter((arg) => typeof arg.value === "string")
+    .forEach((arg) => (fields[`decodedRevert.${arg.name}`] = arg.value));
+  if (ctx.callTrace) fields.callTrace = ctx.callTrace.tree;
+
+  return Object.entries(fields)
+    .map(([field, text]) => ({ field, indicators: detectInjection(text) }))
+    .filter((flag) => flag.indicators.length > 0);
+}
+
+// ─── Output Check ─────────────────────────────────────────────────────────────
+function collectAddresses(value, into) {
+  if (typeof value === "string") {
+    (value.match(ADDRESS) || []).forEach((a) => into.add(a.toLowerCase()));
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => collectAddresses(v, into));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((v) => collectAddresses(v, into));
+  }
+  return into;
+}
+
+// Addresses established by the transaction itself or read from chain state — not by
+// revert text or caller context (lookup inputs are model-chosen, so only results count)
+function transactionAddresses(ctx) {
+  const known = collectAddresses([ctx.from, ctx.to, ctx.contractAddress], new Set());
+  if (ctx.decodedInput) collectAddresses(ctx.decodedInput.args, known);
+  collectAddresses((ctx.evidence || []).map((entry) => entry.result), known);
+
+  const walk = (frame) => {
+    if (!frame) return;
+    collectAddresses([frame.from, frame.to], known);
+    (frame.calls || []).forEach(walk);
+  };
+  walk(ctx.trace);
+  return known;
+}
+
+/**
+ * Checks model output for addresses and approvals that don't belong to the transaction.
+ * @param {string[]} texts - Everything shown to the user (report fields, code fix)
+ * @param {object} ctx - Transaction context (with the raw `trace` and evidence log, if any)
+ * @returns {string[]} Warnings; empty when nothing suspicious was found
+ */
+function checkModelOutput(texts, ctx) {
+  const known = transactionAddresses(ctx);
+  const warnings = [];
+  const seen = new Set();
+
+  texts
+    .filter((t) => typeof t === "string")
+    .join("\n")
+    .split("\n")
+    .forEach((line) => {
+      const isApproval = /\b(approve|approval|allowance|permit)\b/i.test(line);
+      (line.match(ADDRESS) || []).forEach((address) => {
+        const key = address.toLowerCase();
+        if (known.has(key) || seen.has(key)) return;
+        seen.add(key);
+        warnings.push(
+          isApproval
+            ? `The output recommends an approval involving ${address}, which does not appear in the transaction. Verify it before approving anything.`
+            : `The output mentions ${address}, which does not appear in the transaction.`
+        );
+      });
+      if (isApproval && UNLIMITED_APPROVAL.test(line) && !seen.has("unlimited")) {
+        seen.add("unlimited");
+        warnings.push("The output suggests an unlimited token approval; approve only the amount the transaction needs.");
+      }
+    });
+
+  return warnings;
+}
+
+module.exports = {
+  FIELD_LIMITS,
+  INJECTION_PATTERNS,
+  sanitizeUntrusted,
+  wrapUntrusted,
+  detectInjection,
+  scanUntrustedFields,
+  checkModelOutput,
+};
@@ -0,0 +1,167 @@
+/**
+ * LLM Providers
+ * Every provider exposes `createMessage(params, meta)` with the Anthropic
+ * Messages API request/response shape, so the diagnosis pipeline does not
+ * care which backend answers. Providers that can stream pass text / tool-input
+ * fragments to `meta.onDelta` when it is set; the others are fine ignoring it.
+ * `meta.timeoutMs` (the pipeline turn's timeout) lets a provider cancel its
+ * own request; the agent stops waiting at that point either way.
+ *
+ *   anthropic - Claude via @anthropic-ai/sdk (default)
+ *   rules     - Deterministic templates, no API key (see ruleBasedDiagnoser.js)
+ *   recorded  - Replays responses saved in a fixture file
+ *
+ * Select with DIAGNOSIS_PROVIDER, `--provider` on the CLI, `?provider=` on
+ * the API, or the `provider` option of diagnoseTxFailure. `readiness()`
+ * reports whether a provider can answer without calling it.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Anthropic = require("@anthropic-ai/sdk");
+const { createRuleBasedProvider } = require("./ruleBasedDiagnoser");
+
+const PROVIDER_NAMES = ["anthropic", "rules", "recorded"];
+// The shipped fixtures, wherever the process was started from
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "recorded-responses.json");
+
+const instances = {};
+
+// ─── Anthropic ────────────────────────────────────────────────────────────────
+function createAnthropicProvider() {
+  let client = null;
+  return {
+    name: "anthropic",
+    // The SDK reads ANTHROPIC_API_KEY or ANTHROPIC_AUTH_TOKEN
+    readiness() {
+      return process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_AUTH_TOKEN
+        ? { ready: true }
+        : { ready: false, reason: "ANTHROPIC_API_KEY is not set" };
+    },
+    async createMessage(params, meta = {}) {
+      // Created on first use so other providers work without ANTHROPIC_API_KEY
+      if (!client) client = new Anthropic();
+      const requestOptions = meta.timeoutMs ? { timeout: meta.timeoutMs } : undefined;
+      if (!meta.onDelta) return client.messages.create(params, requestOptions);
+
+      const stream = client.messages.stream(params, requestOptions);
+      stream.on("text", (delta) => meta.onDelta(delta));
+      stream.on("inputJson", (delta) => meta.onDelta(delta));
+      return stream.finalMessage();
+    },
+  };
+}
+
+// ─── Recorded Fixtures ────────────────────────────────────────────────────────
+// Requests are keyed by a hash of everything that shapes the answer
+function fixtureKey(params) {
+  const { model, system, messages, tools, tool_choice } = params;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ model, system, messages, tools, tool_choice }))
+    .digest("hex");
+}
+
+function readFixtures(fixturePath) {
+  if (!fs.existsSync(fixturePath)) return {};
+  return JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+}
+
+/**
+ * Replays responses previously saved by a recording provider.
+ * Throws when a request has no recorded response.
+ */
+function createRecordedProvider(fixturePath = process.env.DIAGNOSIS_FIXTURES || DEFAULT_FIXTURES) {
+  let fixtures = null;
+  return {
+    name: "recorded",
+    readiness() {
+      return fs.existsSync(fixturePath) ? { ready: true } : { ready: false, reason: `Fixture file ${fixturePath} does not exist` };
+    },
+    async createMessage(params) {
+      if (!fixtures) fixtures = readFixtures(fixturePath);
+      const key = fixtureKey(params);
+      if (!fixtures[key]) {
+        throw new Error(`No recorded response for request ${key.slice(0, 12)} in ${fixturePath}`);
+      }
+      return fixtures[key];
+    },
+  };
+}
+
+/**
+ * Wraps a provider and saves each response to the fixture file for later replay.
+ */
+function createRecordingProvider(inner, fixturePath) {
+  return {
+    name: inner.name,
+    model: inner.model,
+    readiness: () => inner.readiness(),
+    async createMessage(params, meta) {
+      const response = await inner.createMessage(params, meta);
+      const fixtures = readFixtures(fixturePath);
+      fixtures[fixtureKey(params)] = { content: response.content, usage: response.usage };
+      fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+      fs.writeFileSync(fixturePath, JSON.stringify(fixtures, null, 2));
+      return response;
+    },
+  };
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+/**
+ * Resolves a provider by name (or returns a provider object unchanged).
+ * Falls back to DIAGNOSIS_PROVIDER, then "anthropic". When
+ * DIAGNOSIS_RECORD_FIXTURES is set, responses are also saved to that file.
+ */
+function getProvider(nameOrProvider) {
+  if (nameOrProvider && typeof nameOrProvider === "object") return nameOrProvider;
+
+  const name = nameOrProvider || process.env.DIAGNOSIS_PROVIDER || "anthropic";
+  if (!instances[name]) {
+    switch (name) {
+      case "anthropic":
+        instances[name] = createAnthropicProvider();
+        break;
+      case "rules":
+        instances[name] = createRuleBasedProvider();
+        break;
+      case "recorded":
+        instances[name] = createRecordedProvider();
+        break;
+      default:
+        throw new Error(`Unknown provider: ${name} (available: ${PROVIDER_NAMES.join(", ")})`);
+    }
+  }
+
+  let provider = instances[name];
+
+  if (process.env.DIAGNOSIS_RECORD_FIXTURES && name !== "recorded") {
+    provider = createRecordingProvider(provider, process.env.DIAGNOSIS_RECORD_FIXTURES);
+  }
+  return provider;
+}
+
+/**
+ * Readiness of every provider, and which one is the default.
+ * @returns {{ default: string, providers: Object<string, {ready: boolean, reason?: string}> }}
+ */
+function providerReadiness() {
+  const providers = {};
+  for (const name of PROVIDER_NAMES) {
+    const provider = getProvider(name);
+    providers[name] = provider.readiness ? provider.readiness() : { ready: true };
+  }
+  return { default: process.env.DIAGNOSIS_PROVIDER || "anthropic", providers };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  providerReadiness,
+  createAnthropicProvider,
+  createRecordedProvider,
+  createRecordingProvider,
+  fixtureKey,
+};
@@ -0,0 +1,95 @@
+/**
+ * Shareable Report Page
+ * Renders a stored diagnosis (see diagnosisStore.js) as one markdown document
+ * and as a standalone HTML page, so a permalink can be opened by anyone
+ * without the web UI or an API key.
+ */
+
+const { formatRetryTransaction } = require("./retryTransaction");
+const { renderSectionMarkdown } = require("./diagnosisReport");
+const { describeEvidence } = require("./chainEvidence");
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+function renderReportMarkdown(record) {
+  const sections = [
+    `# ${record.errorCategory.category}: ${record.report.rootCause}`,
+    [
+      `- **Transaction**: ${record.hash}`,
+      `- **Severity**: ${record.report.severity} | **Confidence**: ${record.report.confidence || "not assessed"}`,
+      `- **Diagnosed**: ${record.createdAt} by ${record.provider}${record.model ? ` (${record.model})` : ""}`,
+    ].join("\n"),
+    record.diagnosis,
+  ];
+  // Quick and custom pipelines may leave out the code fix and risk assessment
+  if (record.codeFix) sections.push(`# Code Fix\n${record.codeFix}`);
+  if (record.retryTransaction) sections.push(`# Retry Transaction\n${formatRetryTransaction(record.retryTransaction)}`);
+  if (record.riskAssessment) sections.push(`# Risk Assessment\n${record.riskAssessment}`);
+  Object.entries(record.sections || {}).forEach(([name, content]) => sections.push(renderSectionMarkdown(name, content)));
+  if (record.evidence && record.evidence.length) {
+    sections.push(`# On-chain Lookups\n${record.evidence.map((entry) => `- ${describeEvidence(entry)}`).join("\n")}`);
+  }
+  if (record.safety && record.safety.warnings.length) {
+    sections.push(`# Safety Warnings\n${record.safety.warnings.map((w) => `- ${w}`).join("\n")}`);
+  }
+  record.followUps.forEach((f) => sections.push(`# Q: ${f.question.split("\n")[0]}\n${f.answer}`));
+  return sections.join("\n\n");
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+const escapeHtml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Same minimal renderer as the web UI; everything is escaped before tags are added
+function markdownToHtml(text) {
+  const html = escapeHtml(text)
+    .replace(/```(\w*)\n([\s\S]*?)```/g, (_, lang, code) => `<pre><code>${code}</code></pre>`)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/^#{3}\s+(.+)$/gm, "<h3>$1</h3>")
+    .replace(/^#{2}\s+(.+)$/gm, "<h3>$1</h3>")
+    .replace(/^#\s+(.+)$/gm, "<h2>$1</h2>")
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/^&gt;\s+(.+)$/gm, "<blockquote>$1</blockquote>")
+    .replace(/^\s*(?:\d+\.|[-*])\s+(.+)$/gm, "<li>$1</li>");
+  return html.replace(/(<li>[\s\S]*?<\/li>\n?)+/g, (m) => `<ul>${m}</ul>`);
+}
+
+/**
+ * Standalone HTML page of one or more markdown documents, separated by a rule.
+ * @param {string} title
+ * @param {string[]} documents
+ */
+function renderHtmlPage(title, documents) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="robots" content="noindex" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { background: #050a0f; color: #c8dde8; font: 13px/1.8 'Space Mono', monospace; max-width: 860px; margin: 0 auto; padding: 32px 20px; white-space: pre-wrap; }
+  h2 { color: #fff; font-size: 18px; margin: 28px 0 8px; border-bottom: 1px solid #1a3040; }
+  h3 { color: #00e5ff; font-size: 12px; letter-spacing: 1px; text-transform: uppercase; margin: 16px 0 4px; }
+  strong { color: #fff; }
+  code { background: #0f1e2e; border: 1px solid #1a3040; padding: 1px 4px; }
+  pre { background: #0f1e2e; border: 1px solid #1a3040; padding: 12px; overflow-x: auto; }
+  pre code { border: none; padding: 0; }
+  ul { margin: 0; padding-left: 20px; }
+  blockquote { color: #ffb700; border-left: 2px solid #ffb700; padding-left: 10px; }
+  hr { border: none; border-top: 1px solid #1a3040; margin: 32px 0; }
+</style>
+</head>
+<body>${documents.map(markdownToHtml).join("<hr />")}</body>
+</html>
+`;
+}
+
+function renderReportHtml(record) {
+  return renderHtmlPage(`${record.errorCategory.category} — ${record.hash}`, [renderReportMarkdown(record)]);
+}
+
+module.exports = {
+  renderReportMarkdown,
+  renderReportHtml,
+  renderHtmlPage,
+  markdownToHtml,
+};
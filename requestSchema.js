@@ -0,0 +1,394 @@
+/**
+ * Request Schema
+ * JSON Schemas of the API's request bodies (published at GET /schema) and a
+ * validator for the subset of JSON Schema they use. Validation also
+ * normalizes: empty strings count as missing, aliases are resolved, hex and
+ * decimal numbers become decimal strings, gas prices Gwei and addresses are
+ * checksummed, so the routes, the diagnosis cache and the prompt all see one
+ * spelling of each value. Errors list every invalid field.
+ */
+
+const { getAddress, isAddress } = require("ethers");
+const { resolveNetwork, parseNativeAmount, parseGasPrice, parseGasUnits, formatGwei } = require("./networks");
+
+const MAX_TEXT = 10000; // Node error messages and revert strings
+const MAX_NAME = 200;
+const MAX_HEX = 200000; // 100 kB of calldata or revert data
+const MAX_BATCH = 10;
+const MAX_PROMPT = 4000;
+
+// ─── Formats ──────────────────────────────────────────────────────────────────
+// Each returns { value } (normalized) or { error }; `parent` is the object holding the field
+const HASH = /^0x[0-9a-fA-F]{64}$/;
+const HEX_DATA = /^0x([0-9a-fA-F]{2})*$/;
+const TRUNCATED_HEX = /^0x[0-9a-fA-F]*(\.{2,}|…)$/;
+
+const ok = (value) => ({ value });
+const bad = (error) => ({ error });
+const text = (value) => (typeof value === "number" ? String(value) : value.trim());
+
+function unsigned(value) {
+  if (typeof value === "number") return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+  return parseGasUnits(value);
+}
+
+const FORMATS = {
+  "tx-hash": (value) => (HASH.test(text(value)) ? ok(text(value).toLowerCase()) : bad("must be a 32-byte hash (0x + 64 hex characters)")),
+
+  address: (value) => {
+    const address = text(value);
+    if (isAddress(address)) return ok(getAddress(address));
+    return bad(/^0x[0-9a-fA-F]{40}$/.test(address) ? "has an invalid EIP-55 checksum" : "must be a 20-byte address (0x + 40 hex characters)");
+  },
+
+  uint: (value) => {
+    const number = unsigned(value);
+    return number === null ? bad('must be a non-negative integer (decimal, 0x hex or "21,000")') : ok(number.toString());
+  },
+
+  integer: (value) => {
+    const number = unsigned(value);
+    return number === null || number > BigInt(Number.MAX_SAFE_INTEGER)
+      ? bad("must be a non-negative integer (decimal or 0x hex)")
+      : ok(Number(number));
+  },
+
+  "gas-price": (value) => {
+    const wei = parseGasPrice(text(value));
+    return wei === null ? bad('must be a gas price: "30 Gwei", a number in Gwei, "… wei" or 0x hex wei') : ok(formatGwei(wei));
+  },
+
+  // Checked against the currency of the chain given by chainId / network
+  "native-amount": (value, parent) => {
+    const network = resolveNetwork(parent);
+    if (parseNativeAmount(text(value), network) !== null) return ok(text(value));
+    const currency = network.nativeCurrency ? network.nativeCurrency.symbol : "the native currency";
+    return bad(`must be an amount of ${currency}: whole units ("1.5"), "… wei" or 0x hex wei`);
+  },
+
+  "hex-data": (value) =>
+    HEX_DATA.test(value) || TRUNCATED_HEX.test(value)
+      ? ok(value)
+      : bad("must be 0x-prefixed hex with whole bytes (a trailing ... marks truncated data)"),
+
+  // ISO 8601, or unix seconds
+  "date-time": (value) => {
+    const time = typeof value === "number" ? value * 1000 : Date.parse(value);
+    return Number.isFinite(time) && !Number.isNaN(new Date(time).getTime())
+      ? ok(new Date(time).toISOString())
+      : bad("must be an ISO 8601 date-time or unix seconds");
+  },
+};
+
+// ─── Schemas ──────────────────────────────────────────────────────────────────
+const string = (maxLength, description) => ({ type: "string", maxLength, description });
+const address = (description) => ({ type: "string", format: "address", description });
+const uint = (description) => ({ type: ["string", "integer"], format: "uint", description });
+const gasPrice = (description) => ({ type: ["string", "number"], format: "gas-price", description });
+const hexData = (description) => ({ type: "string", format: "hex-data", maxLength: MAX_HEX, description });
+
+const USER_OPERATION = {
+  type: "object",
+  description: "ERC-4337 UserOperation (v0.6 or v0.7 fields)",
+  properties: {
+    sender: address("Smart account address"),
+    nonce: uint("192-bit key and 64-bit sequence"),
+    initCode: hexData("v0.6: factory address + factory calldata"),
+    factory: address("v0.7: account factory"),
+    factoryData: hexData("v0.7: factory calldata"),
+    callData: hexData("Call the account executes"),
+    callGasLimit: uint("Gas for the execution phase"),
+    verificationGasLimit: uint("Gas for account deployment and validation"),
+    preVerificationGas: uint("Gas paid to the bundler for calldata and overhead"),
+    maxFeePerGas: gasPrice("EIP-1559 fee cap"),
+    maxPriorityFeePerGas: gasPrice("EIP-1559 priority fee cap"),
+    paymasterAndData: hexData("v0.6: paymaster address + paymaster data"),
+    paymaster: address("v0.7: paymaster"),
+    paymasterVerificationGasLimit: uint("v0.7: gas for paymaster validation"),
+    paymasterPostOpGasLimit: uint("v0.7: gas for the paymaster's postOp"),
+    paymasterData: hexData("v0.7: paymaster data"),
+    signature: hexData("Account signature"),
+    entryPoint: address("EntryPoint the operation was sent to"),
+  },
+};
+
+const SAFE_TRANSACTION = {
+  type: "object",
+  description: "Safe multisig transaction (execTransaction arguments)",
+  properties: {
+    safe: address("Safe proxy address"),
+    to: address("Target of the inner call"),
+    value: uint("Wei sent with the inner call"),
+    data: hexData("Calldata of the inner call"),
+    operation: { type: ["string", "integer"], format: "integer", maximum: 1, description: "0 = CALL, 1 = DELEGATECALL" },
+    safeTxGas: uint("Gas reserved for the inner call (0 = revert on failure)"),
+    baseGas: uint("Gas refunded on top of the inner call"),
+    gasPrice: uint("Refund price per gas, in gasToken units (0 = no refund)"),
+    gasToken: address("Refund token (zero address = native currency)"),
+    refundReceiver: address("Refund receiver (zero address = executor)"),
+    nonce: uint("Safe nonce"),
+    signatures: hexData("Owner signatures, 65 bytes each, sorted by owner"),
+    threshold: { type: ["string", "integer"], format: "integer", minimum: 1, description: "Signatures required" },
+  },
+};
+
+const TRANSACTION_FIELDS = {
+  type: "object",
+  additionalProperties: false,
+  // Alternative field names: used when the canonical field is missing
+  aliases: { errorMessage: "error", txHash: "hash", gas: "gasLimit", baseFeePerGas: "baseFee", input: "inputData", data: "inputData" },
+  properties: {
+    hash: { type: "string", format: "tx-hash", description: "Transaction hash (0x + 64 hex characters)" },
+    chainId: { type: ["string", "integer"], format: "integer", description: "Chain id, decimal or 0x hex; takes precedence over network" },
+    network: string(100, "Network name or alias"),
+    status: { type: "string", enum: ["failed", "success"], description: "Receipt status (set by fetch-by-hash)" },
+    blockNumber: { type: ["string", "integer"], format: "integer", description: "Block the transaction was mined in" },
+    from: address("Sender address"),
+    to: address("Recipient or contract address"),
+    contractAddress: address("Contract that failed, when not `to`"),
+    contractName: string(MAX_NAME, "Human-readable contract name"),
+    functionName: string(MAX_NAME, "Function that was called (decoded from inputData when omitted)"),
+    gasUsed: uint("Gas units consumed"),
+    gasLimit: uint("Gas limit"),
+    gasPrice: gasPrice('Gas price: "30 Gwei", a number in Gwei, "… wei" or 0x hex wei'),
+    maxFeePerGas: gasPrice("EIP-1559 fee cap"),
+    maxPriorityFeePerGas: gasPrice("EIP-1559 priority fee cap"),
+    baseFee: gasPrice("Base fee of the block"),
+    estimatedGas: uint("Gas estimate for the call"),
+    gasUsedForL1: uint("Arbitrum: part of gasUsed paid for L1 calldata"),
+    l1Fee: uint("OP Stack: L1 data fee in wei"),
+    value: { type: ["string", "number"], format: "native-amount", description: 'Native-currency value: "1.5" or "1.5 POL" in whole units, "… wei" or 0x hex wei' },
+    nonce: uint("Transaction nonce"),
+    error: string(MAX_TEXT, "Raw error message"),
+    errorMessage: string(MAX_TEXT, "Error message from the wallet or library (used as error when that is missing)"),
+    revertReason: string(MAX_TEXT, "Decoded revert reason"),
+    revertData: hexData("Raw revert bytes"),
+    inputData: hexData("Calldata"),
+    trace: { type: "object", description: "debug_traceTransaction callTracer output" },
+    abi: { type: ["array", "string"], maxItems: 1000, maxLength: MAX_HEX, description: "Contract ABI (JSON or human-readable)" },
+    timestamp: { type: ["string", "integer"], format: "date-time", description: "ISO 8601 timestamp or unix seconds" },
+    additionalContext: { type: "object", maxProperties: 100, description: "Any extra context (amounts, prices, ...)" },
+    userOperation: USER_OPERATION,
+    entryPoint: address("EntryPoint the UserOperation was sent to"),
+    safeTransaction: SAFE_TRANSACTION,
+  },
+};
+
+// Checked further by resolvePipeline (pipeline.js): section order, turnOptions keys, custom turn names
+const PIPELINE = {
+  type: "object",
+  additionalProperties: false,
+  description: "Analysis pipeline: depth mode, models, token budgets, timeouts and sections",
+  properties: {
+    depth: { type: "string", enum: ["quick", "standard", "deep"], description: "quick: one turn; standard: diagnosis, code fix, risk; deep: adds a review" },
+    model: string(100, "Model of every turn"),
+    maxTokens: { type: "integer", minimum: 1, maximum: 64000, description: "Output token limit per model request" },
+    timeoutMs: { type: "integer", minimum: 1000, maximum: 600000, description: "Time limit per model request" },
+    maxEvidenceRounds: { type: "integer", minimum: 0, maximum: 10, description: "On-chain lookup rounds per structured turn" },
+    tokenBudget: { type: "integer", minimum: 1, description: "Input + output tokens after which the remaining turns are skipped" },
+    sections: {
+      type: "array",
+      minItems: 1,
+      maxItems: 10,
+      items: { type: "string", maxLength: 40 },
+      description: "Turns to run, in order: report | diagnosis | codeFix | risk | review | a custom turn",
+    },
+    turnOptions: { type: "object", maxProperties: 10, description: "Per-turn { model, maxTokens, timeoutMs }, keyed by turn name" },
+    customTurns: {
+      type: "array",
+      maxItems: 5,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "prompt"],
+        properties: {
+          name: string(40, "camelCase turn name; also the key of its section in the result"),
+          prompt: string(MAX_PROMPT, "What the turn asks the model"),
+          schema: { type: "object", description: "JSON Schema of a structured answer (type object); omit for a markdown answer" },
+        },
+      },
+    },
+  },
+};
+
+const API_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "DeFi AI Agent API requests",
+  description:
+    "Request bodies of the API. Formats: address (checksummed when mixed-case), tx-hash, uint (decimal, 0x hex or \"21,000\"), integer, gas-price, native-amount, hex-data, date-time. Empty strings count as missing.",
+  routes: {
+    "POST /classify": "#/$defs/transaction",
+    "POST /diagnose": "#/$defs/diagnoseRequest",
+    "POST /diagnose/stream": "#/$defs/diagnoseRequest",
+    "POST /fix": "#/$defs/transaction",
+    "POST /diagnose/by-hash": "#/$defs/byHashRequest",
+    "POST /batch": "#/$defs/batchRequest",
+    "POST /jobs": "#/$defs/jobRequest",
+    "POST /diagnoses/:id/messages": "#/$defs/followUpRequest",
+    "POST /admin/keys": "#/$defs/apiKeyRequest",
+  },
+  $defs: {
+    transaction: { ...TRANSACTION_FIELDS, required: ["error"] },
+    transactionOverrides: TRANSACTION_FIELDS,
+    pipeline: PIPELINE,
+    // A transaction, optionally with the pipeline to run on it
+    diagnoseRequest: {
+      ...TRANSACTION_FIELDS,
+      required: ["error"],
+      properties: { ...TRANSACTION_FIELDS.properties, pipeline: { $ref: "#/$defs/pipeline" } },
+    },
+    byHashRequest: {
+      type: "object",
+      additionalProperties: false,
+      required: ["hash"],
+      properties: {
+        hash: { type: "string", format: "tx-hash", description: "Transaction to fetch from RPC_URL" },
+        overrides: { $ref: "#/$defs/transactionOverrides", description: "Fields the chain can't provide (contractName, abi, ...)" },
+        pipeline: { $ref: "#/$defs/pipeline" },
+      },
+    },
+    batchRequest: {
+      type: "object",
+      additionalProperties: false,
+      required: ["transactions"],
+      properties: {
+        transactions: { type: "array", minItems: 1, maxItems: MAX_BATCH, items: { $ref: "#/$defs/transaction" } },
+        pipeline: { $ref: "#/$defs/pipeline" },
+      },
+    },
+    jobRequest: {
+      type: "object",
+      additionalProperties: false,
+      required: ["transactions"],
+      properties: {
+        transactions: { type: "array", minItems: 1, items: { $ref: "#/$defs/transaction" } },
+        pipeline: { $ref: "#/$defs/pipeline" },
+      },
+    },
+    followUpRequest: {
+      type: "object",
+      additionalProperties: false,
+      required: ["question"],
+      properties: { question: string(4000, "Question about the stored diagnosis") },
+    },
+    apiKeyRequest: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name"],
+      properties: {
+        name: string(100, "Who the key is for"),
+        rateLimitPerMinute: { type: "integer", minimum: 1, description: "Requests per minute (default API_RATE_LIMIT)" },
+        dailyTokenQuota: { type: "integer", minimum: 1, description: "Input + output tokens per UTC day (default API_DAILY_TOKENS)" },
+        dailyCostQuotaUsd: { type: "number", minimum: 0, description: "Model cost in USD per UTC day (default API_DAILY_COST_USD)" },
+      },
+    },
+  },
+};
+
+// ─── Validator ────────────────────────────────────────────────────────────────
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: isObject,
+  array: Array.isArray,
+};
+
+const TYPE_NAMES = { string: "a string", number: "a number", integer: "an integer", boolean: "a boolean", object: "an object", array: "an array" };
+
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+  return API_SCHEMA.$defs[schema.$ref.replace("#/$defs/", "")];
+}
+
+const fieldPath = (parent, key) => (parent ? `${parent}.${key}` : key);
+
+// Empty strings count as missing; aliases fill in their canonical field
+function prepareObject(schema, value, field, errors) {
+  const input = Object.fromEntries(Object.entries(value).filter(([, v]) => !(typeof v === "string" && !v.trim())));
+  for (const [alias, canonical] of Object.entries(schema.aliases || {})) {
+    if (input[alias] === undefined) continue;
+    const declared = Boolean(schema.properties[alias]);
+    if (input[canonical] === undefined) input[canonical] = input[alias];
+    else if (!declared) errors.push({ field: fieldPath(field, alias), message: `is an alias of ${canonical}; give only one` });
+    if (!declared) delete input[alias];
+  }
+  return input;
+}
+
+function checkObject(schema, value, field, errors) {
+  const input = prepareObject(schema, value, field, errors);
+  for (const key of schema.required || []) {
+    if (input[key] === undefined) errors.push({ field: fieldPath(field, key), message: "is required" });
+  }
+  if (schema.maxProperties !== undefined && Object.keys(input).length > schema.maxProperties) {
+    errors.push({ field: field || "(body)", message: `must have at most ${schema.maxProperties} fields` });
+  }
+  if (!schema.properties) return input;
+
+  const output = {};
+  for (const [key, child] of Object.entries(input)) {
+    const childSchema = schema.properties[key];
+    if (childSchema) output[key] = check(childSchema, child, fieldPath(field, key), errors, input);
+    else if (schema.additionalProperties === false) errors.push({ field: fieldPath(field, key), message: "is not a known field" });
+    else output[key] = child;
+  }
+  return output;
+}
+
+function check(rawSchema, value, field, errors, parent) {
+  const schema = resolveRef(rawSchema);
+  const fail = (message) => {
+    errors.push({ field: field || "(body)", message });
+    return value;
+  };
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => TYPE_CHECKS[type](value))) {
+    return fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(" or ")}`);
+  }
+  if (typeof value === "string" && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return fail(`must be at most ${schema.maxLength} characters`);
+  }
+
+  let normalized = value;
+  if (schema.format) {
+    const result = FORMATS[schema.format](value, parent || {});
+    if (result.error) return fail(result.error);
+    normalized = result.value;
+  }
+  if (schema.enum && !schema.enum.includes(normalized)) return fail(`must be one of ${schema.enum.join(", ")}`);
+  if (schema.minimum !== undefined && normalized < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && normalized > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+
+  if (Array.isArray(normalized)) {
+    if (schema.minItems !== undefined && normalized.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && normalized.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) normalized = normalized.map((item, i) => check(schema.items, item, `${field}[${i}]`, errors));
+  } else if (isObject(normalized)) {
+    normalized = checkObject(schema, normalized, field, errors);
+  }
+  return normalized;
+}
+
+/**
+ * Validates and normalizes a request body.
+ * @param {string} name - Key of API_SCHEMA.$defs (e.g. "transaction", "batchRequest")
+ * @param {*} body
+ * @returns {{ value: *, errors: Array<{field: string, message: string}> }} `value` is only usable when `errors` is empty
+ */
+function validateRequest(name, body) {
+  const schema = API_SCHEMA.$defs[name];
+  if (!schema) throw new Error(`Unknown request schema: ${name}`);
+  const errors = [];
+  const value = check(schema, body, "", errors);
+  return { value, errors };
+}
+
+module.exports = {
+  API_SCHEMA,
+  validateRequest,
+};
@@ -0,0 +1,378 @@
+/**
+ * Retry Transaction Builder
+ * Turns a failed transaction into a corrected, unsigned retry for the
+ * categories with a mechanical fix: a higher gas limit (OUT_OF_GAS), a fresh
+ * amountOutMin (SLIPPAGE), an exact-amount approve before the call
+ * (ALLOWANCE), a new deadline (DEADLINE) and the next free nonce (NONCE).
+ *
+ * With an RPC endpoint it also re-quotes the swap, reads the pending nonce and
+ * simulates the steps (eth_simulateV1, falling back to eth_estimateGas) to
+ * show the retry would go through. Fees are left to the wallet.
+ */
+
+const { Interface, getAddress, isAddress } = require("ethers");
+const { detectErrorCategory } = require("./classifier");
+const { resolveFunction } = require("./calldataDecoder");
+const { decodeRevertData } = require("./revertDecoder");
+const { rpcRequest, extractRevertBytes } = require("./rpc");
+const { resolveNetwork, parseNativeAmount, parseGasUnits } = require("./networks");
+const { analyzeGas, TRANSFER_GAS, DEFAULT_CALL_GAS } = require("./gasAnalyzer");
+
+const SUPPORTED_CATEGORIES = ["OUT_OF_GAS", "SLIPPAGE", "ALLOWANCE", "DEADLINE", "NONCE"];
+
+const DEFAULT_SLIPPAGE_BPS = 50;
+const DEFAULT_DEADLINE_SECONDS = 1200;
+const DEFAULT_GAS_BUFFER_PERCENT = 30;
+const APPROVE_GAS = 60000n;
+const EXPIRY_MARGIN_SECONDS = 60;
+
+const MIN_OUT_PARAMS = ["amountOutMin", "amountOutMinimum", "min_dy"];
+const SPEND_AMOUNT_PARAMS = ["amountIn", "amountInMax", "amountInMaximum", "amount", "dx", "repayAmount", "amountTokenDesired"];
+const SPEND_TOKEN_PARAMS = ["tokenIn", "asset", "token"];
+
+const QUOTE_INTERFACE = new Interface([
+  "function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)",
+  "function getAmountsIn(uint256 amountOut, address[] path) view returns (uint256[] amounts)",
+  "function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)",
+]);
+const ERC20_INTERFACE = new Interface(["function approve(address spender, uint256 amount) returns (bool)"]);
+
+// ─── Calldata Editing ─────────────────────────────────────────────────────────
+// Index path of a named argument, looking inside struct params too
+function paramPath(fragment, name) {
+  for (const [i, input] of fragment.inputs.entries()) {
+    if (input.name === name) return [i];
+    const j = input.baseType === "tuple" ? input.components.findIndex((c) => c.name === name) : -1;
+    if (j !== -1) return [i, j];
+  }
+  return null;
+}
+
+/**
+ * Decoded call whose arguments can be read and replaced by name, then re-encoded.
+ * Every replacement is recorded in `changes`.
+ */
+function editableCall({ iface, fragment, data }) {
+  const values = iface.decodeFunctionData(fragment, data).toArray(true);
+  const changes = [];
+  const locate = (name) => {
+    const path = paramPath(fragment, name);
+    return path ? { parent: path.slice(0, -1).reduce((v, i) => v[i], values), index: path[path.length - 1] } : null;
+  };
+
+  return {
+    name: fragment.name,
+    has: (name) => locate(name) !== null,
+    get(name) {
+      const slot = locate(name);
+      return slot ? slot.parent[slot.index] : undefined;
+    },
+    set(name, value) {
+      const slot = locate(name);
+      changes.push({ field: name, from: String(slot.parent[slot.index]), to: String(value) });
+      slot.parent[slot.index] = value;
+    },
+    first(names) {
+      const name = names.find((n) => locate(n));
+      return name ? { name, value: this.get(name) } : null;
+    },
+    encode: () => iface.encodeFunctionData(fragment, values),
+    changes,
+  };
+}
+
+// The token the call pulls from the sender
+function spentToken(call) {
+  const path = call.get("path");
+  if (Array.isArray(path) && isAddress(path[0])) return getAddress(path[0]);
+  // Uniswap V3 packed path: tokenIn is the first 20 bytes
+  if (typeof path === "string" && path.length >= 42) return getAddress(path.slice(0, 42));
+  const param = call.first(SPEND_TOKEN_PARAMS);
+  return param && isAddress(param.value) ? getAddress(param.value) : null;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function isCompleteCalldata(inputData) {
+  return typeof inputData === "string" && /^0x([0-9a-fA-F]{2})*$/.test(inputData.trim());
+}
+
+function withBuffer(gas, percent) {
+  return (gas * BigInt(100 + percent)) / 100n;
+}
+
+function revertMessage(returnData, fallback) {
+  const decoded = returnData && returnData !== "0x" ? decodeRevertData(returnData) : null;
+  return decoded && decoded.reason ? decoded.reason : fallback || "reverted without a reason";
+}
+
+// ─── RPC ──────────────────────────────────────────────────────────────────────
+async function connectRpc(rpcUrl, chainId, notes) {
+  if (!rpcUrl) {
+    notes.push("No RPC endpoint configured: nothing was re-quoted or simulated.");
+    return null;
+  }
+  try {
+    const served = Number(await rpcRequest(rpcUrl, "eth_chainId"));
+    if (chainId && served !== chainId) {
+      notes.push(`The RPC endpoint serves chain ${served} but the transaction is on chain ${chainId}; it was not used.`);
+      return null;
+    }
+    return { url: rpcUrl, chainId: served };
+  } catch (err) {
+    notes.push(`The RPC endpoint could not be reached (${err.message}); nothing was re-quoted or simulated.`);
+    return null;
+  }
+}
+
+async function readContract(rpc, to, fn, args) {
+  const result = await rpcRequest(rpc.url, "eth_call", [{ to, data: QUOTE_INTERFACE.encodeFunctionData(fn, args) }, "latest"]);
+  return QUOTE_INTERFACE.decodeFunctionResult(fn, result);
+}
+
+/**
+ * Fresh quote for the swap's protected amount.
+ * @returns {Promise<{param: string, quote: bigint, bound: "min"|"max"}|null>} Null when the route can't be quoted
+ */
+async function quoteSwap(rpc, call, to, value) {
+  const path = call.get("path");
+  if (Array.isArray(path) && call.has("amountOutMin")) {
+    const amountIn = call.has("amountIn") ? call.get("amountIn") : value;
+    const [amounts] = await readContract(rpc, to, "getAmountsOut", [amountIn, path]);
+    return { param: "amountOutMin", quote: amounts[amounts.length - 1], bound: "min" };
+  }
+  if (Array.isArray(path) && call.has("amountInMax")) {
+    const [amounts] = await readContract(rpc, to, "getAmountsIn", [call.get("amountOut"), path]);
+    return { param: "amountInMax", quote: amounts[0], bound: "max" };
+  }
+  if (call.has("min_dy")) {
+    const [dy] = await readContract(rpc, to, "get_dy", [call.get("i"), call.get("j"), call.get("dx")]);
+    return { param: "min_dy", quote: dy, bound: "min" };
+  }
+  return null;
+}
+
+async function estimateCall(rpc, call) {
+  try {
+    return { success: true, gasUsed: BigInt(await rpcRequest(rpc.url, "eth_estimateGas", [call, "latest"])) };
+  } catch (err) {
+    return { success: false, error: revertMessage(extractRevertBytes(err), err.message) };
+  }
+}
+
+/**
+ * Simulates the steps in order against the latest block. eth_simulateV1 (geth,
+ * anvil) applies each step's state to the next; without it only the first
+ * step can be checked.
+ */
+async function simulate(rpc, txs) {
+  const calls = txs.map((tx) => ({ from: tx.from, to: tx.to, data: tx.data, value: "0x" + tx.value.toString(16) }));
+
+  try {
+    const [block] = await rpcRequest(rpc.url, "eth_simulateV1", [{ blockStateCalls: [{ calls }], validation: false }, "latest"]);
+    const steps = block.calls.map((c) =>
+      c.status === "0x1"
+        ? { success: true, gasUsed: BigInt(c.gasUsed) }
+        : { success: false, error: revertMessage(c.returnData, c.error && c.error.message) }
+    );
+    return { method: "eth_simulateV1", steps };
+  } catch {
+    // Node without eth_simulateV1
+  }
+
+  const first = await estimateCall(rpc, calls[0]);
+  const rest = calls.slice(1).map(() => ({ success: null, skipped: "Depends on the previous step; simulate again once it is mined." }));
+  return { method: "eth_estimateGas", steps: [first, ...rest] };
+}
+
+// ─── Builder ──────────────────────────────────────────────────────────────────
+/**
+ * Builds the corrected retry for a failed transaction.
+ * @param {object} txData - Transaction data (needs from, to and the full inputData)
+ * @param {object} [options]
+ * @param {object} [options.errorCategory] - Precomputed detectErrorCategory result
+ * @param {string} [options.rpcUrl] - Endpoint for quotes, the pending nonce and simulation
+ * @param {number} [options.slippageBps] - Tolerance applied to a fresh quote (default 50 = 0.5%)
+ * @param {number} [options.deadlineSeconds] - New deadline, from now (default 1200)
+ * @param {number} [options.gasBufferPercent] - Added to simulated gas (default 30)
+ * @returns {Promise<object>} { supported, ready, category, steps, simulation, notes } or { supported: false, reason }
+ */
+async function buildRetryTransaction(txData, options = {}) {
+  const errorCategory = options.errorCategory || detectErrorCategory(txData);
+  const category = errorCategory.key;
+  const slippageBps = options.slippageBps === undefined ? DEFAULT_SLIPPAGE_BPS : options.slippageBps;
+  const deadlineSeconds = options.deadlineSeconds || DEFAULT_DEADLINE_SECONDS;
+  const gasBufferPercent = options.gasBufferPercent === undefined ? DEFAULT_GAS_BUFFER_PERCENT : options.gasBufferPercent;
+  const now = options.now || Math.floor(Date.now() / 1000);
+  const unsupported = (reason) => ({ supported: false, ready: false, category, reason, steps: [], simulation: null, notes: [] });
+
+  if (!SUPPORTED_CATEGORIES.includes(category)) {
+    return unsupported(`No automatic retry for ${errorCategory.category}; follow the fix recommendations instead.`);
+  }
+  if (txData.userOperation || txData.safeTransaction) {
+    return unsupported("Smart account transactions are rebuilt and re-signed through the account (or the Safe owners), not as a plain transaction.");
+  }
+  if (!isAddress(txData.from) || !isAddress(txData.to)) return unsupported("`from` and `to` must be addresses.");
+  if (!isCompleteCalldata(txData.inputData)) return unsupported("`inputData` is missing or truncated, so the call cannot be rebuilt.");
+
+  let call = null;
+  const resolved = resolveFunction(txData.inputData, txData.abi ? [txData.abi] : []);
+  try {
+    call = resolved && editableCall(resolved);
+  } catch {
+    // Arguments don't decode against the fragment
+  }
+  if (!call && category !== "OUT_OF_GAS" && category !== "NONCE") {
+    return unsupported("The calldata could not be decoded; pass the contract `abi` to rebuild it.");
+  }
+  if (category === "DEADLINE" && !call.has("deadline")) return unsupported("The call has no `deadline` argument to refresh.");
+
+  const network = resolveNetwork(txData);
+  const value = parseNativeAmount(txData.value || "0", network);
+  if (value === null) return unsupported(`\`value\` (${txData.value}) is not an amount of ${network.name}'s native currency.`);
+
+  const from = getAddress(txData.from);
+  const to = getAddress(txData.to);
+  const notes = [];
+  let ready = true;
+
+  const chainId = network.chainId;
+  const rpc = await connectRpc(options.rpcUrl, chainId, notes);
+
+  // A stale deadline would sink any retry, not just DEADLINE failures
+  if (call && call.has("deadline") && (category === "DEADLINE" || Number(call.get("deadline")) < now + EXPIRY_MARGIN_SECONDS)) {
+    call.set("deadline", BigInt(now + deadlineSeconds));
+  }
+
+  if (category === "SLIPPAGE") {
+    let quoted = null;
+    if (rpc) {
+      quoted = await quoteSwap(rpc, call, to, value).catch((err) => {
+        notes.push(`Re-quoting the swap failed (${err.message}).`);
+        return null;
+      });
+    }
+    if (quoted) {
+      const factor = BigInt(quoted.bound === "min" ? 10000 - slippageBps : 10000 + slippageBps);
+      call.set(quoted.param, (quoted.quote * factor) / 10000n);
+      notes.push(`${quoted.param} recomputed from a fresh quote of ${quoted.quote} with ${slippageBps / 100}% slippage.`);
+    } else {
+      ready = false;
+      const bound = call.first([...MIN_OUT_PARAMS, "amountInMax", "amountInMaximum"]);
+      notes.push(
+        `Could not re-quote this route${rpc ? "" : " without an RPC endpoint"}; get a fresh quote and set ${bound ? bound.name : "the minimum output"} to it minus your slippage tolerance.`
+      );
+    }
+  }
+
+  const steps = [];
+
+  if (category === "ALLOWANCE") {
+    const token = spentToken(call);
+    const amount = call.first(SPEND_AMOUNT_PARAMS);
+    if (!token || !amount) return unsupported("Could not tell which token and amount the call spends.");
+    steps.push({
+      description: `Approve ${to} to spend exactly ${amount.value} (${amount.name}) of ${token}`,
+      tx: { to: token, data: ERC20_INTERFACE.encodeFunctionData("approve", [to, amount.value]), value: 0n, gasLimit: APPROVE_GAS },
+      changes: [],
+    });
+  }
+
+  const originalGas = parseGasUnits(txData.gasLimit);
+  let gasLimit = originalGas || DEFAULT_CALL_GAS;
+  if (category === "OUT_OF_GAS") {
+    const recommended = parseGasUnits(analyzeGas(txData, network).recommendedGasLimit);
+    gasLimit = recommended || (!originalGas || originalGas <= TRANSFER_GAS ? DEFAULT_CALL_GAS : originalGas * 2n);
+  }
+  steps.push({
+    description: `Retry ${call ? call.name : "the original call"} on ${to}`,
+    tx: { to, data: call ? call.encode() : txData.inputData.trim(), value, gasLimit },
+    changes: call ? call.changes : [],
+  });
+
+  // The failed transaction consumed its nonce; the retry takes the next free one
+  let pending = null;
+  if (rpc) {
+    try {
+      pending = Number(await rpcRequest(rpc.url, "eth_getTransactionCount", [from, "pending"]));
+    } catch (err) {
+      notes.push(`Reading the next nonce failed (${err.message}); nonce left empty for the wallet to fill in.`);
+    }
+  } else {
+    notes.push("Nonce left empty for the wallet to fill in.");
+  }
+  steps.forEach((step, i) => (step.tx.nonce = pending === null ? null : pending + i));
+
+  let simulation = null;
+  if (rpc) {
+    const result = await simulate(rpc, steps.map((step) => ({ ...step.tx, from })));
+    result.steps.forEach((sim, i) => {
+      if (sim.success) steps[i].tx.gasLimit = withBuffer(sim.gasUsed, gasBufferPercent);
+    });
+    simulation = {
+      method: result.method,
+      success: result.steps.every((sim) => sim.success === true),
+      steps: result.steps.map((sim) => ({ ...sim, gasUsed: sim.gasUsed !== undefined ? sim.gasUsed.toString() : undefined })),
+    };
+  } else {
+    notes.push("Simulate the retry (eth_call or your wallet's preview) before signing.");
+  }
+
+  const main = steps[steps.length - 1];
+  if (originalGas && main.tx.gasLimit !== originalGas) {
+    main.changes.push({ field: "gasLimit", from: originalGas.toString(), to: main.tx.gasLimit.toString() });
+  }
+  if (main.tx.nonce !== null && txData.nonce !== undefined && String(main.tx.nonce) !== String(txData.nonce)) {
+    main.changes.push({ field: "nonce", from: String(txData.nonce), to: String(main.tx.nonce) });
+  }
+
+  return {
+    supported: true,
+    // Only a simulated retry with a known nonce is ready to sign as is
+    ready: ready && Boolean(simulation && simulation.success) && pending !== null,
+    category,
+    steps: steps.map(({ description, tx, changes }) => ({
+      description,
+      tx: {
+        chainId: chainId || (rpc && rpc.chainId) || null,
+        from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value.toString(),
+        gasLimit: tx.gasLimit.toString(),
+        nonce: tx.nonce,
+      },
+      changes,
+    })),
+    simulation,
+    notes,
+  };
+}
+
+/**
+ * Markdown summary of a retry, for the CLI and the code-fix prompt.
+ */
+function formatRetryTransaction(retry) {
+  if (!retry.supported) return `No retry transaction: ${retry.reason}`;
+
+  const lines = [];
+  retry.steps.forEach((step, i) => {
+    lines.push(`${i + 1}. ${step.description}`);
+    step.changes.forEach((c) => lines.push(`   - ${c.field}: ${c.from} → ${c.to}`));
+    lines.push("```json", JSON.stringify(step.tx, null, 2), "```");
+  });
+  if (retry.simulation) {
+    lines.push(`Simulation (${retry.simulation.method}): ${retry.simulation.success ? "succeeds" : "does not succeed"}`);
+    retry.simulation.steps.forEach((sim, i) => {
+      const outcome = sim.success ? `ok, ${sim.gasUsed} gas` : sim.success === false ? `reverts: ${sim.error}` : sim.skipped;
+      lines.push(`- Step ${i + 1}: ${outcome}`);
+    });
+  }
+  retry.notes.forEach((note) => lines.push(`> ${note}`));
+  return lines.join("\n");
+}
+
+module.exports = {
+  SUPPORTED_CATEGORIES,
+  buildRetryTransaction,
+  formatRetryTransaction,
+};
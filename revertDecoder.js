@@ -0,0 +1,252 @@
+/**
+ * Revert Data Decoder
+ * Turns raw revert bytes (Error(string), Panic(uint256) and custom errors)
+ * into a readable reason plus decoded arguments before classification.
+ */
+
+const { AbiCoder, ErrorFragment, Interface } = require("ethers");
+const { formatArgs } = require("./abiFormat");
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// ─── Solidity Panic Codes ─────────────────────────────────────────────────────
+const PANIC_CODES = {
+  0x00: { name: "Generic compiler panic", errorKey: "PANIC" },
+  0x01: { name: "Assertion failed", errorKey: "PANIC" },
+  0x11: { name: "Arithmetic underflow or overflow", errorKey: "ARITHMETIC" },
+  0x12: { name: "Division or modulo by zero", errorKey: "ARITHMETIC" },
+  0x21: { name: "Invalid enum value conversion", errorKey: "PANIC" },
+  0x22: { name: "Incorrectly encoded storage byte array", errorKey: "PANIC" },
+  0x31: { name: "pop() on an empty array", errorKey: "OUT_OF_BOUNDS" },
+  0x32: { name: "Array index out of bounds", errorKey: "OUT_OF_BOUNDS" },
+  0x41: { name: "Out of memory (allocation too large)", errorKey: "PANIC" },
+  0x51: { name: "Call to zero-initialized internal function", errorKey: "PANIC" },
+};
+
+// ─── Bundled Custom Error Registry ────────────────────────────────────────────
+// Well-known custom errors from OpenZeppelin v5, Permit2, Uniswap routers and the
+// ERC-4337 EntryPoint (whose FailedOp reason carries an AAxx code; see knowledge/).
+const KNOWN_CUSTOM_ERRORS = [
+  { signature: "ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)", errorKey: "ALLOWANCE" },
+  { signature: "ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)", errorKey: "BALANCE" },
+  { signature: "ERC721InsufficientApproval(address operator, uint256 tokenId)", errorKey: "ALLOWANCE" },
+  { signature: "ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)", errorKey: "BALANCE" },
+  { signature: "SafeERC20FailedOperation(address token)", errorKey: "REVERT_NO_REASON" },
+  { signature: "OwnableUnauthorizedAccount(address account)", errorKey: "OWNERSHIP" },
+  { signature: "AccessControlUnauthorizedAccount(address account, bytes32 neededRole)", errorKey: "OWNERSHIP" },
+  { signature: "EnforcedPause()", errorKey: "PAUSED" },
+  { signature: "ReentrancyGuardReentrantCall()", errorKey: "REENTRANCY" },
+  { signature: "InsufficientAllowance(uint256 amount)", errorKey: "ALLOWANCE" },
+  { signature: "AllowanceExpired(uint256 deadline)", errorKey: "DEADLINE" },
+  { signature: "SignatureExpired(uint256 signatureDeadline)", errorKey: "DEADLINE" },
+  { signature: "TransactionDeadlinePassed()", errorKey: "DEADLINE" },
+  { signature: "V2TooLittleReceived()", errorKey: "SLIPPAGE" },
+  { signature: "V2TooMuchRequested()", errorKey: "SLIPPAGE" },
+  { signature: "V3TooLittleReceived()", errorKey: "SLIPPAGE" },
+  { signature: "V3TooMuchRequested()", errorKey: "SLIPPAGE" },
+  { signature: "InsufficientETH()", errorKey: "BALANCE" },
+  { signature: "InsufficientToken()", errorKey: "BALANCE" },
+  { signature: "FailedOp(uint256 opIndex, string reason)", errorKey: null },
+  { signature: "FailedOpWithRevert(uint256 opIndex, string reason, bytes inner)", errorKey: null },
+];
+
+let registryInterface = null;
+let REGISTRY_ERROR_KEYS = {};
+
+function buildRegistry() {
+  registryInterface = new Interface(KNOWN_CUSTOM_ERRORS.map((e) => `error ${e.signature}`));
+  REGISTRY_ERROR_KEYS = Object.fromEntries(
+    KNOWN_CUSTOM_ERRORS.map((e) => [registryInterface.getError(e.signature.split("(")[0]).selector, e.errorKey])
+  );
+}
+
+buildRegistry();
+
+/**
+ * Adds custom errors to the bundled registry (used by protocol knowledge packs).
+ * Signatures already registered are skipped; throws on a malformed signature.
+ * @param {Array<{signature: string, errorKey: string}>} entries
+ */
+function registerCustomErrors(entries) {
+  const known = new Set(KNOWN_CUSTOM_ERRORS.map((e) => e.signature));
+  const added = entries.filter((e) => !known.has(e.signature));
+  if (added.length === 0) return;
+  // A malformed signature throws here, before the registry is touched (Interface only warns and drops it)
+  added.forEach((e) => ErrorFragment.from(`error ${e.signature}`));
+  KNOWN_CUSTOM_ERRORS.push(...added);
+  buildRegistry();
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+function isRevertData(value) {
+  if (typeof value !== "string") return false;
+  const hex = value.trim();
+  // A bare selector, or a selector followed by whole 32-byte words
+  return /^0x[0-9a-fA-F]{8}([0-9a-fA-F]{64})*$/.test(hex);
+}
+
+/**
+ * Finds raw revert bytes on a transaction: an explicit `revertData` field, or a
+ * `revertReason` / `error` that is itself hex (or embeds it, as some nodes do).
+ */
+function extractRevertData(txData) {
+  if (isRevertData(txData.revertData)) return txData.revertData.trim().toLowerCase();
+
+  for (const field of [txData.revertReason, txData.error, txData.errorMessage]) {
+    if (typeof field !== "string") continue;
+    const match = field.match(/0x[0-9a-fA-F]{8,}/g) || [];
+    const data = match.find(isRevertData);
+    if (data) return data.toLowerCase();
+  }
+  return null;
+}
+
+function describeCustomError(name, args) {
+  const rendered = args.map((a) => `${a.name}=${a.value}`).join(", ");
+  return `${name}(${rendered})`;
+}
+
+function tryParseError(iface, data) {
+  try {
+    return iface.parseError(data);
+  } catch {
+    return null;
+  }
+}
+
+// A caller-supplied ABI may be malformed; it is then skipped
+function tryInterface(abi) {
+  try {
+    return new Interface(abi);
+  } catch {
+    return null;
+  }
+}
+
+// A bare selector or a bad offset / length doesn't decode; the caller reports it without a reason
+function tryDecode(types, payload) {
+  try {
+    return abiCoder.decode(types, payload);
+  } catch {
+    return null;
+  }
+}
+
+// ─── Decoder ──────────────────────────────────────────────────────────────────
+/**
+ * Decodes raw revert data.
+ * @param {string} data - Hex revert payload (selector + ABI-encoded args)
+ * @param {Array} [abis] - Extra contract ABIs (JSON or human-readable) to resolve custom errors
+ * @returns {object|null} { type, selector, name, signature, args, reason, errorKey, panicCode? }
+ *          An Error or Panic whose arguments don't decode has a null reason and the payload as `raw`
+ */
+function decodeRevertData(data, abis = []) {
+  if (!isRevertData(data)) return null;
+
+  const hex = data.trim().toLowerCase();
+  const selector = hex.slice(0, 10);
+  const payload = "0x" + hex.slice(10);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const decoded = tryDecode(["string"], payload);
+    if (!decoded) {
+      return { type: "Error", selector, name: "Error", signature: "Error(string)", args: [], reason: null, errorKey: null, raw: hex };
+    }
+    const [reason] = decoded;
+    return {
+      type: "Error",
+      selector,
+      name: "Error",
+      signature: "Error(string)",
+      args: [{ name: "reason", type: "string", value: reason }],
+      reason,
+      errorKey: null,
+    };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const decoded = tryDecode(["uint256"], payload);
+    if (!decoded) {
+      return { type: "Panic", selector, name: "Panic", signature: "Panic(uint256)", args: [], reason: null, errorKey: "PANIC", raw: hex };
+    }
+    // uint256: codes past the table stay BigInt so they aren't rounded
+    const [code] = decoded;
+    const known = (code <= 0xffn && PANIC_CODES[Number(code)]) || { name: "Unknown panic code", errorKey: "PANIC" };
+    const codeHex = "0x" + code.toString(16).padStart(2, "0");
+    return {
+      type: "Panic",
+      selector,
+      name: "Panic",
+      signature: "Panic(uint256)",
+      args: [{ name: "code", type: "uint256", value: codeHex }],
+      reason: `Panic ${codeHex}: ${known.name}`,
+      panicCode: codeHex,
+      errorKey: known.errorKey,
+    };
+  }
+
+  // Caller-supplied ABIs take precedence over the bundled registry
+  for (const iface of abis.map(tryInterface).filter(Boolean)) {
+    const parsed = tryParseError(iface, hex);
+    if (parsed) {
+      const args = formatArgs(parsed.fragment, parsed.args);
+      return {
+        type: "CustomError",
+        selector,
+        name: parsed.name,
+        signature: parsed.signature,
+        args,
+        reason: describeCustomError(parsed.name, args),
+        errorKey: REGISTRY_ERROR_KEYS[selector] || null,
+      };
+    }
+  }
+
+  const known = tryParseError(registryInterface, hex);
+  if (known) {
+    const args = formatArgs(known.fragment, known.args);
+    return {
+      type: "CustomError",
+      selector,
+      name: known.name,
+      signature: known.signature,
+      args,
+      reason: describeCustomError(known.name, args),
+      errorKey: REGISTRY_ERROR_KEYS[selector],
+    };
+  }
+
+  return {
+    type: "Unknown",
+    selector,
+    name: null,
+    signature: null,
+    args: [],
+    reason: `Unrecognized custom error (selector ${selector})`,
+    errorKey: null,
+  };
+}
+
+/**
+ * Convenience wrapper: locate and decode revert data on a transaction object.
+ * Uses `txData.abi` (if provided) to resolve custom errors.
+ */
+function decodeTxRevert(txData) {
+  const data = extractRevertData(txData);
+  if (!data) return null;
+  return decodeRevertData(data, txData.abi ? [txData.abi] : []);
+}
+
+module.exports = {
+  decodeRevertData,
+  decodeTxRevert,
+  extractRevertData,
+  registerCustomErrors,
+  PANIC_CODES,
+  KNOWN_CUSTOM_ERRORS,
+  ERROR_STRING_SELECTOR,
+  PANIC_SELECTOR,
+};
@@ -0,0 +1,173 @@
+/**
+ * JSON-RPC Transaction Fetcher
+ * Pulls a transaction, its receipt and a replayed eth_call from a node
+ * (mainnet provider or a local anvil/hardhat instance) and builds txData.
+ */
+
+const { formatUnits } = require("ethers");
+const { resolveNetwork } = require("./networks");
+
+const DEFAULT_RPC_TIMEOUT_MS = 15000;
+
+let requestId = 0;
+
+// ─── Transport ────────────────────────────────────────────────────────────────
+/**
+ * Sends a single JSON-RPC request.
+ * Errors returned by the node are thrown with their `code` and `data` attached.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Abort after this long (default: $RPC_TIMEOUT_MS or 15000)
+ */
+async function rpcRequest(rpcUrl, method, params = [], options = {}) {
+  const timeoutMs = options.timeoutMs || Number(process.env.RPC_TIMEOUT_MS) || DEFAULT_RPC_TIMEOUT_MS;
+  // The signal also covers reading the body, so a node that stalls mid-response times out too
+  let body;
+  try {
+    const response = await fetch(rpcUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++requestId, method, params }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`RPC ${method} failed: HTTP ${response.status}`);
+    }
+    body = await response.json();
+  } catch (err) {
+    if (err.name === "TimeoutError") throw new Error(`RPC ${method} timed out after ${timeoutMs} ms`);
+    throw err;
+  }
+  if (body.error) {
+    const err = new Error(body.error.message || `RPC ${method} failed`);
+    err.code = body.error.code;
+    err.data = body.error.data;
+    throw err;
+  }
+  return body.result;
+}
+
+// Nodes disagree on where revert bytes live: geth/anvil use `data`, hardhat nests it
+function extractRevertBytes(err) {
+  const candidates = [err.data, err.data && err.data.data, err.data && err.data.result];
+  const hex = candidates.find((c) => typeof c === "string" && /^0x[0-9a-fA-F]*$/.test(c));
+  return hex && hex.length > 2 ? hex : null;
+}
+
+/**
+ * Replays the transaction with eth_call against the parent block's state to
+ * recover the revert payload that receipts do not include.
+ * @returns {Promise<{revertData: string|null, message: string|null}>}
+ */
+async function replayTransaction(rpcUrl, tx) {
+  const parentBlock = "0x" + (BigInt(tx.blockNumber) - 1n).toString(16);
+  const call = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.input,
+    value: tx.value,
+    gas: tx.gas,
+  };
+
+  try {
+    await rpcRequest(rpcUrl, "eth_call", [call, parentBlock]);
+    // The call succeeds in isolation: the failure depended on in-block ordering or gas
+    return { revertData: null, message: null };
+  } catch (err) {
+    return { revertData: extractRevertBytes(err), message: err.message };
+  }
+}
+
+/**
+ * Fetches the callTracer trace for a transaction. Requires a node with the
+ * debug namespace enabled (anvil, hardhat, geth --http.api debug).
+ */
+async function fetchCallTrace(hash, rpcUrl) {
+  return rpcRequest(rpcUrl, "debug_traceTransaction", [hash, { tracer: "callTracer" }]);
+}
+
+// ─── Fetch & Assemble ─────────────────────────────────────────────────────────
+/**
+ * Fetches a transaction by hash and assembles a txData object for diagnoseTxFailure.
+ * @param {string} hash - Transaction hash
+ * @param {string} rpcUrl - JSON-RPC endpoint (e.g. http://127.0.0.1:8545)
+ */
+async function fetchTxDataByHash(hash, rpcUrl) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash || "")) {
+    throw new Error(`Invalid transaction hash: ${hash}`);
+  }
+  if (!rpcUrl) {
+    throw new Error("An RPC URL is required (pass --rpc <url> or set RPC_URL)");
+  }
+
+  const [tx, receipt, chainIdHex] = await Promise.all([
+    rpcRequest(rpcUrl, "eth_getTransactionByHash", [hash]),
+    rpcRequest(rpcUrl, "eth_getTransactionReceipt", [hash]),
+    rpcRequest(rpcUrl, "eth_chainId"),
+  ]);
+
+  if (!tx) throw new Error(`Transaction ${hash} not found on ${rpcUrl}`);
+  if (!receipt || !tx.blockNumber) throw new Error(`Transaction ${hash} is still pending`);
+
+  const block = await rpcRequest(rpcUrl, "eth_getBlockByNumber", [tx.blockNumber, false]);
+  const chainId = Number(chainIdHex);
+  const network = resolveNetwork({ chainId });
+  const failed = receipt.status === "0x0";
+  const gasUsed = BigInt(receipt.gasUsed);
+  const gasLimit = BigInt(tx.gas);
+  const gasPrice = receipt.effectiveGasPrice || tx.gasPrice;
+
+  const txData = {
+    hash,
+    status: failed ? "failed" : "success",
+    network: network.name,
+    chainId,
+    blockNumber: Number(tx.blockNumber),
+    from: tx.from,
+    to: tx.to || receipt.contractAddress,
+    contractAddress: receipt.contractAddress || tx.to,
+    value: formatUnits(tx.value, network.nativeCurrency ? network.nativeCurrency.decimals : 18),
+    nonce: String(Number(tx.nonce)),
+    gasUsed: gasUsed.toString(),
+    gasLimit: gasLimit.toString(),
+    gasPrice: gasPrice ? `${formatUnits(gasPrice, "gwei")} Gwei` : undefined,
+    maxFeePerGas: tx.maxFeePerGas ? `${formatUnits(tx.maxFeePerGas, "gwei")} Gwei` : undefined,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? `${formatUnits(tx.maxPriorityFeePerGas, "gwei")} Gwei` : undefined,
+    baseFee: block && block.baseFeePerGas ? `${formatUnits(block.baseFeePerGas, "gwei")} Gwei` : undefined,
+    // Rollup receipt fields: Arbitrum's L1 share of gasUsed, OP Stack's L1 data fee in wei
+    gasUsedForL1: receipt.gasUsedForL1 ? BigInt(receipt.gasUsedForL1).toString() : undefined,
+    l1Fee: receipt.l1Fee ? BigInt(receipt.l1Fee).toString() : undefined,
+    inputData: tx.input,
+    timestamp: block ? new Date(Number(block.timestamp) * 1000).toISOString() : undefined,
+  };
+
+  if (!failed) {
+    txData.error = "Transaction succeeded on-chain";
+    return txData;
+  }
+
+  const replay = await replayTransaction(rpcUrl, tx);
+  if (replay.revertData) txData.revertData = replay.revertData;
+
+  try {
+    txData.trace = await fetchCallTrace(hash, rpcUrl);
+  } catch {
+    // Node has no debug namespace; diagnose from the top-level revert only
+  }
+
+  if (gasUsed === gasLimit && !replay.revertData) {
+    // Burned the entire limit and the replay shows no revert payload
+    txData.error = "out of gas";
+  } else {
+    txData.error = replay.message || "execution reverted";
+  }
+
+  return txData;
+}
+
+module.exports = {
+  rpcRequest,
+  fetchTxDataByHash,
+  replayTransaction,
+  fetchCallTrace,
+  extractRevertBytes,
+};
@@ -0,0 +1,485 @@
+/**
+ * Rule-Based Diagnoser
+ * A deterministic, template-driven provider keyed on the ERROR_PATTERNS
+ * category. Needs no API key, so CI and air-gapped installs can run the
+ * full pipeline and get the same result shape as the LLM backend.
+ * When on-chain lookups are offered it requests the ones that confirm the
+ * detected category and cites their results. Follow-up questions are
+ * answered from the same templates by keyword.
+ */
+
+const { isAddress } = require("ethers");
+const { describeEvidence } = require("./chainEvidence");
+
+// ─── Category Templates ───────────────────────────────────────────────────────
+// Each template receives the transaction context built by buildTransactionContext.
+const TEMPLATES = {
+  OUT_OF_GAS: {
+    severity: "Medium",
+    rootCause: (ctx) => `The transaction ran out of gas (used ${ctx.gasUsed} of a ${ctx.gasLimit} limit).`,
+    explanation: (ctx) =>
+      `Execution of ${ctx.functionName} consumed the entire gas limit before completing, so the EVM aborted and reverted all state changes. The gas spent up to that point is still charged.`,
+    userExplanation: () =>
+      "Your transaction didn't include enough 'fuel' to finish. The network stopped it halfway and kept the fee for the work already done.",
+    fixSteps: (ctx) => [
+      `Re-estimate gas for ${ctx.functionName} with eth_estimateGas (or let your wallet estimate it).`,
+      ctx.gas && ctx.gas.recommendedGasLimit
+        ? `Set the gas limit to at least ${ctx.gas.recommendedGasLimit} (or the fresh estimate plus a 20-30% buffer).`
+        : "Set the gas limit to the estimate plus a 20-30% buffer.",
+      "Resubmit the transaction.",
+    ],
+    preventionTips: () => ["Avoid manually overriding gas limits for contract calls.", "21000 gas only covers plain ETH transfers."],
+    codeFix: () => "```javascript\nconst estimate = await contract.estimateGas[fn](...args);\nconst tx = await contract[fn](...args, { gasLimit: (estimate * 130n) / 100n });\n```",
+  },
+  REVERT_NO_REASON: {
+    severity: "Medium",
+    rootCause: (ctx) => `${ctx.contractName} reverted the call to ${ctx.functionName} without a specific reason.`,
+    explanation: () =>
+      "A require/revert without a message (or a failed low-level call) aborted execution. The exact condition has to be found by simulating the call or inspecting a trace.",
+    userExplanation: () => "The contract refused your transaction but didn't say why. Nothing was transferred except the network fee.",
+    fixSteps: () => [
+      "Simulate the call with eth_call against the latest block to reproduce the revert.",
+      "Fetch a call trace (debug_traceTransaction) to find the inner call that reverted.",
+      "Check token approvals, balances and any deadline or slippage parameters.",
+    ],
+    preventionTips: () => ["Simulate transactions before sending them."],
+    codeFix: () => "```bash\ncast call <to> <calldata> --from <sender> --trace\n```",
+  },
+  SLIPPAGE: {
+    severity: "Low",
+    rootCause: () => "The swap output fell below the minimum amount you accepted (slippage protection).",
+    explanation: (ctx) =>
+      `The price moved between submission and execution, so the router's minimum-output check failed (${ctx.revertReason}).`,
+    userExplanation: () => "The price changed before your trade went through, so it was cancelled to protect you from getting less than expected.",
+    fixSteps: () => [
+      "Get a fresh quote.",
+      "Increase slippage tolerance moderately (e.g. 0.5% → 1%) if the price impact is acceptable.",
+      "Split large trades or use a deeper liquidity pool.",
+    ],
+    preventionTips: () => ["Check price impact before trading low-liquidity tokens.", "Use a private RPC to reduce sandwich risk."],
+    codeFix: () => "```javascript\nconst amountOutMin = (quotedOut * 9950n) / 10000n; // 0.5% slippage\n```",
+  },
+  ALLOWANCE: {
+    severity: "Low",
+    rootCause: (ctx) => `${ctx.contractName} was not approved to spend enough of your tokens.`,
+    explanation: () =>
+      "The contract tried to transferFrom your wallet but the ERC20 allowance granted to it was lower than the amount required.",
+    userExplanation: () => "You need to give the app permission to move your tokens before it can use them.",
+    fixSteps: (ctx) => [
+      `Call approve(spender, amount) on the token, with ${ctx.contractAddress} as spender.`,
+      "Approve only the amount you intend to use rather than an unlimited allowance.",
+      "Retry the original transaction once the approval is confirmed.",
+    ],
+    preventionTips: () => ["Check allowance() before calling contracts that pull tokens."],
+    codeFix: () => "```javascript\nawait token.approve(spender, amount);\n```",
+  },
+  BALANCE: {
+    severity: "Low",
+    rootCause: () => "The sending account does not hold enough tokens or ETH for this transaction.",
+    explanation: (ctx) => `A balance check or transfer inside ${ctx.functionName} failed (${ctx.revertReason}).`,
+    userExplanation: () => "You tried to send or spend more than you have in your wallet.",
+    fixSteps: () => ["Check your token and ETH balances.", "Lower the amount or top up the wallet.", "Leave ETH for gas fees."],
+    preventionTips: () => ["Use 'max' buttons that account for fees and fee-on-transfer tokens."],
+    codeFix: () => "```javascript\nconst balance = await token.balanceOf(account);\n```",
+  },
+  DEADLINE: {
+    severity: "Low",
+    rootCause: () => "The transaction was mined after its deadline had passed.",
+    explanation: () => "The router compares block.timestamp with the deadline parameter and reverts once it is exceeded.",
+    userExplanation: () => "Your transaction waited too long to be processed and expired.",
+    fixSteps: () => ["Resubmit with a new deadline (e.g. now + 20 minutes).", "Use a competitive gas price so it is mined promptly."],
+    preventionTips: () => ["Avoid very short deadlines when the network is congested."],
+    codeFix: () => "```javascript\nconst deadline = Math.floor(Date.now() / 1000) + 20 * 60;\n```",
+  },
+  REENTRANCY: {
+    severity: "High",
+    rootCause: () => "A reentrancy guard blocked a nested call into the contract.",
+    explanation: () => "The contract's nonReentrant modifier detected that it was re-entered during execution and reverted.",
+    userExplanation: () => "A safety lock in the contract blocked the transaction because it tried to call back into itself.",
+    fixSteps: () => ["Check whether a token hook or callback re-enters the contract.", "Call the functions in separate transactions."],
+    preventionTips: () => ["Be wary of tokens with transfer hooks (ERC777, fee-on-transfer)."],
+    codeFix: () => "No parameter change will bypass a reentrancy guard; restructure the call sequence instead.",
+  },
+  OWNERSHIP: {
+    severity: "Medium",
+    rootCause: (ctx) => `The sender ${ctx.from} is not authorized to call ${ctx.functionName}.`,
+    explanation: () => "The function is protected by an access-control check (onlyOwner or a role) that the caller does not satisfy.",
+    userExplanation: () => "Only an admin of this contract can do that. Your wallet doesn't have permission.",
+    fixSteps: () => ["Confirm you are calling the intended contract and function.", "Use the authorized account, or ask the owner to perform the action."],
+    preventionTips: () => ["Verify contract addresses before interacting with admin functions."],
+    codeFix: () => "```javascript\nconst owner = await contract.owner();\n```",
+  },
+  PAUSED: {
+    severity: "Medium",
+    rootCause: (ctx) => `${ctx.contractName} is currently paused.`,
+    explanation: () => "The contract's whenNotPaused check rejected the call because an admin or guardian paused it.",
+    userExplanation: () => "The protocol has temporarily stopped this action, usually for safety. Your funds have not moved.",
+    fixSteps: () => ["Check the protocol's official channels for the reason and expected resumption.", "Retry once paused() returns false."],
+    preventionTips: () => ["Check paused() before interacting during incidents."],
+    codeFix: () => "```javascript\nif (await contract.paused()) throw new Error('Contract paused');\n```",
+  },
+  NONCE: {
+    severity: "Low",
+    rootCause: (ctx) => `Nonce ${ctx.nonce} conflicts with the account's current nonce.`,
+    explanation: () => "The node rejected the transaction because its nonce was already used, skipped ahead, or was replaced without a sufficient fee bump.",
+    userExplanation: () => "Your wallet's transaction counter got out of sync with the network.",
+    fixSteps: () => [
+      "Fetch the pending nonce with eth_getTransactionCount(address, 'pending').",
+      "Resubmit with that nonce, or bump the fee by at least 10% to replace a stuck transaction.",
+    ],
+    preventionTips: () => ["Avoid sending from the same account in parallel tools without nonce management."],
+    codeFix: () => "```javascript\nconst nonce = await provider.getTransactionCount(address, 'pending');\n```",
+  },
+  ARITHMETIC: {
+    severity: "Medium",
+    rootCause: (ctx) => `An arithmetic overflow, underflow or division by zero occurred in ${ctx.functionName}.`,
+    explanation: (ctx) => `Solidity's checked arithmetic raised ${ctx.revertReason}.`,
+    userExplanation: () => "A calculation inside the contract produced an impossible number, usually from an amount that is too large or zero.",
+    fixSteps: () => ["Check the amounts passed to the function for zero or extreme values.", "Compare them with the contract's current state (reserves, supply)."],
+    preventionTips: () => ["Validate input amounts in your frontend."],
+    codeFix: () => "Re-check the numeric arguments in the decoded call above.",
+  },
+  OUT_OF_BOUNDS: {
+    severity: "Medium",
+    rootCause: (ctx) => `An array index was out of bounds in ${ctx.functionName}.`,
+    explanation: (ctx) => `The contract accessed an array element that does not exist (${ctx.revertReason}).`,
+    userExplanation: () => "The contract looked for an item in a list that doesn't exist, often due to a wrong ID or path.",
+    fixSteps: () => ["Check indices, IDs and path arrays in the call arguments."],
+    preventionTips: () => ["Validate IDs against on-chain state before submitting."],
+    codeFix: () => "Re-check index and path arguments in the decoded call above.",
+  },
+  PANIC: {
+    severity: "High",
+    rootCause: (ctx) => `The contract hit a Solidity panic (${ctx.revertReason}).`,
+    explanation: () => "Panics signal internal errors such as failed assertions or invalid enum values, which usually indicate a contract bug or unexpected state.",
+    userExplanation: () => "The contract hit an internal error that shouldn't normally happen.",
+    fixSteps: () => ["Do not retry blindly; report the failure to the protocol team with the transaction hash."],
+    preventionTips: () => ["Prefer audited, widely used contracts."],
+    codeFix: () => "No parameter fix is known for an internal panic.",
+  },
+  COLLATERAL: {
+    severity: "Medium",
+    rootCause: (ctx) => `${ctx.functionName} would leave the position undercollateralized on ${ctx.contractName}.`,
+    explanation: (ctx) =>
+      `The lending protocol checks the account's health factor (collateral value × liquidation threshold ÷ debt) after every borrow or withdrawal and reverted because it would fall below the allowed limit (${ctx.revertReason}).`,
+    userExplanation: () => "You tried to borrow or withdraw more than your deposited collateral allows. Nothing moved except the network fee.",
+    fixSteps: () => [
+      "Check the account's health factor and available borrowing power in the protocol UI.",
+      "Supply more collateral (and enable it as collateral), or borrow / withdraw a smaller amount.",
+      "Repay part of the existing debt if the position is already close to liquidation.",
+    ],
+    preventionTips: () => ["Keep a health factor buffer well above 1 to absorb price moves.", "Simulate borrows before sending them."],
+    codeFix: () => "```javascript\nconst { availableBorrowsBase, healthFactor } = await pool.getUserAccountData(user);\n```",
+  },
+  LIQUIDITY: {
+    severity: "Low",
+    rootCause: (ctx) => `${ctx.contractName} did not have enough liquidity (or cap headroom) for this ${ctx.functionName}.`,
+    explanation: (ctx) => `The pool or market could not pay out the requested amount, or a supply/borrow cap was reached (${ctx.revertReason}).`,
+    userExplanation: () => "The pool doesn't have enough funds available for the amount you asked for right now.",
+    fixSteps: () => [
+      "Reduce the amount, or split it into smaller transactions.",
+      "Route through a deeper pool or a different market.",
+      "Wait for repayments or new deposits to free up liquidity.",
+    ],
+    preventionTips: () => ["Check available liquidity and caps before large trades, borrows or withdrawals."],
+    codeFix: () => "Reduce the amount in the decoded call above, or pick a route with deeper liquidity.",
+  },
+  ORACLE: {
+    severity: "High",
+    rootCause: (ctx) => `A price oracle used by ${ctx.contractName} returned an invalid or stale price.`,
+    explanation: (ctx) => `The protocol refused to act on its price feed (${ctx.revertReason}), which protects users from trading or borrowing at a wrong price.`,
+    userExplanation: () => "The app's price source wasn't working correctly, so it stopped your transaction to keep you safe.",
+    fixSteps: () => ["Wait for the oracle to update and retry.", "Check the protocol's status page for oracle incidents."],
+    preventionTips: () => ["Avoid interacting with markets during oracle outages or extreme volatility."],
+    codeFix: () => "No parameter fix: retry once the price feed has recovered.",
+  },
+  INVALID_INPUT: {
+    severity: "Low",
+    rootCause: (ctx) => `${ctx.functionName} was called with parameters ${ctx.contractName} rejects.`,
+    explanation: (ctx) => `An input validation check failed (${ctx.revertReason}): an amount, path, tick, rate mode or market argument is not acceptable.`,
+    userExplanation: () => "Something in the transaction's settings was invalid, such as a zero amount or an unsupported option.",
+    fixSteps: () => ["Compare the decoded call arguments with the protocol documentation.", "Correct the invalid parameter and resubmit."],
+    preventionTips: () => ["Validate parameters in your frontend before building the transaction."],
+    codeFix: () => "Correct the offending argument in the decoded call above.",
+  },
+  PREFUND: {
+    severity: "Low",
+    rootCause: (ctx) => `The smart account ${ctx.from} could not pay the EntryPoint prefund for this UserOperation.`,
+    explanation: (ctx) =>
+      `Before executing a UserOperation the EntryPoint takes its maximum cost (all gas limits × maxFeePerGas) from the account's deposit, or the account sends it during validation. Neither covered it (${ctx.revertReason}).`,
+    userExplanation: () => "Your smart account didn't have enough funds to cover the maximum network fee, so the operation was never executed and nothing was charged.",
+    fixSteps: () => [
+      "Top up the smart account's native balance, or deposit to the EntryPoint with depositTo(account).",
+      "Lower maxFeePerGas or the gas limits if they are far above what the operation needs.",
+      "Use a paymaster to sponsor gas instead.",
+    ],
+    preventionTips: () => ["Check balanceOf(account) on the EntryPoint against the required prefund before sending."],
+    codeFix: () => "```javascript\nawait entryPoint.depositTo(account, { value: requiredPrefund });\n```",
+  },
+  ACCOUNT_VALIDATION: {
+    severity: "Low",
+    rootCause: (ctx) => `The smart account ${ctx.from} rejected or could not validate the UserOperation.`,
+    explanation: (ctx) =>
+      `validateUserOp (or the account's deployment through initCode / factory) failed, returned an invalid time range, or used more than verificationGasLimit (${ctx.revertReason}).`,
+    userExplanation: () => "Your smart account refused the operation during its checks, so nothing was executed and nothing was charged.",
+    fixSteps: () => [
+      "If the account is not deployed yet, check the factory data; if it is, remove initCode / factory from the operation.",
+      "Re-estimate with eth_estimateUserOperationGas and raise verificationGasLimit if validation ran out of gas.",
+      "Check the signature's validAfter / validUntil window.",
+    ],
+    preventionTips: () => ["Build UserOperations with the account's SDK and estimate gas through the bundler."],
+    codeFix: () => "```javascript\nconst gas = await bundler.send('eth_estimateUserOperationGas', [userOp, entryPoint]);\n```",
+  },
+  PAYMASTER: {
+    severity: "Low",
+    rootCause: (ctx) => `The paymaster${ctx.smartAccount && ctx.smartAccount.paymaster ? ` ${ctx.smartAccount.paymaster}` : ""} refused to sponsor this UserOperation.`,
+    explanation: (ctx) =>
+      `The paymaster's validatePaymasterUserOp reverted, its EntryPoint deposit could not cover the cost, or paymasterAndData was invalid or expired (${ctx.revertReason}).`,
+    userExplanation: () => "The service meant to pay your network fee declined, so the operation was not executed and nothing was charged.",
+    fixSteps: () => [
+      "Request fresh paymaster data: sponsorship signatures usually expire within minutes.",
+      "Check the paymaster's EntryPoint deposit and its sponsorship policy for this account and call.",
+      "Send without a paymaster, paying gas from the account's own balance.",
+    ],
+    preventionTips: () => ["Fetch paymaster data right before signing, after the gas limits are final."],
+    codeFix: () => "Request new paymasterAndData (or paymaster / paymasterData) from the paymaster service, then re-sign the UserOperation.",
+  },
+  SIGNATURE: {
+    severity: "Medium",
+    rootCause: () => "A signature on the transaction was invalid, missing or in the wrong order.",
+    explanation: (ctx) =>
+      `The signature did not recover to an authorized signer for this exact payload, usually because it was made for another chain id, nonce or field value, or signers were not sorted (${ctx.revertReason}).`,
+    userExplanation: () => "The transaction wasn't signed by the right key(s) for what was sent, so it was refused.",
+    fixSteps: () => [
+      "Rebuild the payload with the current nonce and chain id, then collect new signatures.",
+      "For a Safe, sort the signatures by owner address and collect at least the threshold.",
+      "Check that the signer is still an owner of the account.",
+    ],
+    preventionTips: () => ["Do not edit any field after signing; every field is covered by the signed hash."],
+    codeFix: () => "Re-sign the unchanged payload (UserOperation hash or Safe transaction hash) with the current owners.",
+  },
+  BUNDLER: {
+    severity: "Low",
+    rootCause: () => "The bundler rejected the UserOperation before it reached the EntryPoint.",
+    explanation: (ctx) =>
+      `The bundler's simulation or policy checks failed: the operation was invalid, used banned opcodes or storage, was underpriced, or a paymaster or factory is throttled (${ctx.revertReason}).`,
+    userExplanation: () => "The service that submits smart account operations turned this one away, so nothing reached the chain and nothing was charged.",
+    fixSteps: () => [
+      "Read the JSON-RPC error code: -32602 invalid fields, -32500 validation reverted, -32501 paymaster rejected, -32502 banned opcode, -32503 time range, -32504 throttled or banned entity.",
+      "Re-estimate gas and fees with the bundler and re-sign.",
+      "Try another bundler if the entity is throttled.",
+    ],
+    preventionTips: () => ["Use eth_estimateUserOperationGas and the bundler's suggested fees before sending."],
+    codeFix: () => "```javascript\nconst gas = await bundler.send('eth_estimateUserOperationGas', [userOp, entryPoint]);\n```",
+  },
+  SAFE_EXECUTION: {
+    severity: "Medium",
+    rootCause: (ctx) =>
+      `The Safe's inner call${ctx.smartAccount && ctx.smartAccount.to ? ` to ${ctx.smartAccount.to}` : ""} failed, so execTransaction reverted.`,
+    explanation: (ctx) =>
+      `With safeTxGas 0 the Safe reverts the whole execTransaction when the inner call fails (GS013); the inner call's own error is the real cause (${ctx.revertReason}).`,
+    userExplanation: () => "The action your Safe tried to perform failed. The Safe's nonce was not used, so the same signed transaction can still be executed once the cause is fixed.",
+    fixSteps: () => [
+      "Simulate the inner call from the Safe's address to see its own revert reason.",
+      "Fix that cause (balance, allowance, parameters), then re-execute, or replace the transaction with a new one at the same nonce.",
+      "If safeTxGas was set, check it covers the inner call.",
+    ],
+    preventionTips: () => ["Simulate Safe transactions before collecting signatures."],
+    codeFix: () => "```bash\ncast call <to> <data> --from <safe> --rpc-url <rpc>\n```",
+  },
+  UNKNOWN: {
+    severity: "Medium",
+    rootCause: (ctx) => `The transaction failed with an unrecognized error: ${ctx.error}.`,
+    explanation: () => "The error did not match any known pattern, so the exact cause needs manual investigation.",
+    userExplanation: () => "Your transaction failed for a reason we couldn't identify automatically.",
+    fixSteps: () => ["Simulate the call to reproduce the error.", "Inspect a call trace to locate the failing inner call."],
+    preventionTips: () => ["Simulate transactions before sending them."],
+    codeFix: () => "```bash\ncast run <tx_hash> --rpc-url <rpc>\n```",
+  },
+};
+
+const SECURITY_CONCERNS = {
+  REENTRANCY: ["A reentrancy attempt was blocked; verify no malicious token or callback contract is involved."],
+  OWNERSHIP: ["Calls to privileged functions from unexpected accounts can indicate a phishing or spoofed contract."],
+  PANIC: ["An internal panic can indicate a contract bug; avoid interacting until it is understood."],
+  ORACLE: ["A broken or stale oracle can be a sign of price manipulation; verify prices on independent sources."],
+  SIGNATURE: ["Only sign payloads you can decode; a signature for the wrong hash can authorize something else."],
+};
+
+// UserOperations that fail validation are dropped by the bundler: nothing is executed or charged
+const UNCHARGED_CATEGORIES = ["PREFUND", "ACCOUNT_VALIDATION", "PAYMASTER", "SIGNATURE", "BUNDLER"];
+
+function templateFor(ctx) {
+  return TEMPLATES[ctx.errorCategory.key] || TEMPLATES.UNKNOWN;
+}
+
+// Knowledge pack entry that explains the detected category, if any
+function knowledgeFor(ctx) {
+  return (ctx.protocolKnowledge || []).find((k) => k.category === ctx.errorCategory.key) || null;
+}
+
+// ─── Evidence Plan ────────────────────────────────────────────────────────────
+// The token the call spends, taken from the decoded arguments
+function spentToken(ctx) {
+  const params = (ctx.decodedInput && ctx.decodedInput.params) || {};
+  const candidates = [Array.isArray(params.path) ? params.path[0] : null, params.tokenIn, params.asset, params.token, params.tokenA];
+  return candidates.find((c) => typeof c === "string" && isAddress(c)) || null;
+}
+
+/**
+ * Lookups that confirm or rule out the detected category.
+ * @returns {Array<[string, object]>} [tool name, input] pairs
+ */
+function planEvidence(ctx) {
+  const token = spentToken(ctx);
+  const sender = isAddress(ctx.from) ? ctx.from : null;
+  const contract = isAddress(ctx.contractAddress) ? ctx.contractAddress : null;
+
+  const plan = {
+    ALLOWANCE: token && sender && contract ? [["get_erc20_allowance", { token, owner: sender, spender: contract }]] : [],
+    BALANCE: token && sender ? [["get_erc20_balance", { token, account: sender }]] : sender ? [["get_account_state", { account: sender }]] : [],
+    PAUSED: contract ? [["get_paused", { contract }]] : [],
+    OWNERSHIP: contract ? [["get_owner", { contract }]] : [],
+    NONCE: sender ? [["get_account_state", { account: sender }]] : [],
+  };
+  return plan[ctx.errorCategory.key] || [];
+}
+
+// ─── Turn Builders ────────────────────────────────────────────────────────────
+function buildDiagnosis(ctx, evidence = []) {
+  const t = templateFor(ctx);
+  const knowledge = knowledgeFor(ctx);
+  const explanation = t.explanation(ctx);
+  const fixSteps = t.fixSteps(ctx);
+  return {
+    rootCause: t.rootCause(ctx),
+    explanation: knowledge ? `${explanation} ${knowledge.protocol} "${knowledge.name || knowledge.code}": ${knowledge.meaning}` : explanation,
+    userExplanation: t.userExplanation(ctx),
+    fixSteps: knowledge ? [knowledge.fix, ...fixSteps] : fixSteps,
+    preventionTips: t.preventionTips(ctx),
+    severity: t.severity,
+    ...(evidence.length ? { evidence: evidence.map(describeEvidence) } : {}),
+  };
+}
+
+function buildRiskAssessment(ctx) {
+  const key = ctx.errorCategory.key;
+  const generic = key === "UNKNOWN" || key === "REVERT_NO_REASON";
+  const userOpRejected = ctx.smartAccount && ctx.smartAccount.type === "erc4337" && UNCHARGED_CATEGORIES.includes(key);
+  const delegateCall = ctx.smartAccount && ctx.smartAccount.operation === "DELEGATECALL";
+  return {
+    fundsLost: false,
+    fundsLostDetails: userOpRejected
+      ? "The UserOperation was rejected during validation, so it was never executed and no gas was charged."
+      : `A reverted transaction rolls back all transfers; only the gas fee${ctx.gas && ctx.gas.feeLost ? ` (${ctx.gas.feeLost})` : ""} was spent.`,
+    securityConcerns: [
+      ...(SECURITY_CONCERNS[key] || []),
+      ...(delegateCall ? ["The Safe transaction uses DELEGATECALL, which runs the target's code with the Safe's storage and funds."] : []),
+    ],
+    confidence: key === "UNKNOWN" ? "Low" : generic ? "Medium" : "High",
+    confidenceReason: `Rule-based diagnosis from the detected "${ctx.errorCategory.category}" category.`,
+  };
+}
+
+function buildCodeFix(ctx) {
+  const t = templateFor(ctx);
+  const checklist = ["Re-simulate the corrected transaction before signing.", "Confirm the contract address and network."];
+  return `${t.codeFix(ctx)}\n\n**Checklist before retrying**\n${checklist.map((c) => `- ${c}`).join("\n")}`;
+}
+
+// The deep pipeline's second opinion: the classifier's runner-up categories
+function buildReview(ctx) {
+  const { category, evidence, alternatives } = ctx.errorCategory;
+  const basis = evidence.map((e) => `"${e.match}" in ${e.source}`).join(", ");
+  const others = alternatives.length
+    ? alternatives.map((a) => `- ${a.category} (${Math.round(a.confidence * 100)}% classifier confidence)`)
+    : ["- None: no other category matched the error text."];
+  return [
+    "**Other causes considered**",
+    ...others,
+    "",
+    basis ? `The "${category}" diagnosis rests on ${basis}.` : `The "${category}" diagnosis has no matching error text behind it.`,
+    "",
+    "_Rule-based review from the classifier's scores; use an LLM provider for a second opinion._",
+  ].join("\n");
+}
+
+// ─── Follow-up Answers ────────────────────────────────────────────────────────
+// Topics the templates can speak to; other questions get the diagnosis summary
+const FOLLOW_UP_TOPICS = [
+  { pattern: /slippage|price impact|min(imum)?[ _-]?(out|received|amount)/i, answer: (ctx) => TEMPLATES.SLIPPAGE.fixSteps(ctx) },
+  { pattern: /\bgas\b|\bfees?\b/i, answer: (ctx) => TEMPLATES.OUT_OF_GAS.fixSteps(ctx) },
+  { pattern: /approv|allowance/i, answer: (ctx) => TEMPLATES.ALLOWANCE.fixSteps(ctx) },
+  {
+    pattern: /scam|rug|honeypot|malicious|security|\bsafe\b|trust/i,
+    answer: (ctx) =>
+      SECURITY_CONCERNS[ctx.errorCategory.key] || [
+        "The rule-based checks found no security concern in this failure; still verify the contract address on a block explorer before interacting again.",
+      ],
+  },
+  { pattern: /retry|\bfix\b|what (should|can|do) i/i, answer: (ctx) => templateFor(ctx).fixSteps(ctx) },
+];
+
+function buildFollowUpAnswer(ctx, question) {
+  const t = templateFor(ctx);
+  const topics = FOLLOW_UP_TOPICS.filter((topic) => topic.pattern.test(question));
+  const lines = topics.length ? topics.flatMap((topic) => topic.answer(ctx)) : [t.rootCause(ctx), t.userExplanation(ctx)];
+  return `${lines.map((line) => `- ${line}`).join("\n")}\n\n_Rule-based answer from the "${ctx.errorCategory.category}" templates; use an LLM provider for open-ended questions._`;
+}
+
+// ─── Provider ─────────────────────────────────────────────────────────────────
+const REPORT_TOOL_FOR_TURN = { report: "record_report", diagnosis: "record_diagnosis", risk: "record_risk_assessment" };
+
+/**
+ * Creates the deterministic provider. It answers each Messages API request
+ * based on the forced tool (report / diagnosis / risk) or with code-fix or
+ * review text. Offered a free tool choice in the diagnosis turn, it first
+ * requests its planned lookups. Custom pipeline turns have no template.
+ */
+function createRuleBasedProvider() {
+  return {
+    name: "rules",
+    model: "rule-based",
+    readiness: () => ({ ready: true }),
+    async createMessage(params, { turn, transactionContext, evidence = [], question = "" }) {
+      const choice = params.tool_choice || {};
+      const forced = choice.type === "tool" ? choice.name : choice.type === "any" ? REPORT_TOOL_FOR_TURN[turn] : null;
+      const usage = { input_tokens: 0, output_tokens: 0 };
+
+      if (choice.type === "any" && turn === "diagnosis" && evidence.length === 0) {
+        const declared = (params.tools || []).map((tool) => tool.name);
+        const lookups = planEvidence(transactionContext).filter(([name]) => declared.includes(name));
+        if (lookups.length) {
+          return { content: lookups.map(([name, input], i) => ({ type: "tool_use", id: `rules_lookup_${i}`, name, input })), usage };
+        }
+      }
+
+      if (turn === "followUp") {
+        return { content: [{ type: "text", text: buildFollowUpAnswer(transactionContext, question) }], usage };
+      }
+      if (forced === "record_diagnosis") {
+        return { content: [{ type: "tool_use", id: "rules_diagnosis", name: forced, input: buildDiagnosis(transactionContext, evidence) }], usage };
+      }
+      if (forced === "record_risk_assessment") {
+        return { content: [{ type: "tool_use", id: "rules_risk", name: forced, input: buildRiskAssessment(transactionContext) }], usage };
+      }
+      if (forced === "record_report") {
+        const input = { ...buildDiagnosis(transactionContext, evidence), ...buildRiskAssessment(transactionContext) };
+        return { content: [{ type: "tool_use", id: "rules_report", name: forced, input }], usage };
+      }
+      if (turn === "codeFix") return { content: [{ type: "text", text: buildCodeFix(transactionContext) }], usage };
+      if (turn === "review") return { content: [{ type: "text", text: buildReview(transactionContext) }], usage };
+      throw new Error(`The rules provider has no template for the custom '${turn}' turn; use an LLM provider`);
+    },
+  };
+}
+
+module.exports = {
+  createRuleBasedProvider,
+  buildDiagnosis,
+  buildRiskAssessment,
+  buildReview,
+  buildFollowUpAnswer,
+  planEvidence,
+  TEMPLATES,
+};
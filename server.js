@@ -2,100 +2,619 @@
  * DeFi AI Agent - Express Web API Server
  * Run: node server.js
  * Endpoints:
- *   POST /diagnose         - Single transaction diagnosis
+ *   GET  /                 - Web UI (interface.html)
+ *   POST /diagnose         - Single transaction diagnosis (optional "pipeline" in the body)
+ *   POST /diagnose/by-hash - Fetch a transaction from RPC_URL and diagnose it
+ *   POST /fix              - Corrected, unsigned retry transaction (no AI)
  *   POST /batch            - Batch transaction diagnosis
- *   GET  /health           - Health check
+ *   GET  /diagnoses        - Stored diagnoses of the caller's key (?hash= to filter)
+ *   GET  /diagnoses/:id    - One stored diagnosis, by id or transaction hash
+ *   GET  /diagnoses/:id/report   - Shareable report page (?format=md for markdown)
+ *   POST /diagnoses/:id/messages - Follow-up question on a stored diagnosis
+ *   GET  /schema           - JSON Schemas of the request bodies
+ *   GET  /patterns         - Error pattern library the classifier matches
+ *   GET  /demos            - Sample failed transactions
+ *   GET  /health           - Health check with provider readiness
+ *   GET  /metrics          - Prometheus metrics
+ *   POST /admin/keys       - Issue an API key (ADMIN_API_KEY); GET lists them
+ *   DELETE /admin/keys/:id - Revoke an API key
+ *   GET  /admin/usage      - Daily token and cost usage per key
  */
 
+const crypto = require("crypto");
+const path = require("path");
 const express = require("express");
-const { diagnoseTxFailure, batchAnalyze, detectErrorCategory } = require("./src/agent");
+const { MODEL_PRICES, askFollowUp, batchAnalyze, detectErrorCategory } = require("./agent");
+const { decodeTxRevert } = require("./revertDecoder");
+const { decodeTxInput } = require("./calldataDecoder");
+const { matchKnowledge } = require("./knowledgePacks");
+const { fetchTxDataByHash } = require("./rpc");
+const { analyzeGas } = require("./gasAnalyzer");
+const { analyzeSmartAccount, withSmartAccountFields } = require("./smartAccounts");
+const { PROVIDER_NAMES, getProvider, providerReadiness } = require("./providers");
+const { createJobQueue, parseJsonl } = require("./jobQueue");
+const { buildRetryTransaction } = require("./retryTransaction");
+const { createDiagnosisStore } = require("./diagnosisStore");
+const { renderReportHtml, renderReportMarkdown } = require("./reportPage");
+const { API_SCHEMA, validateRequest } = require("./requestSchema");
+const { createApiKeyStore, secretsMatch, secondsToUtcMidnight } = require("./apiKeys");
+const { logger } = require("./logger");
+const { createServiceMetrics } = require("./metrics");
+const { resolvePipeline } = require("./pipeline");
+const { ERROR_PATTERNS } = require("./errorPatterns");
+const { DEMOS } = require("./demos");
+
+const MAX_BODY_SIZE = process.env.MAX_BODY_SIZE || "10mb";
+const MAX_JOB_BODY_SIZE = process.env.MAX_JOB_BODY_SIZE || "50mb";
+
+// Clients need an API key unless API_AUTH=off; CORS_ORIGINS lists the browser origins allowed
+const AUTH_ENABLED = process.env.API_AUTH !== "off";
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const optionalNumber = (value) => (value ? Number(value) : undefined);
+
+// A caller's X-Request-Id is kept if it looks like an id; otherwise one is generated
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
 
 const app = express();
-app.use(express.json());
+
+// Every diagnosis goes through the store (persisted under DIAGNOSES_DIR): repeats of
+// the same input are answered from it, and follow-up questions continue its conversation
+const diagnosisStore = createDiagnosisStore({ dir: process.env.DIAGNOSES_DIR });
+const metrics = createServiceMetrics();
+
+// Every diagnosis (routes, batches and jobs) goes through here, so /metrics counts them all
+async function diagnose(txData, options) {
+  try {
+    const result = await diagnosisStore.diagnose(txData, options);
+    metrics.observeDiagnosis(result);
+    return result;
+  } catch (err) {
+    metrics.observeDiagnosisError(getProvider(options.provider).name);
+    throw err;
+  }
+}
+
+// Client API keys with their limits and daily usage, persisted under API_KEYS_DIR
+const apiKeys = createApiKeyStore({
+  dir: process.env.API_KEYS_DIR,
+  defaults: {
+    rateLimitPerMinute: optionalNumber(process.env.API_RATE_LIMIT),
+    dailyTokenQuota: optionalNumber(process.env.API_DAILY_TOKENS) || null,
+    dailyCostQuotaUsd: process.env.API_DAILY_COST_USD ? Number(process.env.API_DAILY_COST_USD) : null,
+  },
+});
+
+// Model usage of a fresh (not cached) run counts against the key that asked for it
+function recordUsage(apiKeyId, result, kind) {
+  if (apiKeyId && !result.cached) apiKeys.recordUsage(apiKeyId, result.usage, kind);
+}
+
+// Background batch jobs, persisted under JOBS_DIR. Each transaction checks the
+// submitting key's quota, since a job can outlast the day it was queued on.
+const jobQueue = createJobQueue({
+  dir: process.env.JOBS_DIR,
+  concurrency: Number(process.env.JOB_CONCURRENCY) || undefined,
+  maxRetries: process.env.JOB_MAX_RETRIES ? Number(process.env.JOB_MAX_RETRIES) : undefined,
+  diagnose: async (tx, options) => {
+    const exceeded = options.apiKeyId && apiKeys.quotaExceeded(options.apiKeyId);
+    if (exceeded) throw new Error(exceeded);
+    const result = await diagnose(tx, options);
+    recordUsage(options.apiKeyId, result);
+    return result;
+  },
+});
+jobQueue.resume();
+
+metrics.gauge("defi_agent_job_transactions_pending", "Job transactions waiting or running", () => [
+  { value: jobQueue.list().reduce((sum, job) => sum + job.progress.pending, 0) },
+]);
+
+// ─── Request Ids and Access Log ───────────────────────────────────────────────
+// req.log carries the request id into every line, including the agent's own
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const started = Date.now();
+  res.on("close", () => {
+    const durationMs = Date.now() - started;
+    // The route pattern, not the path, so ids don't each get a series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "(none)";
+    metrics.observeRequest(req.method, route, res.statusCode, durationMs);
+    req.log.info("http.request", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs,
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    });
+  });
+  next();
+});
 
 // ─── CORS Headers ─────────────────────────────────────────────────────────────
+// Only origins in CORS_ORIGINS get CORS headers ("*" allows any, "null" pages opened from disk)
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  if (req.method === "OPTIONS") return res.sendStatus(200);
+  const origin = req.get("Origin");
+  const allowed = Boolean(origin) && (CORS_ORIGINS.includes("*") || CORS_ORIGINS.includes(origin));
+  res.vary("Origin");
+  if (allowed) {
+    res.header("Access-Control-Allow-Origin", CORS_ORIGINS.includes("*") ? "*" : origin);
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key, X-Request-Id");
+    res.header("Access-Control-Expose-Headers", "Location, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Request-Id");
+  }
+  if (req.method === "OPTIONS") return res.sendStatus(allowed ? 204 : 403);
   next();
 });
 
+// ─── Authentication ───────────────────────────────────────────────────────────
+// `X-API-Key: <key>` or `Authorization: Bearer <key>`
+function presentedKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return req.get("X-API-Key") || (bearer ? bearer[1] : null);
+}
+
+// Admin routes take ADMIN_API_KEY and are disabled without it
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) return res.status(503).json({ error: "ADMIN_API_KEY is not configured on the server" });
+  if (!secretsMatch(presentedKey(req), process.env.ADMIN_API_KEY)) return res.status(401).json({ error: "Invalid admin key" });
+  next();
+}
+
+// Open to everyone: the web UI, the health check, metrics, the schemas, patterns and demos, and shared report pages
+const PUBLIC_PATHS = ["/", "/health", "/metrics", "/schema", "/patterns", "/demos"];
+
+function isPublicRoute(req) {
+  return req.method === "GET" && (PUBLIC_PATHS.includes(req.path) || /^\/diagnoses\/[^/]+\/report$/.test(req.path));
+}
+
+// Every other client route needs an active key and counts against its per-minute limit.
+// ADMIN_API_KEY is accepted too, without limits, and sees every key's diagnoses and jobs.
+function requireApiKey(req, res, next) {
+  req.apiKey = null;
+  req.isAdmin = false;
+  if (!AUTH_ENABLED || isPublicRoute(req) || req.path.startsWith("/admin/")) return next();
+
+  const presented = presentedKey(req);
+  if (process.env.ADMIN_API_KEY && secretsMatch(presented, process.env.ADMIN_API_KEY)) {
+    req.isAdmin = true;
+    return next();
+  }
+  const key = apiKeys.authenticate(presented);
+  if (!key) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "A valid API key is required (X-API-Key header or Authorization: Bearer)" });
+  }
+
+  const rate = apiKeys.checkRate(key.id);
+  res.set({ "X-RateLimit-Limit": rate.limit, "X-RateLimit-Remaining": rate.remaining });
+  if (!rate.allowed) {
+    res.set("Retry-After", rate.retryAfterSeconds);
+    return res.status(429).json({ error: `Rate limit of ${rate.limit} requests per minute exceeded`, retryAfter: rate.retryAfterSeconds });
+  }
+  req.apiKey = key;
+  next();
+}
+
+// Bodies are only parsed for authenticated callers. POST /jobs parses its own, up to MAX_JOB_BODY_SIZE.
+app.use(requireApiKey);
+const jsonBody = express.json({ limit: MAX_BODY_SIZE });
+app.use((req, res, next) => (req.path === "/jobs" ? next() : jsonBody(req, res, next)));
+
+// Answers 429 and returns false when the caller's key has used up a daily quota
+function quotaAvailable(req, res) {
+  const exceeded = req.apiKey && apiKeys.quotaExceeded(req.apiKey.id);
+  if (!exceeded) return true;
+  const retryAfter = secondsToUtcMidnight();
+  res.set("Retry-After", retryAfter);
+  res.status(429).json({ error: exceeded, retryAfter });
+  return false;
+}
+
+const apiKeyId = (req) => (req.apiKey ? req.apiKey.id : null);
+
+// ─── Ownership ────────────────────────────────────────────────────────────────
+// Diagnoses and jobs belong to the key that asked for them. The key to filter
+// by, or undefined when the caller sees everything (admin, or API_AUTH=off).
+const ownerFilter = (req) => (AUTH_ENABLED && !req.isAdmin ? apiKeyId(req) : undefined);
+
+// Answers 403 and returns false when a diagnosis or job belongs to another key
+function ownedByCaller(req, res, owner, what) {
+  const filter = ownerFilter(req);
+  if (filter === undefined || (owner || null) === filter) return true;
+  res.status(403).json({ error: `${what} belongs to another API key` });
+  return false;
+}
+
+// ─── Provider Selection ───────────────────────────────────────────────────────
+// `?provider=rules` overrides DIAGNOSIS_PROVIDER for a single request;
+// `?force=true` runs a fresh diagnosis even when a stored one matches the input.
+// The request id and logger go along so the agent's log lines carry the id.
+// `pipeline` is the body's pipeline config; one that doesn't resolve answers 400.
+// Runs on a model without a price would cost nothing, so keys with a cost quota
+// may only run priced models (403), whether picked or defaulted. The rules
+// provider runs no model.
+function diagnosisOptions(req, res, pipeline) {
+  const { provider } = req.query;
+  if (provider && !PROVIDER_NAMES.includes(provider)) {
+    res.status(400).json({ error: `Unknown provider '${provider}'`, available: PROVIDER_NAMES });
+    return null;
+  }
+  const options = {
+    provider,
+    force: ["true", "1"].includes(req.query.force),
+    requestId: req.id,
+    logger: req.log,
+    apiKeyId: apiKeyId(req),
+  };
+  let resolved;
+  try {
+    resolved = resolvePipeline(pipeline);
+  } catch (err) {
+    res.status(400).json({ error: `Invalid request: ${err.message}` });
+    return null;
+  }
+  if (req.apiKey && req.apiKey.dailyCostQuotaUsd !== null) {
+    // A provider with a model of its own runs it for every turn
+    const chosen = getProvider(provider);
+    const models = chosen.model ? [chosen.model] : [resolved.model, ...resolved.turns.map((turn) => turn.model)];
+    const unpriced = chosen.name === "rules" ? null : models.find((model) => !MODEL_PRICES[model]);
+    if (unpriced) {
+      res.status(403).json({
+        error: `Model '${unpriced}' has no price, so API key '${req.apiKey.name}' (daily cost quota) can't use it`,
+        models: Object.keys(MODEL_PRICES),
+      });
+      return null;
+    }
+  }
+  return { ...options, pipeline: resolved };
+}
+
+// ─── Request Validation ───────────────────────────────────────────────────────
+// Validates req.body against a schema of GET /schema and returns it normalized, or
+// answers 400 with every invalid field and returns null
+function validBody(req, res, schemaName, body = req.body) {
+  const { value, errors } = validateRequest(schemaName, body);
+  if (errors.length === 0) return value;
+  const [first] = errors;
+  res.status(400).json({
+    error: `Invalid request: ${first.field} ${first.message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""}`,
+    errors,
+  });
+  return null;
+}
+
+// ─── Response Bodies ──────────────────────────────────────────────────────────
+// PUBLIC_URL sets the permalink origin when the server sits behind a proxy
+function reportUrl(req, id) {
+  const origin = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/$/, "") : `${req.protocol}://${req.get("host")}`;
+  return `${origin}/diagnoses/${id}/report`;
+}
+
+// The fields every diagnosis route returns for a diagnosisStore.diagnose result
+function diagnosisBody(req, result) {
+  return {
+    diagnosisId: result.diagnosisId,
+    cached: result.cached,
+    permalink: reportUrl(req, result.diagnosisId),
+    errorCategory: result.errorCategory,
+    gasAnalysis: result.gasAnalysis,
+    smartAccount: result.smartAccount,
+    callTrace: result.transactionContext.callTrace,
+    report: result.report,
+    provider: result.provider,
+    model: result.model,
+    usage: result.usage,
+    diagnosis: result.diagnosis,
+    codeFix: result.codeFix,
+    riskAssessment: result.riskAssessment,
+    sections: result.sections,
+    pipeline: result.pipeline,
+    skippedTurns: result.skippedTurns,
+    evidence: result.evidence,
+    safety: result.safety,
+    analysisTimestamp: result.diagnosedAt,
+  };
+}
+
 // ─── Health Check ─────────────────────────────────────────────────────────────
+// 503 when the default provider can't answer (e.g. no ANTHROPIC_API_KEY)
 app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
+  const readiness = providerReadiness();
+  const defaultProvider = readiness.providers[readiness.default];
+  const ready = Boolean(defaultProvider && defaultProvider.ready);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ok" : "degraded",
     service: "DeFi AI Agent",
     version: "1.0.0",
     timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    defaultProvider: readiness.default,
+    providers: readiness.providers,
+    // by-hash diagnoses fall back to RPC_URL for lookups; the others only use EVIDENCE_RPC_URL
+    rpc: { byHash: Boolean(process.env.RPC_URL), evidence: Boolean(process.env.EVIDENCE_RPC_URL) },
+    auth: AUTH_ENABLED,
   });
 });
 
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// ─── Request Schemas ──────────────────────────────────────────────────────────
+app.get("/schema", (req, res) => {
+  res.json(API_SCHEMA);
+});
+
+// ─── Web UI ───────────────────────────────────────────────────────────────────
+// The UI calls this server for classification, demos and diagnoses, so the model
+// API key stays on the server
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "interface.html"));
+});
+
+// ─── Patterns and Demos ───────────────────────────────────────────────────────
+// The classifier's pattern library; POST /classify ranks a transaction against it
+app.get("/patterns", (req, res) => {
+  res.json({
+    patterns: Object.entries(ERROR_PATTERNS).map(([key, { category, patterns, catchAll }]) => ({
+      key,
+      category,
+      patterns,
+      catchAll: Boolean(catchAll),
+    })),
+  });
+});
+
+app.get("/demos", (req, res) => {
+  res.json({ demos: DEMOS });
+});
+
 // ─── Quick Error Classification (no AI) ──────────────────────────────────────
 app.post("/classify", (req, res) => {
+  const body = validBody(req, res, "transaction");
+  if (!body) return;
+
   try {
-    const txData = req.body;
+    const txData = withSmartAccountFields(body);
     const category = detectErrorCategory(txData);
-    res.json({ category, txData });
+    const decodedRevert = decodeTxRevert(txData);
+    const decodedInput = decodeTxInput(txData);
+    const protocolKnowledge = matchKnowledge(txData, decodedRevert);
+    const gasAnalysis = analyzeGas(txData);
+    const smartAccount = analyzeSmartAccount(txData);
+    res.json({ category, decodedRevert, decodedInput, protocolKnowledge, gasAnalysis, smartAccount, txData });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// ─── Retry Transaction (no AI) ────────────────────────────────────────────────
+// `?slippageBps=100&deadlineSeconds=600` tune the rebuilt call
+app.post("/fix", async (req, res) => {
+  const txData = validBody(req, res, "transaction");
+  if (!txData) return;
+
+  const { slippageBps, deadlineSeconds } = req.query;
+  if (slippageBps !== undefined && !(Number.isInteger(Number(slippageBps)) && slippageBps >= 0 && slippageBps < 10000)) {
+    return res.status(400).json({ error: "slippageBps must be an integer from 0 to 9999" });
+  }
+  if (deadlineSeconds !== undefined && !(Number.isInteger(Number(deadlineSeconds)) && deadlineSeconds > 0)) {
+    return res.status(400).json({ error: "deadlineSeconds must be a positive integer" });
+  }
+
+  try {
+    const errorCategory = detectErrorCategory(txData);
+    const retryTransaction = await buildRetryTransaction(txData, {
+      errorCategory,
+      rpcUrl: process.env.EVIDENCE_RPC_URL || process.env.RPC_URL,
+      slippageBps: slippageBps !== undefined ? Number(slippageBps) : undefined,
+      deadlineSeconds: deadlineSeconds !== undefined ? Number(deadlineSeconds) : undefined,
+    });
+    res.json({ success: true, hash: txData.hash || null, errorCategory, retryTransaction });
+  } catch (err) {
+    req.log.error("fix.failed", { error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ─── Full AI Diagnosis ────────────────────────────────────────────────────────
 app.post("/diagnose", async (req, res) => {
-  const txData = req.body;
-
-  if (!txData || typeof txData !== "object") {
-    return res.status(400).json({
-      error: "Request body must be a transaction data object",
-      example: {
-        hash: "0x...",
-        error: "execution reverted",
-        revertReason: "ERC20: insufficient allowance",
-        gasUsed: "45000",
-        gasLimit: "300000",
-      },
-    });
+  const body = validBody(req, res, "diagnoseRequest");
+  if (!body) return;
+  const { pipeline, ...txData } = body;
+
+  const options = diagnosisOptions(req, res, pipeline);
+  if (!options) return;
+
+  if (!quotaAvailable(req, res)) return;
+
+  try {
+    const result = await diagnose(txData, options);
+    recordUsage(apiKeyId(req), result);
+
+    res.json({ success: true, hash: txData.hash, ...diagnosisBody(req, result) });
+  } catch (err) {
+    req.log.error("diagnosis.failed", { error: err.message });
+    res.status(500).json({ success: false, error: err.message });
   }
+});
+
+// ─── Streaming Diagnosis (Server-Sent Events) ─────────────────────────────────
+// Emits the agent's progress events (classification, <turn>.start, <turn>.delta,
+// diagnosis, codeFix, risk, section) followed by "done" with the /diagnose body, or "error".
+app.post("/diagnose/stream", async (req, res) => {
+  const body = validBody(req, res, "diagnoseRequest");
+  if (!body) return;
+  const { pipeline, ...txData } = body;
+
+  const options = diagnosisOptions(req, res, pipeline);
+  if (!options) return;
+  if (!quotaAvailable(req, res)) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on("close", () => (clientGone = true));
+
+  const sendEvent = (event, data) => {
+    if (!clientGone) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
   try {
-    console.log(`\n📥 Diagnosing tx: ${txData.hash || "unknown"}`);
-    const result = await diagnoseTxFailure(txData);
+    const result = await diagnose(txData, { ...options, onEvent: sendEvent });
+    recordUsage(apiKeyId(req), result);
 
-    res.json({
-      success: true,
-      hash: txData.hash,
-      errorCategory: result.errorCategory,
-      diagnosis: result.diagnosis,
-      codeFix: result.codeFix,
-      riskAssessment: result.riskAssessment,
-      analysisTimestamp: new Date().toISOString(),
-    });
+    sendEvent("done", { success: true, hash: txData.hash, ...diagnosisBody(req, result) });
   } catch (err) {
-    console.error("Diagnosis error:", err.message);
+    req.log.error("diagnosis.failed", { error: err.message });
+    sendEvent("error", { success: false, error: err.message });
+  }
+  res.end();
+});
+
+// ─── Diagnosis by Transaction Hash ────────────────────────────────────────────
+app.post("/diagnose/by-hash", async (req, res) => {
+  const body = validBody(req, res, "byHashRequest");
+  if (!body) return;
+  const { hash, overrides, pipeline } = body;
+
+  const options = diagnosisOptions(req, res, pipeline);
+  if (!options) return;
+
+  if (!process.env.RPC_URL) {
+    return res.status(503).json({ error: "RPC_URL is not configured on the server" });
+  }
+  if (!quotaAvailable(req, res)) return;
+
+  let txData;
+  try {
+    txData = await fetchTxDataByHash(hash, process.env.RPC_URL);
+  } catch (err) {
+    req.log.error("rpc.fetch.failed", { hash, error: err.message });
+    return res.status(502).json({ success: false, error: err.message });
+  }
+
+  // Caller-provided fields (contractName, additionalContext, abi...) fill in what the chain can't
+  Object.assign(txData, overrides);
+
+  try {
+    // Evidence lookups read from the node the transaction came from unless EVIDENCE_RPC_URL says otherwise
+    const result = await diagnose(txData, { rpcUrl: process.env.EVIDENCE_RPC_URL || process.env.RPC_URL, ...options });
+    recordUsage(apiKeyId(req), result);
+
+    res.json({ success: true, hash, txData, ...diagnosisBody(req, result) });
+  } catch (err) {
+    req.log.error("diagnosis.failed", { error: err.message });
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ─── Batch Diagnosis ──────────────────────────────────────────────────────────
-app.post("/batch", async (req, res) => {
-  const { transactions } = req.body;
+// ─── Stored Diagnoses ─────────────────────────────────────────────────────────
+// `?hash=0x...` lists the diagnoses of one transaction; `?limit=` caps the list
+app.get("/diagnoses", (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+  const diagnoses = diagnosisStore.list({ hash: req.query.hash, apiKeyId: ownerFilter(req), limit });
+  res.json({ diagnoses: diagnoses.map((d) => ({ ...d, permalink: reportUrl(req, d.id) })) });
+});
 
-  if (!Array.isArray(transactions) || transactions.length === 0) {
-    return res.status(400).json({
-      error: "Request body must have a 'transactions' array",
-    });
+// By diagnosis id, or by transaction hash for the caller's newest diagnosis of it
+app.get("/diagnoses/:id", (req, res) => {
+  const { id } = req.params;
+  const record = diagnosisStore.get(id) || diagnosisStore.getByHash(id, { apiKeyId: ownerFilter(req) });
+  if (!record) return res.status(404).json({ error: "Diagnosis not found" });
+  if (!ownedByCaller(req, res, record.apiKeyId, "Diagnosis")) return;
+  const { conversation, ...stored } = record;
+  res.json({ ...stored, permalink: reportUrl(req, record.id) });
+});
+
+// Public, so only by the diagnosis id: a transaction hash would open anyone's diagnosis of it
+app.get("/diagnoses/:id/report", (req, res) => {
+  const record = diagnosisStore.get(req.params.id);
+  if (!record) return res.status(404).type("text").send("Diagnosis not found");
+  if (req.query.format === "md") return res.type("text/markdown").send(renderReportMarkdown(record));
+  res.type("html").send(renderReportHtml(record));
+});
+
+// ─── Follow-up Questions ──────────────────────────────────────────────────────
+// Diagnoses with a follow-up in flight; a second question would fork the conversation
+const answering = new Set();
+
+app.get("/diagnoses/:id/messages", (req, res) => {
+  const record = diagnosisStore.get(req.params.id);
+  if (!record) return res.status(404).json({ error: "Diagnosis not found" });
+  if (!ownedByCaller(req, res, record.apiKeyId, "Diagnosis")) return;
+  res.json({ id: record.id, hash: record.hash, followUps: record.followUps });
+});
+
+// Body: { "question": "What slippage should I set?" }. Answers with the diagnosis'
+// provider unless `?provider=` says otherwise.
+app.post("/diagnoses/:id/messages", async (req, res) => {
+  const { id } = req.params;
+  const body = validBody(req, res, "followUpRequest");
+  if (!body) return;
+  const { question } = body;
+
+  const record = diagnosisStore.get(id);
+  if (!record) return res.status(404).json({ error: "Diagnosis not found" });
+  if (!ownedByCaller(req, res, record.apiKeyId, "Diagnosis")) return;
+
+  // The follow-up runs on the diagnosis' pipeline model
+  const options = diagnosisOptions(req, res, record.conversation.pipeline);
+  if (!options) return;
+  if (answering.has(id)) {
+    return res.status(409).json({ error: "A follow-up question on this diagnosis is still being answered" });
   }
+  if (!quotaAvailable(req, res)) return;
 
-  if (transactions.length > 10) {
-    return res.status(400).json({ error: "Max 10 transactions per batch" });
+  answering.add(id);
+  try {
+    const followUp = await askFollowUp(record.conversation, question, {
+      rpcUrl: process.env.EVIDENCE_RPC_URL || process.env.RPC_URL,
+      requestId: req.id,
+      logger: req.log.child({ diagnosisId: id }),
+      ...(options.provider ? { provider: options.provider } : {}),
+    });
+    metrics.observeFollowUp(followUp);
+    recordUsage(apiKeyId(req), followUp, "followUp");
+    const entry = diagnosisStore.addFollowUp(id, question, followUp);
+    res.json({ success: true, id, ...entry });
+  } catch (err) {
+    req.log.error("followUp.failed", { diagnosisId: id, error: err.message });
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    answering.delete(id);
   }
+});
+
+// ─── Batch Diagnosis ──────────────────────────────────────────────────────────
+app.post("/batch", async (req, res) => {
+  const body = validBody(req, res, "batchRequest");
+  if (!body) return;
+  const { transactions, pipeline } = body;
+
+  const options = diagnosisOptions(req, res, pipeline);
+  if (!options) return;
+  if (!quotaAvailable(req, res)) return;
 
   try {
-    console.log(`\n📦 Batch processing ${transactions.length} transactions`);
-    const { results, summary } = await batchAnalyze(transactions);
+    const { results, summary } = await batchAnalyze(transactions, { ...options, diagnose });
+    results.filter((r) => r.success).forEach((r) => recordUsage(apiKeyId(req), r.result));
 
     res.json({
       success: true,
@@ -104,10 +623,16 @@ app.post("/batch", async (req, res) => {
         r.success
           ? {
               hash: r.result.transactionContext.hash,
+              diagnosisId: r.result.diagnosisId,
+              cached: r.result.cached,
               errorCategory: r.result.errorCategory,
+              report: r.result.report,
               diagnosis: r.result.diagnosis,
               codeFix: r.result.codeFix,
               riskAssessment: r.result.riskAssessment,
+              sections: r.result.sections,
+              evidence: r.result.evidence,
+              safety: r.result.safety,
             }
           : { error: r.error, tx: r.tx }
       ),
@@ -117,18 +642,158 @@ app.post("/batch", async (req, res) => {
   }
 });
 
+// ─── Batch Jobs ───────────────────────────────────────────────────────────────
+// Body: { "transactions": [...] } as JSON, or one transaction per line as JSONL
+app.post(
+  "/jobs",
+  express.json({ limit: MAX_JOB_BODY_SIZE }),
+  express.text({ type: ["application/x-ndjson", "application/jsonl", "text/plain"], limit: MAX_JOB_BODY_SIZE }),
+  (req, res) => {
+    let payload;
+    try {
+      payload = typeof req.body === "string" ? { transactions: parseJsonl(req.body) } : req.body;
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const body = validBody(req, res, "jobRequest", payload);
+    if (!body) return;
+    const { transactions, pipeline } = body;
+
+    const options = diagnosisOptions(req, res, pipeline);
+    if (!options) return;
+    if (!quotaAvailable(req, res)) return;
+
+    const job = jobQueue.submit(transactions, options);
+    req.log.info("job.queued", { jobId: job.id, transactions: transactions.length });
+    res.status(202).location(`/jobs/${job.id}`).json(job);
+  }
+);
+
+app.get("/jobs", (req, res) => {
+  res.json({ jobs: jobQueue.list({ apiKeyId: ownerFilter(req) }) });
+});
+
+// `?results=false` returns only status and progress
+app.get("/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id, { includeResults: req.query.results !== "false" });
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!ownedByCaller(req, res, job.apiKeyId, "Job")) return;
+  res.json(job);
+});
+
+// Server-Sent Events: "progress" after every state change, then "done"
+app.get("/jobs/:id/events", (req, res) => {
+  const { id } = req.params;
+  const job = jobQueue.get(id, { includeResults: false });
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!ownedByCaller(req, res, job.apiKeyId, "Job")) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  sendEvent("progress", job);
+  if (jobQueue.isJobFinished(id)) {
+    sendEvent("done", job);
+    return res.end();
+  }
+
+  const onProgress = (jobId, update) => jobId === id && sendEvent("progress", update);
+  const onFinished = (jobId, update) => {
+    if (jobId !== id) return;
+    sendEvent("done", update);
+    res.end();
+  };
+  jobQueue.events.on("progress", onProgress);
+  jobQueue.events.on("finished", onFinished);
+  res.on("close", () => {
+    jobQueue.events.off("progress", onProgress);
+    jobQueue.events.off("finished", onFinished);
+  });
+});
+
+app.post("/jobs/:id/cancel", (req, res) => {
+  const found = jobQueue.get(req.params.id, { includeResults: false });
+  if (!found) return res.status(404).json({ error: "Job not found" });
+  if (!ownedByCaller(req, res, found.apiKeyId, "Job")) return;
+  res.json(jobQueue.cancel(req.params.id));
+});
+
+// ─── API Key Administration ───────────────────────────────────────────────────
+const admin = express.Router();
+admin.use(requireAdmin);
+
+// Body: { "name": "dashboard", "rateLimitPerMinute": 30, "dailyTokenQuota": 500000, "dailyCostQuotaUsd": 5 }.
+// The secret is only returned here.
+admin.post("/keys", (req, res) => {
+  const body = validBody(req, res, "apiKeyRequest");
+  if (!body) return;
+  const { key, secret } = apiKeys.issue(body);
+  req.log.info("apiKey.issued", { keyId: key.id, name: key.name });
+  res.status(201).location(`/admin/keys/${key.id}`).json({ ...key, secret });
+});
+
+admin.get("/keys", (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+admin.delete("/keys/:id", (req, res) => {
+  const key = apiKeys.revoke(req.params.id);
+  if (!key) return res.status(404).json({ error: "API key not found" });
+  req.log.info("apiKey.revoked", { keyId: key.id, name: key.name });
+  res.json(key);
+});
+
+// `?keyId=` for one key, `?days=` (1-90, default 7) for the period
+admin.get("/usage", (req, res) => {
+  const days = req.query.days ? Number(req.query.days) : 7;
+  if (!(Number.isInteger(days) && days >= 1 && days <= 90)) {
+    return res.status(400).json({ error: "days must be an integer from 1 to 90" });
+  }
+  if (req.query.keyId && !apiKeys.get(req.query.keyId)) return res.status(404).json({ error: "API key not found" });
+  res.json({ days, usage: apiKeys.usage({ keyId: req.query.keyId, days }) });
+});
+
+app.use("/admin", admin);
+
+// ─── Body Parser Errors ───────────────────────────────────────────────────────
+// Oversized or unparsable bodies get the same JSON error shape as invalid fields
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Request body is larger than ${req.path === "/jobs" ? MAX_JOB_BODY_SIZE : MAX_BODY_SIZE}` });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: `Request body is not valid JSON: ${err.message}` });
+  }
+  next(err);
+});
+
 // ─── Start Server ─────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
+  if (!AUTH_ENABLED) logger.warn("API_AUTH=off: every route is open and usage is not attributed to a key");
   console.log(`
 ╔═══════════════════════════════════════════════════════════════════╗
 ║         🔍 DeFi AI Agent Server - Transaction Diagnoser           ║
 ╠═══════════════════════════════════════════════════════════════════╣
 ║  Server: http://localhost:${PORT}                                    ║
-║  Health: GET  /health                                             ║
+║  Health: GET  /health  (provider readiness), GET /metrics         ║
 ║  Classify: POST /classify  (fast, no AI)                         ║
 ║  Diagnose: POST /diagnose  (full AI analysis)                    ║
+║  Stream:   POST /diagnose/stream  (Server-Sent Events)           ║
+║  By hash:  POST /diagnose/by-hash (fetch from RPC_URL)           ║
+║  Fix:      POST /fix       (ready-to-sign retry, no AI)          ║
 ║  Batch:    POST /batch     (up to 10 transactions)               ║
+║  Jobs:     POST /jobs      (any size, JSON/JSONL, background)    ║
+║  Stored:   GET  /diagnoses (by id or hash, /:id/report to share) ║
+║  Ask:      POST /diagnoses/:id/messages (follow-up questions)    ║
+║  Schema:   GET  /schema    (request body JSON Schemas)           ║
+║  Admin:    /admin/keys, /admin/usage (ADMIN_API_KEY)             ║
 ╚═══════════════════════════════════════════════════════════════════╝
 `);
 });
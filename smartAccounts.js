@@ -0,0 +1,202 @@
+/**
+ * Smart Account Transactions
+ * Accepts an ERC-4337 UserOperation (v0.6 or v0.7 fields) or a Safe multisig
+ * transaction next to the usual txData. The standard fields (from, to,
+ * inputData, nonce, gas limits and fees) are derived from it, and a summary of
+ * the account, paymaster, gas and signatures is given to the prompt, since
+ * these failures happen in validation and signing rather than in an EOA call.
+ */
+
+const { getAddress, isAddress } = require("ethers");
+const { resolveNetwork, parseGasPrice, parseGasUnits, formatNative, formatGwei } = require("./networks");
+
+// Canonical EntryPoint deployments (same address on every chain)
+const ENTRY_POINTS = {
+  "0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789": "v0.6",
+  "0x0000000071727de22e5e9d8baf0edac6f37da032": "v0.7",
+  "0x4337084d9e255ff0702461cf8895ce9e3b5ff108": "v0.8",
+};
+
+const SAFE_OPERATIONS = { 0: "CALL", 1: "DELEGATECALL" };
+const SIGNATURE_BYTES = 65;
+
+const isObject = (value) => Boolean(value) && typeof value === "object";
+const address = (value) => (isAddress(value || "") ? getAddress(value) : null);
+const units = (gas) => (gas === null ? null : gas.toString());
+const hexBytes = (value) => (typeof value === "string" && /^0x([0-9a-fA-F]{2})*$/.test(value) ? (value.length - 2) / 2 : 0);
+
+function entryPointVersion(entryPoint, op) {
+  const known = entryPoint && ENTRY_POINTS[entryPoint.toLowerCase()];
+  if (known) return known;
+  // v0.7 splits initCode and paymasterAndData into separate fields
+  return op.factory !== undefined || op.paymaster !== undefined ? "v0.7" : "v0.6";
+}
+
+// ─── ERC-4337 ─────────────────────────────────────────────────────────────────
+function analyzeUserOperation(op, txData, network) {
+  const entryPoint = address(txData.entryPoint || op.entryPoint);
+  const version = entryPointVersion(entryPoint, op);
+  const paymaster = address(op.paymaster) || (hexBytes(op.paymasterAndData) >= 20 ? address(op.paymasterAndData.slice(0, 42)) : null);
+  const factory = address(op.factory) || (hexBytes(op.initCode) >= 20 ? address(op.initCode.slice(0, 42)) : null);
+
+  const gas = {
+    callGasLimit: parseGasUnits(op.callGasLimit),
+    verificationGasLimit: parseGasUnits(op.verificationGasLimit),
+    preVerificationGas: parseGasUnits(op.preVerificationGas),
+    paymasterVerificationGasLimit: parseGasUnits(op.paymasterVerificationGasLimit),
+    paymasterPostOpGasLimit: parseGasUnits(op.paymasterPostOpGasLimit),
+  };
+  // The EntryPoint's prefund: v0.6 reserves verificationGasLimit three times when a paymaster is used
+  const verification = (gas.verificationGasLimit || 0n) * (version === "v0.6" && paymaster ? 3n : 1n);
+  const totalGas =
+    gas.callGasLimit === null && gas.verificationGasLimit === null
+      ? null
+      : verification +
+        (gas.callGasLimit || 0n) +
+        (gas.preVerificationGas || 0n) +
+        (gas.paymasterVerificationGasLimit || 0n) +
+        (gas.paymasterPostOpGasLimit || 0n);
+  const maxFeePerGas = parseGasPrice(op.maxFeePerGas);
+  const maxPriorityFeePerGas = parseGasPrice(op.maxPriorityFeePerGas);
+  const nonce = parseGasUnits(op.nonce);
+
+  return {
+    type: "erc4337",
+    entryPoint,
+    entryPointVersion: version,
+    sender: address(op.sender),
+    nonceKey: nonce === null ? null : (nonce >> 64n).toString(),
+    nonceSequence: nonce === null ? null : (nonce & 0xffffffffffffffffn).toString(),
+    deploysAccount: Boolean(factory),
+    factory,
+    paymaster,
+    gas: Object.fromEntries(Object.entries(gas).map(([key, value]) => [key, units(value)])),
+    totalGasLimit: units(totalGas),
+    maxFeePerGas: maxFeePerGas === null ? null : formatGwei(maxFeePerGas),
+    maxPriorityFeePerGas: maxPriorityFeePerGas === null ? null : formatGwei(maxPriorityFeePerGas),
+    requiredPrefund: totalGas !== null && maxFeePerGas !== null ? formatNative(totalGas * maxFeePerGas, network) : null,
+    signatureBytes: hexBytes(op.signature),
+  };
+}
+
+// ─── Safe ─────────────────────────────────────────────────────────────────────
+function analyzeSafeTransaction(safeTx, network) {
+  const value = parseGasUnits(safeTx.value);
+  const gasPrice = parseGasUnits(safeTx.gasPrice);
+  const gasToken = address(safeTx.gasToken);
+  const refundToken = gasToken && gasToken !== "0x0000000000000000000000000000000000000000" ? gasToken : null;
+  const threshold = parseGasUnits(safeTx.threshold);
+
+  return {
+    type: "safe",
+    safe: address(safeTx.safe),
+    to: address(safeTx.to),
+    value: value === null ? null : formatNative(value, network),
+    operation: SAFE_OPERATIONS[Number(safeTx.operation || 0)] || "unknown",
+    safeTxGas: units(parseGasUnits(safeTx.safeTxGas)),
+    baseGas: units(parseGasUnits(safeTx.baseGas)),
+    refund: gasPrice ? { gasPrice: gasPrice.toString(), gasToken: refundToken, receiver: address(safeTx.refundReceiver) } : null,
+    nonce: units(parseGasUnits(safeTx.nonce)),
+    // Contract (EIP-1271) signatures append dynamic data, so this is an upper bound
+    signatureCount: Math.floor(hexBytes(safeTx.signatures) / SIGNATURE_BYTES),
+    threshold: threshold === null ? null : Number(threshold),
+  };
+}
+
+/**
+ * Summary of the smart-account part of a transaction.
+ * @returns {object|null} `{ type: "erc4337", ... }`, `{ type: "safe", ... }` or null for an EOA transaction
+ */
+function analyzeSmartAccount(txData) {
+  const network = resolveNetwork(txData);
+  if (isObject(txData.userOperation)) return analyzeUserOperation(txData.userOperation, txData, network);
+  if (isObject(txData.safeTransaction)) return analyzeSafeTransaction(txData.safeTransaction, network);
+  return null;
+}
+
+/**
+ * txData with from / to / inputData / nonce / gas fields filled in from
+ * `userOperation` or `safeTransaction`. Fields given explicitly win, so
+ * applying it twice changes nothing.
+ */
+function withSmartAccountFields(txData) {
+  const summary = analyzeSmartAccount(txData);
+  if (!summary) return txData;
+
+  let derived;
+  if (summary.type === "erc4337") {
+    const op = txData.userOperation;
+    const nonce = parseGasUnits(op.nonce);
+    derived = {
+      from: summary.sender,
+      to: summary.sender,
+      contractName: `ERC-4337 Smart Account (EntryPoint ${summary.entryPointVersion})`,
+      inputData: op.callData,
+      nonce: nonce === null ? null : nonce.toString(),
+      gasLimit: summary.totalGasLimit,
+      maxFeePerGas: op.maxFeePerGas,
+      maxPriorityFeePerGas: op.maxPriorityFeePerGas,
+    };
+  } else {
+    const safeTx = txData.safeTransaction;
+    const value = parseGasUnits(safeTx.value);
+    derived = {
+      from: summary.safe,
+      to: summary.to,
+      contractName: "Safe Multisig",
+      contractAddress: summary.safe,
+      inputData: safeTx.data,
+      nonce: summary.nonce,
+      // Hex is read as wei; a bare number would be whole units of the native currency
+      value: value === null ? null : `0x${value.toString(16)}`,
+    };
+  }
+
+  const filled = Object.fromEntries(Object.entries(derived).filter(([, value]) => value !== undefined && value !== null));
+  return { ...filled, ...txData };
+}
+
+// ─── Prompt Facts ─────────────────────────────────────────────────────────────
+/**
+ * Facts about the account for the prompt; addresses are checksummed, everything else is derived.
+ * @returns {string[]}
+ */
+function describeSmartAccount(summary) {
+  if (summary.type === "erc4337") {
+    const gas = Object.entries(summary.gas)
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => `${key} ${value}`)
+      .join(", ");
+    return [
+      `ERC-4337 UserOperation through EntryPoint ${summary.entryPointVersion}${summary.entryPoint ? ` (${summary.entryPoint})` : ""}.`,
+      `Sender (smart account): ${summary.sender || "unknown"}${summary.deploysAccount ? `, deployed by this operation through factory ${summary.factory}` : ""}.`,
+      summary.nonceKey !== null ? `Nonce: key ${summary.nonceKey}, sequence ${summary.nonceSequence}.` : "Nonce: not given.",
+      summary.paymaster
+        ? `Gas is sponsored by paymaster ${summary.paymaster}.`
+        : "No paymaster: the account pays gas from its EntryPoint deposit or balance (the prefund).",
+      `Gas limits: ${gas || "not given"}${summary.totalGasLimit ? `; total reserved ${summary.totalGasLimit}` : ""}.`,
+      summary.requiredPrefund ? `Maximum cost (prefund) = total gas × maxFeePerGas ${summary.maxFeePerGas} = ${summary.requiredPrefund}.` : null,
+      `Signature: ${summary.signatureBytes} bytes.`,
+      "AAxx codes: AA1x account deployment, AA2x account validation, AA3x paymaster, AA4x verification gas, AA5x postOp / prefund, AA9x bundler. A UserOperation failing validation is dropped by the bundler and costs the account nothing; a revert of callData during execution is still charged.",
+    ].filter(Boolean);
+  }
+
+  return [
+    `Safe multisig transaction from Safe ${summary.safe || "unknown"} (nonce ${summary.nonce || "unknown"}): ${summary.operation} to ${summary.to || "unknown"}${summary.value ? ` with ${summary.value}` : ""}.`,
+    `Signatures: ${summary.signatureCount}${summary.threshold !== null ? ` (threshold ${summary.threshold})` : ""}; they must be sorted by owner address and sign this exact Safe transaction hash (chain id, Safe, nonce, all fields).`,
+    summary.safeTxGas === "0" || summary.safeTxGas === null
+      ? "safeTxGas is 0: if the inner call fails, the whole execTransaction reverts with GS013."
+      : `safeTxGas is ${summary.safeTxGas}: if the inner call fails the Safe emits ExecutionFailure, the transaction succeeds and the nonce is used.`,
+    summary.refund
+      ? `Gas refund: gasPrice ${summary.refund.gasPrice} paid in ${summary.refund.gasToken || "the native currency"} to ${summary.refund.receiver || "the executor"}.`
+      : "No gas refund (gasPrice 0): the executor pays gas.",
+    summary.operation === "DELEGATECALL" ? "DELEGATECALL runs the target's code with the Safe's storage and funds; only use trusted targets." : null,
+  ].filter(Boolean);
+}
+
+module.exports = {
+  ENTRY_POINTS,
+  analyzeSmartAccount,
+  withSmartAccountFields,
+  describeSmartAccount,
+};
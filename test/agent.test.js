@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { diagnoseTxFailure, askFollowUp } = require("../agent");
+const { createLogger } = require("../logger");
+
+const logger = createLogger({}, { level: "silent" });
+const TX = { hash: "0x" + "ab".repeat(32), error: "execution reverted", revertReason: "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT" };
+
+test("a follow-up continues the diagnosis' conversation without changing it", async () => {
+  const { conversation } = await diagnoseTxFailure(TX, { provider: "rules", logger });
+  const length = conversation.messages.length;
+
+  const first = await askFollowUp(conversation, "  What slippage should I set?  ", { logger });
+  assert.strictEqual(first.provider, "rules");
+  assert.match(first.answer, /slippage/i);
+  assert.strictEqual(conversation.messages.length, length);
+  assert.strictEqual(first.conversation.messages.length, length + 2);
+  const asked = first.conversation.messages[length].content.find((block) => block.type === "text").text;
+  assert.match(asked, /^Follow-up question about this transaction:\nWhat slippage should I set\?\n/);
+  assert.deepStrictEqual(first.conversation.messages[length + 1], { role: "assistant", content: first.answer });
+
+  // The next question builds on the previous exchange
+  const second = await askFollowUp(first.conversation, "Is this a scam?", { logger });
+  assert.strictEqual(second.conversation.messages.length, length + 4);
+  assert.notStrictEqual(second.answer, first.answer);
+});
+
+test("an empty follow-up question is refused", async () => {
+  const { conversation } = await diagnoseTxFailure(TX, { provider: "rules", logger });
+  await assert.rejects(askFollowUp(conversation, "   ", { logger }), { message: "Question must be a non-empty string" });
+});
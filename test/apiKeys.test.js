@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApiKeyStore } = require("../apiKeys");
+const { createLogger } = require("../logger");
+
+test("usage counts against the key's daily quotas", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createApiKeyStore({ dir });
+  const { key } = store.issue({ name: "dashboard", dailyTokenQuota: 1000, dailyCostQuotaUsd: 0.05 });
+
+  store.recordUsage(key.id, { requests: 2, inputTokens: 300, outputTokens: 100, costUsd: 0.04 });
+  assert.strictEqual(store.quotaExceeded(key.id), null);
+  // Unpriced runs add tokens only
+  store.recordUsage(key.id, { requests: 1, inputTokens: 100, outputTokens: 100, costUsd: null });
+  const { date, ...today } = store.get(key.id).today;
+  assert.deepStrictEqual(today, { diagnoses: 2, followUps: 0, requests: 3, inputTokens: 400, outputTokens: 200, costUsd: 0.04 });
+  store.recordUsage(key.id, { requests: 1, inputTokens: 10, outputTokens: 10, costUsd: 0.02 });
+  assert.match(store.quotaExceeded(key.id), /Daily cost quota of \$0.05 used up/);
+
+  // Counters survive a restart
+  assert.strictEqual(createApiKeyStore({ dir }).get(key.id).today.costUsd, 0.06);
+});
+
+test("follow-up questions are counted apart from diagnoses", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createApiKeyStore({ dir });
+  const { key } = store.issue({ name: "dashboard" });
+
+  store.recordUsage(key.id, { requests: 3, inputTokens: 300, outputTokens: 100, costUsd: 0.03 });
+  store.recordUsage(key.id, { requests: 1, inputTokens: 50, outputTokens: 50, costUsd: 0.01 }, "followUp");
+  store.recordUsage(key.id, { requests: 1, inputTokens: 50, outputTokens: 50, costUsd: 0.01 }, "followUp");
+  const [day] = store.usage({ keyId: key.id, days: 1 })[0].days;
+  assert.deepStrictEqual([day.diagnoses, day.followUps, day.requests, day.costUsd], [1, 2, 5, 0.05]);
+});
+
+test("unreadable key files are logged and refused, the rest still load", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { key, secret } = createApiKeyStore({ dir }).issue({ name: "dashboard" });
+  const broken = createApiKeyStore({ dir }).issue({ name: "broken" });
+  fs.writeFileSync(path.join(dir, `${broken.key.id}.json`), '{"id": "key_');
+  fs.writeFileSync(path.join(dir, "notes.json"), "{}");
+
+  const lines = [];
+  const logger = createLogger({}, { level: "error", stream: { write: (line) => lines.push(JSON.parse(line)) } });
+  const store = createApiKeyStore({ dir, logger });
+  assert.strictEqual(store.authenticate(secret).id, key.id);
+  assert.strictEqual(store.authenticate(broken.secret), null);
+  assert.deepStrictEqual(store.list().map((k) => k.id), [key.id]);
+  assert.deepStrictEqual(lines.map((line) => [line.msg, line.file]).sort(), [
+    ["apiKey.skipped", `${broken.key.id}.json`],
+    ["apiKey.skipped", "notes.json"],
+  ]);
+});
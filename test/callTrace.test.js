@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { AbiCoder, Interface } = require("ethers");
+const { analyzeCallTrace } = require("../callTrace");
+const { detectErrorCategory } = require("../agent");
+
+const ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
+const PAIR = "0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc";
+const TOKEN = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+
+const erc20 = new Interface(["function transferFrom(address from, address to, uint256 amount)"]);
+const revert = (reason) => "0x08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// Router → pair (succeeds), then router → token, which reverts and bubbles up
+const trace = {
+  type: "CALL",
+  from: "0x1111111111111111111111111111111111111111",
+  to: ROUTER,
+  input: "0x18cbafe5",
+  gasUsed: "0x1d4c0",
+  error: "execution reverted",
+  calls: [
+    { type: "STATICCALL", from: ROUTER, to: PAIR, input: "0x0902f1ac", gasUsed: "0x9c4" },
+    {
+      type: "CALL",
+      from: ROUTER,
+      to: TOKEN,
+      input: erc20.encodeFunctionData("transferFrom", [ROUTER, PAIR, 5n]),
+      gasUsed: "0x2710",
+      error: "execution reverted",
+      output: revert("ERC20: transfer amount exceeds balance"),
+    },
+  ],
+};
+
+test("the innermost reverting frame is found and decoded", () => {
+  const analysis = analyzeCallTrace(trace);
+  assert.strictEqual(analysis.frameCount, 3);
+  assert.deepStrictEqual(analysis.failingPath, ["0x7a25…488D::swapExactTokensForETH", "0xA0b8…eB48::transferFrom"]);
+  assert.strictEqual(analysis.failingFrame.depth, 1);
+  assert.strictEqual(analysis.failingFrame.gasUsed, "10000");
+  assert.strictEqual(analysis.failingFrame.revertReason, "ERC20: transfer amount exceeds balance");
+  assert.deepStrictEqual(analysis.tree.split("\n"), [
+    "↳ CALL 0x7a25…488D::swapExactTokensForETH gas=120000 [execution reverted]",
+    "    STATICCALL 0xB4e1…C9Dc::0x0902f1ac gas=2500",
+    "  ✗ CALL 0xA0b8…eB48::transferFrom gas=10000 [ERC20: transfer amount exceeds balance]",
+  ]);
+});
+
+test("a successful trace has no failing frame", () => {
+  const { error, calls, ...succeeded } = trace;
+  const analysis = analyzeCallTrace(succeeded);
+  assert.deepStrictEqual([analysis.failingFrame, analysis.failingPath, analysis.frameCount], [null, [], 1]);
+  assert.strictEqual(analyzeCallTrace(null), null);
+});
+
+test("without top-level revert data the inner revert drives classification", () => {
+  assert.strictEqual(detectErrorCategory({ error: "execution reverted", trace }).key, "BALANCE");
+});
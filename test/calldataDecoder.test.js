@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Interface } = require("ethers");
+const { decodeCalldata } = require("../calldataDecoder");
+const { buildTransactionContext } = require("../agent");
+
+const router = new Interface([
+  "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+]);
+const PATH = ["0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"];
+const TO = "0x1111111111111111111111111111111111111111";
+const swapData = router.encodeFunctionData("swapExactTokensForETH", [1000000n, 250000000000000000n, PATH, TO, 1700000000n]);
+
+test("known selectors decode into named arguments", () => {
+  const decoded = decodeCalldata(swapData);
+  assert.strictEqual(decoded.selector, "0x18cbafe5");
+  assert.strictEqual(decoded.signature, "swapExactTokensForETH(uint256,uint256,address[],address,uint256)");
+  assert.strictEqual(decoded.complete, true);
+  assert.deepStrictEqual(decoded.args.map((arg) => arg.name), ["amountIn", "amountOutMin", "path", "to", "deadline"]);
+  assert.strictEqual(decoded.params.amountOutMin, "250000000000000000");
+  assert.strictEqual(decoded.params.deadline, "1700000000");
+  assert.deepStrictEqual(decoded.params.path, PATH);
+});
+
+test("struct parameters are flattened into params", () => {
+  const v3 = new Interface([
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)",
+  ]);
+  const data = v3.encodeFunctionData("exactInputSingle", [[PATH[0], PATH[1], 3000, TO, 1700000000n, 5n, 4n, 0n]]);
+  const decoded = decodeCalldata(data);
+  assert.strictEqual(decoded.name, "exactInputSingle");
+  assert.strictEqual(decoded.params.amountOutMinimum, "4");
+  assert.strictEqual(decoded.params.deadline, "1700000000");
+});
+
+test("truncated calldata keeps the function but is not complete", () => {
+  const decoded = decodeCalldata("0x18cbafe5....");
+  assert.strictEqual(decoded.name, "swapExactTokensForETH");
+  assert.strictEqual(decoded.complete, false);
+  assert.deepStrictEqual(decoded.args, []);
+  assert.strictEqual(decodeCalldata("0x18cb"), null);
+});
+
+test("user ABIs resolve selectors missing from the local database", () => {
+  const abi = ["function harvest(uint256 pid, address to)"];
+  const data = new Interface(abi).encodeFunctionData("harvest", [7n, TO]);
+  assert.strictEqual(decodeCalldata(data).name, null);
+  assert.deepStrictEqual(decodeCalldata(data, [abi]).params, { pid: "7", to: TO });
+});
+
+test("the transaction context fills functionName from the calldata", () => {
+  const ctx = buildTransactionContext({ hash: "0x" + "ab".repeat(32), error: "execution reverted", inputData: swapData });
+  assert.strictEqual(ctx.functionName, "swapExactTokensForETH");
+  assert.strictEqual(ctx.decodedInput.params.to, TO);
+  assert.strictEqual(buildTransactionContext({ inputData: swapData, functionName: "custom" }).functionName, "custom");
+});
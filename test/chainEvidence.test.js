@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { Interface } = require("ethers");
+const { createEvidenceCollector, evidenceToolResult, describeEvidence } = require("../chainEvidence");
+
+const TOKEN = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const OWNER = "0x1111111111111111111111111111111111111111";
+const ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
+
+const erc20 = new Interface([
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]);
+
+// A node serving chain 1 whose token answers allowance, decimals and symbol; every call is kept in `calls`
+function stubNode() {
+  const calls = [];
+  const answers = { allowance: [1500000n], decimals: [6], symbol: ["USDC"] };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+      let result = "0x1";
+      if (method === "eth_call") {
+        const fn = erc20.getFunction(params[0].data.slice(0, 10));
+        result = erc20.encodeFunctionResult(fn, answers[fn.name]);
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, result }));
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ url: `http://127.0.0.1:${server.address().port}`, calls, close: () => server.close() }))
+  );
+}
+
+test("lookups read the block before the transaction and format token amounts", async () => {
+  const node = await stubNode();
+  try {
+    const evidence = createEvidenceCollector({ rpcUrl: node.url, blockNumber: 100, chainId: 1 });
+    const entry = await evidence.execute("get_erc20_allowance", { token: TOKEN, owner: OWNER, spender: ROUTER });
+
+    assert.deepStrictEqual(entry.result, { raw: "1500000", formatted: "1.5 USDC" });
+    assert.strictEqual(entry.block, "0x63");
+    assert.ok(node.calls.filter((c) => c.method === "eth_call").every((c) => c.params[1] === "0x63"));
+    assert.strictEqual(describeEvidence(entry), `get_erc20_allowance(${TOKEN}, ${OWNER}, ${ROUTER}) @ block 99: raw=1500000, formatted=1.5 USDC`);
+    assert.deepStrictEqual(evidenceToolResult({ id: "toolu_1" }, entry), {
+      type: "tool_result",
+      tool_use_id: "toolu_1",
+      content: JSON.stringify({ block: "0x63", raw: "1500000", formatted: "1.5 USDC" }),
+    });
+    assert.deepStrictEqual(evidence.log, [entry]);
+  } finally {
+    node.close();
+  }
+});
+
+test("bad input and the wrong chain fail the lookup, not the diagnosis", async () => {
+  const node = await stubNode();
+  try {
+    const evidence = createEvidenceCollector({ rpcUrl: node.url, chainId: 10 });
+    const badAddress = await evidence.execute("get_paused", { contract: "0x1234" });
+    assert.strictEqual(badAddress.error, "$.contract must be a 0x-prefixed 20-byte address");
+    assert.strictEqual(node.calls.length, 0);
+
+    const wrongChain = await evidence.execute("get_paused", { contract: TOKEN });
+    assert.strictEqual(wrongChain.block, "latest");
+    assert.strictEqual(wrongChain.error, "RPC endpoint serves chain 1, transaction is on chain 10");
+    assert.deepStrictEqual(evidenceToolResult({ id: "toolu_2" }, wrongChain), {
+      type: "tool_result",
+      tool_use_id: "toolu_2",
+      is_error: true,
+      content: wrongChain.error,
+    });
+
+    assert.strictEqual((await evidence.execute("get_storage", {})).error, "Unknown evidence tool get_storage");
+    assert.strictEqual(evidence.log.length, 3);
+  } finally {
+    node.close();
+  }
+});
+
+test("lookups stop at the per-diagnosis limit", async () => {
+  const node = await stubNode();
+  try {
+    const evidence = createEvidenceCollector({ rpcUrl: node.url, chainId: 1 });
+    for (let i = 0; i < 20; i++) await evidence.execute("get_erc20_decimals", { token: TOKEN });
+    assert.ok(evidence.log.every((entry) => entry.result && entry.result.decimals === 6));
+    // decimals and symbol are read once per token
+    assert.strictEqual(node.calls.filter((c) => c.method === "eth_call").length, 2);
+
+    const over = await evidence.execute("get_erc20_decimals", { token: TOKEN });
+    assert.match(over.error, /^Lookup limit of 20 reached/);
+  } finally {
+    node.close();
+  }
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Interface } = require("ethers");
+const { detectErrorCategory, classifyTransaction } = require("../agent");
+
+const categoryOf = (fields) => detectErrorCategory({ error: "execution reverted", ...fields });
+const scored = (result) => [result.key, ...result.alternatives.map((a) => a.key)];
+
+test("allowance is only matched as a phrase", () => {
+  assert.strictEqual(categoryOf({ revertReason: "ERC20: insufficient allowance" }).key, "ALLOWANCE");
+  assert.strictEqual(categoryOf({ revertReason: "BEP20: transfer amount exceeds allowance" }).key, "ALLOWANCE");
+  const gas = detectErrorCategory({ error: "gas required exceeds allowance (300000)" });
+  assert.strictEqual(gas.key, "OUT_OF_GAS");
+  assert.ok(!scored(gas).includes("ALLOWANCE"));
+  assert.ok(!scored(categoryOf({ revertReason: "allowance already set" })).includes("ALLOWANCE"));
+});
+
+test("paused, expired, oracle and throttled need context", () => {
+  assert.strictEqual(categoryOf({ revertReason: "Pausable: paused" }).key, "PAUSED");
+  assert.strictEqual(categoryOf({ revertReason: "Mint is paused" }).key, "PAUSED");
+  assert.ok(!scored(categoryOf({ revertReason: "Pausable: not paused" })).includes("PAUSED"));
+  assert.ok(!scored(categoryOf({ revertReason: "Permit expired or not due" })).includes("DEADLINE"));
+  assert.ok(!scored(categoryOf({ revertReason: "OracleRegistry: caller is not the owner" })).includes("ORACLE"));
+  assert.ok(!scored(categoryOf({ revertReason: "request throttled by relayer" })).includes("BUNDLER"));
+  assert.strictEqual(categoryOf({ revertReason: "Chainlink: stale price" }).key, "ORACLE");
+});
+
+test("deadline, paymaster and reputation are only matched as phrases", () => {
+  assert.strictEqual(categoryOf({ revertReason: "Router: expired deadline" }).key, "DEADLINE");
+  assert.ok(!scored(categoryOf({ revertReason: "Vesting: deadline not reached" })).includes("DEADLINE"));
+  assert.strictEqual(categoryOf({ revertReason: "paymaster deposit too low" }).key, "PAYMASTER");
+  assert.ok(!scored(categoryOf({ revertReason: "Ownable: caller is not the paymaster" })).includes("PAYMASTER"));
+  assert.strictEqual(detectErrorCategory({ error: "entity reputation too low" }).key, "BUNDLER");
+  assert.ok(!scored(categoryOf({ revertReason: "Reputation: score below minimum" })).includes("BUNDLER"));
+});
+
+test("a specific revert reason outranks the catch-all", () => {
+  const ranked = classifyTransaction({ error: "execution reverted", revertReason: "Router: too little received" });
+  assert.deepStrictEqual(ranked.map((r) => r.key), ["SLIPPAGE", "REVERT_NO_REASON"]);
+  // The catch-all counts at CATCH_ALL_FACTOR of its 0.5 error-text weight
+  assert.deepStrictEqual(ranked.map((r) => r.score), [1, 0.15]);
+  assert.deepStrictEqual(ranked[0].evidence, [{ source: "revertReason", match: "too little received", weight: 1 }]);
+
+  const bare = detectErrorCategory({ error: "execution reverted" });
+  assert.strictEqual(bare.key, "REVERT_NO_REASON");
+  assert.deepStrictEqual(bare.alternatives, []);
+  assert.deepStrictEqual(detectErrorCategory({ error: "something odd" }), {
+    key: "UNKNOWN",
+    category: "Unknown Error",
+    patterns: [],
+    confidence: 0,
+    evidence: [],
+    alternatives: [],
+  });
+});
+
+test("the revert reason weighs more than node error text", () => {
+  const result = detectErrorCategory({ error: "insufficient balance for transfer", revertReason: "ERC20: insufficient allowance" });
+  assert.strictEqual(result.key, "ALLOWANCE");
+  assert.deepStrictEqual(scored(result), ["ALLOWANCE", "BALANCE"]);
+});
+
+test("gas and calldata signals count without any text", () => {
+  const gas = categoryOf({ gasUsed: "150000", gasLimit: "150000" });
+  assert.strictEqual(gas.key, "OUT_OF_GAS");
+  assert.strictEqual(gas.evidence[0].source, "gas");
+
+  const swap = new Interface([
+    "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  ]).encodeFunctionData("swapExactTokensForTokens", [1n, 1n, [], "0x1111111111111111111111111111111111111111", 1709290000n]);
+  const expired = categoryOf({ inputData: swap, timestamp: "2024-03-01T12:00:00Z" });
+  assert.strictEqual(expired.key, "DEADLINE");
+  assert.strictEqual(expired.evidence[0].source, "calldata");
+  assert.ok(!scored(categoryOf({ inputData: swap, timestamp: "2024-03-01T10:00:00Z" })).includes("DEADLINE"));
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DEMOS, demoTransaction } = require("../demos");
+const { validateRequest } = require("../requestSchema");
+const { detectErrorCategory } = require("../agent");
+
+const EXPECTED = {
+  "out-of-gas": "OUT_OF_GAS",
+  slippage: "SLIPPAGE",
+  allowance: "ALLOWANCE",
+  paused: "PAUSED",
+  access: "OWNERSHIP",
+  balance: "BALANCE",
+};
+
+test("every demo is a valid /diagnose body classified as its failure", () => {
+  assert.deepStrictEqual(DEMOS.map((demo) => demo.id), Object.keys(EXPECTED));
+  for (const demo of DEMOS) {
+    assert.deepStrictEqual(validateRequest("diagnoseRequest", demo.transaction).errors, [], demo.id);
+    assert.strictEqual(detectErrorCategory(demo.transaction).key, EXPECTED[demo.id], demo.id);
+    assert.ok(demo.title && demo.icon, demo.id);
+  }
+});
+
+test("demos are looked up by id", () => {
+  assert.strictEqual(demoTransaction("paused"), DEMOS[3].transaction);
+  assert.strictEqual(demoTransaction("all"), null);
+});
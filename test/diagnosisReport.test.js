@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateReport, renderDiagnosisMarkdown, renderRiskMarkdown } = require("../diagnosisReport");
+const { diagnoseTxFailure } = require("../agent");
+const { createLogger } = require("../logger");
+
+const REPORT = {
+  rootCause: "The swap returned less than amountOutMin.",
+  explanation: "The price moved between signing and inclusion.",
+  userExplanation: "The price changed before your swap went through.",
+  fixSteps: ["Raise the slippage tolerance.", "Retry the swap."],
+  preventionTips: [],
+  severity: "Low",
+  fundsLost: false,
+  securityConcerns: [],
+  confidence: "High",
+};
+
+test("a complete report validates", () => {
+  assert.deepStrictEqual(validateReport(REPORT), []);
+});
+
+test("validation names every bad field by path", () => {
+  const { rootCause, ...missing } = REPORT;
+  assert.deepStrictEqual(validateReport(missing), ["$.rootCause is required"]);
+  assert.deepStrictEqual(validateReport({ ...REPORT, severity: "Severe", fixSteps: [], securityConcerns: [1] }), [
+    "$.fixSteps must have at least 1 item(s)",
+    "$.severity must be one of: Low, Medium, High, Critical",
+    "$.securityConcerns[0] must be a string",
+  ]);
+  assert.deepStrictEqual(validateReport([REPORT]), ["$ must be an object"]);
+});
+
+test("the markdown views are derived from the report", () => {
+  const diagnosis = renderDiagnosisMarkdown(REPORT);
+  assert.match(diagnosis, /## Root Cause\nThe swap returned less than amountOutMin\./);
+  assert.match(diagnosis, /1\. Raise the slippage tolerance\.\n2\. Retry the swap\./);
+  assert.match(diagnosis, /## Prevention Tips\n- None/);
+  assert.ok(!diagnosis.includes("On-chain Evidence"));
+  assert.match(renderDiagnosisMarkdown({ ...REPORT, evidence: ["amountOutMin = 5"] }), /## On-chain Evidence\n- amountOutMin = 5/);
+
+  const risk = renderRiskMarkdown({ ...REPORT, confidenceReason: "Decoded revert reason" });
+  assert.match(risk, /## Funds Lost\nNo \(only gas fees/);
+  assert.match(risk, /- None identified/);
+  assert.match(risk, /\*\*High\*\* — Decoded revert reason/);
+});
+
+test("a diagnosis returns a valid report alongside its markdown", async () => {
+  const result = await diagnoseTxFailure(
+    { hash: "0x" + "ab".repeat(32), error: "execution reverted", revertReason: "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT" },
+    { provider: "rules", logger: createLogger({}, { level: "silent" }) }
+  );
+  assert.deepStrictEqual(validateReport(result.report), []);
+  assert.strictEqual(result.diagnosis, renderDiagnosisMarkdown(result.report));
+  assert.strictEqual(result.riskAssessment, renderRiskMarkdown(result.report));
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDiagnosisStore } = require("../diagnosisStore");
+const { createLogger } = require("../logger");
+
+const TX = { hash: "0x" + "ab".repeat(32), error: "execution reverted", revertReason: "Pausable: paused" };
+
+const fakeResult = (tx) => ({
+  transactionContext: { hash: tx.hash },
+  errorCategory: { key: "PAUSED", category: "Contract Paused" },
+  report: { severity: "Low" },
+  conversation: { transactionContext: { hash: tx.hash } },
+});
+
+// A store over a temp dir whose log lines are collected
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diagnoses-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const lines = [];
+  const logger = createLogger({}, { level: "error", stream: { write: (line) => lines.push(JSON.parse(line)) } });
+  let runs = 0;
+  const diagnose = async (tx) => {
+    runs += 1;
+    return fakeResult(tx);
+  };
+  const open = () => createDiagnosisStore({ dir, logger, diagnose });
+  return { dir, lines, open, runs: () => runs };
+}
+
+test("repeats are served from the store", async (t) => {
+  const { open, runs } = tempStore(t);
+  const store = open();
+  const first = await store.diagnose(TX, { provider: "rules" });
+  const second = await store.diagnose(TX, { provider: "rules" });
+  assert.deepStrictEqual([first.cached, second.cached, runs()], [false, true, 1]);
+  assert.strictEqual(second.diagnosisId, first.diagnosisId);
+  assert.strictEqual(open().getByHash(TX.hash).id, first.diagnosisId);
+});
+
+test("corrupt diagnosis files are logged and skipped", async (t) => {
+  const { dir, lines, open, runs } = tempStore(t);
+  const { diagnosisId } = await open().diagnose(TX, { provider: "rules" });
+  const corruptId = "00000000-0000-4000-8000-000000000000";
+  fs.writeFileSync(path.join(dir, `${corruptId}.json`), '{"id": "truncated"');
+
+  const store = open();
+  assert.deepStrictEqual(store.list().map((d) => d.id), [diagnosisId]);
+  assert.strictEqual(store.get(corruptId), null);
+  assert.strictEqual((await store.diagnose(TX, { provider: "rules" })).cached, true);
+  assert.strictEqual(runs(), 1);
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every((line) => line.msg === "diagnosis.skipped" && line.file === `${corruptId}.json`));
+});
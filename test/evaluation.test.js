@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadCorpus, keywordHits, scoreCategories, evaluate, compareReports, renderEvaluationMarkdown, DEFAULT_BASELINE } = require("../evaluation");
+const { createLogger } = require("../logger");
+
+const logger = createLogger({}, { level: "silent" });
+
+function writeCorpus(t, lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corpus-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "corpus.jsonl");
+  fs.writeFileSync(file, lines.map((line) => (typeof line === "string" ? line : JSON.stringify(line))).join("\n"));
+  return file;
+}
+
+const slippage = {
+  id: "slippage",
+  expected: { category: "SLIPPAGE", rootCause: ["amountOutMin"], fix: ["slippage"] },
+  transaction: { error: "execution reverted", revertReason: "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT" },
+};
+const paused = { id: "paused", expected: { category: "PAUSED" }, transaction: { error: "execution reverted", revertReason: "Pausable: paused" } };
+
+test("corpus cases are checked and keyword lists default to empty", (t) => {
+  assert.deepStrictEqual(loadCorpus(writeCorpus(t, [paused]))[0].expected, { category: "PAUSED", rootCause: [], fix: [] });
+  assert.throws(() => loadCorpus(writeCorpus(t, [paused, paused])), { message: "Corpus case 2 (paused) repeats an id" });
+  assert.throws(() => loadCorpus(writeCorpus(t, [{ ...paused, expected: { category: "PAUSE" } }])), { message: /^Corpus case 1 \(paused\) expected\.category must be one of/ });
+  assert.throws(() => loadCorpus(writeCorpus(t, [paused, "{"])), /Invalid JSON on line 2/);
+});
+
+test("precision, recall and F1 are scored per category", () => {
+  const score = scoreCategories([
+    { expected: "SLIPPAGE", predicted: "SLIPPAGE" },
+    { expected: "SLIPPAGE", predicted: "REVERT_NO_REASON" },
+    { expected: "PAUSED", predicted: "PAUSED" },
+  ]);
+  assert.deepStrictEqual([score.total, score.correct, score.accuracy], [3, 2, 0.6667]);
+  assert.deepStrictEqual(score.categories.SLIPPAGE, { support: 2, tp: 1, fp: 0, fn: 1, precision: 1, recall: 0.5, f1: 0.6667 });
+  // Never expected, so no recall and no part in the macro average
+  assert.deepStrictEqual(score.categories.REVERT_NO_REASON, { support: 0, tp: 0, fp: 1, fn: 0, precision: 0, recall: null, f1: 0 });
+  assert.deepStrictEqual(score.macro, { precision: 1, recall: 0.75, f1: 0.8334 });
+  assert.deepStrictEqual(score.confusion, { SLIPPAGE: { SLIPPAGE: 1, REVERT_NO_REASON: 1 }, PAUSED: { PAUSED: 1 } });
+  assert.deepStrictEqual(keywordHits("Raise the Slippage tolerance", ["slippage", "deadline"]), { matched: ["slippage"], missing: ["deadline"] });
+});
+
+test("the agent run scores keywords with the rules provider", async (t) => {
+  const corpus = loadCorpus(writeCorpus(t, [slippage, paused]));
+  const report = await evaluate(corpus, { agent: true, provider: "rules", logger });
+  assert.strictEqual(report.classifier.accuracy, 1);
+  assert.deepStrictEqual(report.results[0].rootCause, { matched: ["amountOutMin"], missing: [] });
+  assert.deepStrictEqual([report.agent.provider, report.agent.diagnosed, report.agent.errors], ["rules", 2, 0]);
+  assert.deepStrictEqual(report.agent.fix, { matched: 1, total: 1, recall: 1 });
+  assert.strictEqual(report.results[0].usage, undefined);
+});
+
+test("a comparison names fixed, regressed and lost keywords", async (t) => {
+  const corpus = loadCorpus(writeCorpus(t, [slippage, paused]));
+  const baseline = await evaluate(corpus, { agent: true, provider: "rules", logger });
+  const current = JSON.parse(JSON.stringify(baseline));
+  current.results[0] = { ...current.results[0], predicted: "REVERT_NO_REASON", fix: { matched: [], missing: ["slippage"] } };
+  current.results.push({ id: "new-case", expected: "NONCE", predicted: "NONCE", confidence: 1 });
+  current.classifier = scoreCategories(current.results);
+
+  const comparison = compareReports(current, baseline);
+  assert.deepStrictEqual(comparison.regressed, ["slippage"]);
+  assert.deepStrictEqual(comparison.keywordRegressions, [{ id: "slippage", field: "fix", keywords: ["slippage"] }]);
+  assert.deepStrictEqual(comparison.added, ["new-case"]);
+  assert.strictEqual(comparison.regressions, true);
+  assert.match(renderEvaluationMarkdown(current, comparison), /\*\*Regressed\*\*: slippage/);
+
+  const back = compareReports(baseline, current);
+  assert.deepStrictEqual([back.fixed, back.removed, back.regressions], [["slippage"], ["new-case"], false]);
+});
+
+test("the shipped corpus holds its baseline", async () => {
+  const baseline = JSON.parse(fs.readFileSync(DEFAULT_BASELINE, "utf8"));
+  const report = await evaluate(loadCorpus(), { agent: Boolean(baseline.agent), provider: "rules", logger });
+  const comparison = compareReports(report, baseline);
+  assert.deepStrictEqual([comparison.regressed, comparison.keywordRegressions], [[], []]);
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { analyzeGas, formatGasAnalysis } = require("../gasAnalyzer");
+
+test("gasUsed equal to gasLimit reads as out of gas with a doubled limit", () => {
+  const gas = analyzeGas({ chainId: 1, gasUsed: "150,000", gasLimit: "0x249f0", gasPrice: "20 Gwei" });
+  assert.strictEqual(gas.outOfGas, true);
+  assert.strictEqual(gas.utilization, 1);
+  assert.strictEqual(gas.recommendedGasLimit, "300000");
+  assert.strictEqual(gas.pricing.type, "legacy");
+  assert.strictEqual(gas.feeLost, "0.003 ETH");
+  assert.strictEqual(gas.feeLostWei, "3000000000000000");
+  assert.deepStrictEqual(gas.findings, ["gasUsed equals gasLimit (150000): the transaction ran out of gas."]);
+});
+
+test("a plain-transfer limit on a contract call is flagged", () => {
+  const gas = analyzeGas({ gasUsed: "21000", gasLimit: "21000", inputData: "0xa9059cbb" });
+  assert.strictEqual(gas.transferLimitOnContractCall, true);
+  assert.strictEqual(gas.recommendedGasLimit, "300000");
+  assert.strictEqual(analyzeGas({ gasUsed: "21000", gasLimit: "21000", inputData: "0x" }).transferLimitOnContractCall, false);
+});
+
+test("a known estimate sets the recommended limit with a buffer", () => {
+  const gas = analyzeGas({ gasUsed: "90000", gasLimit: "100000", estimatedGas: "120000" });
+  assert.strictEqual(gas.outOfGas, false);
+  assert.strictEqual(gas.recommendedGasLimit, "156000");
+  assert.ok(gas.findings.includes("The gas limit is below the known estimate of 120000."));
+});
+
+test("EIP-1559 prices are derived from the caps and the base fee", () => {
+  const gas = analyzeGas({ chainId: 1, gasUsed: "100000", gasLimit: "200000", maxFeePerGas: "50", maxPriorityFeePerGas: "2", baseFee: "30" });
+  assert.strictEqual(gas.pricing.type, "eip1559");
+  assert.strictEqual(gas.pricing.effectiveGasPrice, "32.0 Gwei");
+  assert.strictEqual(gas.utilization, 0.5);
+  assert.match(formatGasAnalysis(gas), /Gas Price\*\*: 32\.0 Gwei \(derived\)/);
+
+  const underpriced = analyzeGas({ maxFeePerGas: "20", maxPriorityFeePerGas: "2", baseFee: "30" });
+  assert.strictEqual(underpriced.maxFeeBelowBaseFee, true);
+  assert.strictEqual(underpriced.recommendedMaxFeePerGas, "62.0 Gwei");
+});
+
+test("rollup fees follow the chain's fee model", () => {
+  // Arbitrum charges the base fee only
+  const arbitrum = analyzeGas({ chainId: 42161, gasUsed: "1000", maxFeePerGas: "1", maxPriorityFeePerGas: "1", baseFee: "0.1" });
+  assert.strictEqual(arbitrum.pricing.effectiveGasPrice, "0.1 Gwei");
+
+  // OP Stack adds the L1 data fee; elsewhere l1Fee is ignored
+  const optimism = analyzeGas({ chainId: 10, gasUsed: "1000", gasPrice: "1 wei", l1Fee: "5000" });
+  assert.deepStrictEqual([optimism.l1Fee, optimism.feeLostWei], ["0.000000000000005 ETH", "6000"]);
+  assert.strictEqual(analyzeGas({ chainId: 1, gasUsed: "1000", gasPrice: "1 wei", l1Fee: "5000" }).feeLostWei, "1000");
+});
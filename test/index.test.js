@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SLIPPAGE = { hash: "0x" + "ab".repeat(32), error: "execution reverted", revertReason: "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT" };
+const PAUSED = { hash: "0x" + "cd".repeat(32), error: "execution reverted", revertReason: "Pausable: paused" };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Runs the CLI with the rules provider, from `dir` so nothing is written to the repo
+function cli(dir, args, input) {
+  const env = { ...process.env, LOG_LEVEL: "silent" };
+  ["RPC_URL", "EVIDENCE_RPC_URL"].forEach((name) => delete env[name]);
+  return spawnSync(process.execPath, [path.join(__dirname, "..", "index.js"), ...args, "--provider", "rules"], {
+    cwd: dir,
+    env,
+    input,
+    encoding: "utf8",
+  });
+}
+
+test("a single transaction file exports one JSON document", (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "tx.json"), JSON.stringify(SLIPPAGE));
+  const run = cli(dir, ["--file", "tx.json", "--format", "json"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  const exported = JSON.parse(run.stdout);
+  assert.strictEqual(exported.hash, SLIPPAGE.hash);
+  assert.strictEqual(exported.errorCategory.key, "SLIPPAGE");
+  assert.strictEqual(exported.conversation, undefined);
+  assert.match(run.stderr, /\[1\/1\] Diagnosing/);
+});
+
+test("JSON Lines from stdin export a list, and a failed line fails the run", (t) => {
+  const dir = tempDir(t);
+  const ok = cli(dir, ["--stdin", "--format", "json"], `${JSON.stringify(SLIPPAGE)}\n\n${JSON.stringify(PAUSED)}\n`);
+  assert.strictEqual(ok.status, 0, ok.stderr);
+  assert.deepStrictEqual(JSON.parse(ok.stdout).map((d) => d.errorCategory.key), ["SLIPPAGE", "PAUSED"]);
+
+  const broken = cli(dir, ["--stdin", "--format", "json"], `${JSON.stringify(SLIPPAGE)}\n{"hash": `);
+  assert.strictEqual(broken.status, 1);
+  assert.match(broken.stderr, /Invalid JSON on line 2/);
+  assert.strictEqual(broken.stdout, "");
+});
+
+test("--out picks the format from the extension", (t) => {
+  const dir = tempDir(t);
+  const jsonl = path.join(dir, "txs.jsonl");
+  fs.writeFileSync(jsonl, [SLIPPAGE, PAUSED].map((tx) => JSON.stringify(tx)).join("\n"));
+
+  const markdown = path.join(dir, "report.md");
+  assert.strictEqual(cli(dir, ["--jsonl", jsonl, "--out", markdown]).status, 0);
+  const documents = fs.readFileSync(markdown, "utf8").split("\n\n---\n\n");
+  assert.strictEqual(documents.length, 2);
+
+  const html = path.join(dir, "report.html");
+  assert.strictEqual(cli(dir, ["--jsonl", jsonl, "--out", html]).status, 0);
+  assert.match(fs.readFileSync(html, "utf8"), /^<!DOCTYPE html>[\s\S]*Diagnoses of 2 transactions/i);
+});
+
+test("unknown formats and --out with text output are refused", (t) => {
+  const dir = tempDir(t);
+  const unknown = cli(dir, ["--demo", "slippage", "--format", "yaml"]);
+  assert.strictEqual(unknown.status, 1);
+  assert.match(unknown.stderr, /Unknown format: yaml/);
+  const text = cli(dir, ["--demo", "slippage", "--format", "text", "--out", "report.txt"]);
+  assert.strictEqual(text.status, 1);
+  assert.match(text.stderr, /--out needs --format json, markdown or html/);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobQueue } = require("../jobQueue");
+const { createLogger } = require("../logger");
+
+const logger = createLogger({}, { level: "silent" });
+const fakeResult = (tx) => ({ transactionContext: { hash: tx.hash }, errorCategory: { key: "PAUSED", category: "Contract Paused" }, report: {} });
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const finished = (queue, id) => new Promise((resolve) => queue.events.on("finished", (jobId) => jobId === id && resolve()));
+
+test("resume skips job files that don't parse", (t) => {
+  const dir = tempDir(t);
+  const queue = createJobQueue({ dir, logger, diagnose: async (tx) => fakeResult(tx) });
+  const { id } = queue.submit([{ hash: "0x1" }]);
+  fs.writeFileSync(path.join(dir, "truncated.json"), '{"id": "x", "items": [');
+
+  const restarted = createJobQueue({ dir, logger, diagnose: async (tx) => fakeResult(tx) });
+  assert.strictEqual(restarted.resume(), 1);
+  assert.ok(restarted.get(id));
+});
+
+test("an item whose progress can't be published fails instead of crashing", async (t) => {
+  const dir = tempDir(t);
+  const queue = createJobQueue({ dir, logger, diagnose: async (tx) => fakeResult(tx) });
+  queue.events.on("progress", () => {
+    throw new Error("listener failed");
+  });
+  const { id } = queue.submit([{ hash: "0x1" }, { hash: "0x2" }]);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const job = queue.get(id);
+  assert.deepStrictEqual(job.results.map((r) => [r.status, r.error]), [
+    ["error", "listener failed"],
+    ["error", "listener failed"],
+  ]);
+  assert.strictEqual(job.status, "completed");
+});
+
+test("progress writes are batched, and the finished job is written", async (t) => {
+  const dir = tempDir(t);
+  const queue = createJobQueue({ dir, logger, diagnose: async (tx) => fakeResult(tx) });
+  const writes = [];
+  const writeFileSync = fs.writeFileSync;
+  fs.writeFileSync = (file, ...rest) => {
+    if (String(file).startsWith(dir)) writes.push(file);
+    return writeFileSync(file, ...rest);
+  };
+  t.after(() => (fs.writeFileSync = writeFileSync));
+
+  const transactions = Array.from({ length: 50 }, (_, i) => ({ hash: `0x${i}` }));
+  const { id } = queue.submit(transactions);
+  await finished(queue, id);
+
+  assert.ok(writes.length <= 3, `${writes.length} writes for 50 transactions`);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), "utf8"));
+  assert.strictEqual(saved.status, "completed");
+  assert.ok(saved.items.every((item) => item.status === "done"));
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const GOOD_PACK = {
+  protocol: "Example DEX",
+  aliases: ["example dex"],
+  errors: { "EX: SLIPPED": { category: "SLIPPAGE", meaning: "Output below the minimum.", fix: "Raise slippage." } },
+};
+
+// Packs load when the classifier is required, so each run gets a fresh process
+function classifyWithPacks(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "packs-"));
+  try {
+    Object.entries(files).forEach(([name, text]) => fs.writeFileSync(path.join(dir, name), text));
+    const script = `const { detectErrorCategory } = require(${JSON.stringify(path.join(__dirname, "..", "classifier"))});
+      console.log(detectErrorCategory({ error: "execution reverted", revertReason: "EX: SLIPPED" }).key);`;
+    return spawnSync(process.execPath, ["-e", script], {
+      env: { ...process.env, KNOWLEDGE_PACKS_DIR: dir, LOG_LEVEL: "error" },
+      encoding: "utf8",
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("bad knowledge packs are logged and skipped", () => {
+  const run = classifyWithPacks({
+    "a-truncated.json": '{"protocol": "Broken"',
+    "b-unknown-category.json": JSON.stringify({ protocol: "Odd", errors: { X: { category: "NOPE", meaning: "", fix: "" } } }),
+    "c-bad-signature.json": JSON.stringify({ protocol: "Sig", errors: { "Bad(uint999 x)": { category: "PAUSED", meaning: "", fix: "" } } }),
+    "d-good.json": JSON.stringify(GOOD_PACK),
+  });
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.strictEqual(run.stdout.trim(), "SLIPPAGE");
+  const skipped = run.stderr.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepStrictEqual(
+    skipped.map((entry) => [entry.msg, path.basename(entry.file)]),
+    [
+      ["knowledgePack.skipped", "a-truncated.json"],
+      ["knowledgePack.skipped", "b-unknown-category.json"],
+      ["knowledgePack.skipped", "c-bad-signature.json"],
+    ]
+  );
+});
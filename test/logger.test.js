@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createLogger } = require("../logger");
+
+const capture = (config = {}) => {
+  const lines = [];
+  return { lines, log: createLogger({ service: "test" }, { stream: { write: (line) => lines.push(line) }, ...config }) };
+};
+
+test("lines below the level are dropped and child fields are added", () => {
+  const { lines, log } = capture({ level: "warn" });
+  log.info("ignored");
+  log.child({ requestId: "req-1" }).warn("slow", { durationMs: 1200, skipped: undefined });
+  log.error("failed", { error: Object.assign(new Error("boom"), { status: 529 }) });
+
+  const entries = lines.map((line) => JSON.parse(line));
+  assert.deepStrictEqual(
+    entries.map(({ time, ...entry }) => entry),
+    [
+      { level: "warn", msg: "slow", service: "test", requestId: "req-1", durationMs: 1200 },
+      { level: "error", msg: "failed", service: "test", error: { message: "boom", status: 529 } },
+    ]
+  );
+  assert.ok(entries.every((entry) => !Number.isNaN(Date.parse(entry.time))));
+});
+
+test("the pretty format prints one readable line", () => {
+  const { lines, log } = capture({ level: "debug", format: "pretty" });
+  log.debug("diagnosis.finished", { category: "SLIPPAGE", usage: { requests: 3 } });
+  assert.match(lines[0], /^\d{2}:\d{2}:\d{2}\.\d{3} DEBUG diagnosis\.finished service=test category=SLIPPAGE usage=\{"requests":3\}\n$/);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRegistry, createServiceMetrics } = require("../metrics");
+
+test("series are keyed by their sorted labels and rendered in the text format", () => {
+  const registry = createRegistry();
+  const requests = registry.counter("requests_total", "Requests");
+  requests.inc({ route: "/a", method: "GET" });
+  requests.inc({ method: "GET", route: "/a" }, 2);
+  requests.inc({ method: "POST", route: 'say "hi"' });
+  const latency = registry.histogram("latency_seconds", "Latency", [0.1, 1]);
+  latency.observe({}, 0.5);
+  latency.observe({}, 5);
+  registry.gauge("queued", "Queued", () => [{ value: 3 }]);
+
+  assert.strictEqual(
+    registry.render(),
+    [
+      "# HELP requests_total Requests",
+      "# TYPE requests_total counter",
+      'requests_total{method="GET",route="/a"} 3',
+      'requests_total{method="POST",route="say \\"hi\\""} 1',
+      "# HELP latency_seconds Latency",
+      "# TYPE latency_seconds histogram",
+      'latency_seconds_bucket{le="0.1"} 0',
+      'latency_seconds_bucket{le="1"} 1',
+      'latency_seconds_bucket{le="+Inf"} 2',
+      "latency_seconds_sum 5.5",
+      "latency_seconds_count 2",
+      "# HELP queued Queued",
+      "# TYPE queued gauge",
+      "queued 3",
+      "",
+    ].join("\n")
+  );
+});
+
+test("diagnoses count tokens and cost per turn, cached ones only the diagnosis", () => {
+  const metrics = createServiceMetrics();
+  const usage = {
+    model: "claude-haiku-4-5",
+    turns: [
+      { turn: "diagnosis", requests: 2, inputTokens: 1000, outputTokens: 200, latencyMs: 1500, costUsd: 0.002 },
+      { turn: "risk", requests: 1, inputTokens: 500, outputTokens: 100, latencyMs: 700, costUsd: 0.001 },
+    ],
+  };
+  const result = { provider: "anthropic", errorCategory: { key: "SLIPPAGE" }, durationMs: 2500, usage };
+  metrics.observeDiagnosis(result);
+  metrics.observeDiagnosis({ ...result, cached: true });
+  metrics.observeFollowUp({ provider: "anthropic", usage: { model: usage.model, turns: [{ ...usage.turns[1], turn: "followUp" }] } });
+  const text = metrics.render();
+
+  assert.match(text, /defi_agent_diagnoses_total\{cached="false",category="SLIPPAGE",provider="anthropic"\} 1\n/);
+  assert.match(text, /defi_agent_diagnoses_total\{cached="true",category="SLIPPAGE",provider="anthropic"\} 1\n/);
+  assert.match(text, /defi_agent_model_requests_total\{model="claude-haiku-4-5",provider="anthropic",turn="diagnosis"\} 2\n/);
+  assert.match(text, /defi_agent_model_tokens_total\{direction="input",model="claude-haiku-4-5",provider="anthropic",turn="diagnosis"\} 1000\n/);
+  assert.match(text, /defi_agent_model_tokens_total\{direction="output",model="claude-haiku-4-5",provider="anthropic",turn="followUp"\} 100\n/);
+  assert.match(text, /defi_agent_model_cost_usd_total\{model="claude-haiku-4-5"\} 0.004\n/);
+  assert.match(text, /defi_agent_diagnosis_duration_seconds_count\{provider="anthropic"\} 1\n/);
+});
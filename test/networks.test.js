@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  getNetwork,
+  resolveNetwork,
+  parseNativeAmount,
+  parseGasPrice,
+  parseGasUnits,
+  formatNative,
+  explorerTxUrl,
+  describeNetwork,
+} = require("../networks");
+
+const HASH = "0x" + "ab".repeat(32);
+
+test("networks are found by chain id, hex chain id, name or alias", () => {
+  assert.strictEqual(getNetwork(137).name, "Polygon");
+  assert.strictEqual(getNetwork("0x89").name, "Polygon");
+  assert.strictEqual(getNetwork(" Arbitrum One ").chainId, 42161);
+  assert.strictEqual(getNetwork("Solana"), null);
+  assert.strictEqual(getNetwork(""), null);
+});
+
+test("chainId wins over the network name, and unknown chains stay unknown", () => {
+  assert.strictEqual(resolveNetwork({ chainId: 56, network: "Ethereum Mainnet" }).name, "BSC");
+  assert.strictEqual(resolveNetwork({ network: "base" }).chainId, 8453);
+
+  const unknown = resolveNetwork({ chainId: 999, network: "Ethereum Mainnet" });
+  assert.deepStrictEqual([unknown.known, unknown.chainId, unknown.name, unknown.nativeCurrency], [false, 999, "Ethereum Mainnet", null]);
+  assert.deepStrictEqual(describeNetwork(unknown), ["Chain 999 is not in the network registry: its native currency and fee model are unknown."]);
+  assert.strictEqual(resolveNetwork({}).name, "Unknown network");
+});
+
+test("native amounts are exact and in the chain's own currency", () => {
+  const polygon = getNetwork("polygon");
+  assert.strictEqual(parseNativeAmount("1.5", polygon), 1500000000000000000n);
+  assert.strictEqual(parseNativeAmount("2 MATIC", polygon), 2000000000000000000n);
+  assert.strictEqual(parseNativeAmount("1.5 ETH", polygon), null);
+  assert.strictEqual(parseNativeAmount("0x5208"), 21000n);
+  assert.strictEqual(parseNativeAmount("30 gwei"), 30000000000n);
+  assert.strictEqual(parseNativeAmount("0.5 wei"), null);
+  assert.strictEqual(formatNative(1500000000000000000n, polygon), "1.5 POL");
+  assert.strictEqual(formatNative(1n), "0.000000000000000001 (native currency)");
+});
+
+test("gas prices default to Gwei unless they can only be wei", () => {
+  assert.strictEqual(parseGasPrice("30 Gwei"), 30000000000n);
+  assert.strictEqual(parseGasPrice("30"), 30000000000n);
+  assert.strictEqual(parseGasPrice("0.1"), 100000000n);
+  assert.strictEqual(parseGasPrice("30000000000"), 30000000000n);
+  assert.strictEqual(parseGasPrice("30 ETH"), null);
+  assert.strictEqual(parseGasUnits("21,000"), 21000n);
+  assert.strictEqual(parseGasUnits("0x5208"), 21000n);
+  assert.strictEqual(parseGasUnits("21k"), null);
+});
+
+test("L2s describe their extra fee rules and explorers link by hash", () => {
+  const optimism = describeNetwork(resolveNetwork({ chainId: 10 }));
+  assert.ok(optimism.some((fact) => fact.includes("L1 data fee")));
+  assert.ok(!describeNetwork(resolveNetwork({ chainId: 1 })).some((fact) => fact.includes("L1")));
+  assert.match(describeNetwork(resolveNetwork({ chainId: 56 }))[1], /legacy gas price/);
+  assert.strictEqual(explorerTxUrl(getNetwork(1), HASH), `https://etherscan.io/tx/${HASH}`);
+  assert.strictEqual(explorerTxUrl(getNetwork(1), "0x12"), null);
+});
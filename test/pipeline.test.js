@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { resolvePipeline } = require("../pipeline");
+
+test("a resolved pipeline resolves to itself", () => {
+  const resolved = resolvePipeline({
+    depth: "deep",
+    timeoutMs: 5000,
+    turnOptions: { codeFix: { model: "claude-haiku-4-5" } },
+    customTurns: [{ name: "mevExposure", prompt: "Was this sandwiched?", schema: { type: "object", properties: {} } }],
+  });
+  assert.deepStrictEqual(resolvePipeline(JSON.parse(JSON.stringify(resolved))), resolved);
+  assert.deepStrictEqual(resolvePipeline(resolvePipeline()), resolvePipeline());
+});
+
+test("a pipeline with turns is checked like a config", () => {
+  const turn = { name: "diagnosis", model: "claude-opus-4-6", maxTokens: 8096, timeoutMs: null };
+  assert.throws(() => resolvePipeline({ turns: [{ ...turn, maxTokens: 10 ** 9 }] }), /maxTokens must be an integer/);
+  assert.throws(() => resolvePipeline({ turns: [{ ...turn, model: "x".repeat(500) }] }), /model must be a model name/);
+  assert.throws(() => resolvePipeline({ turns: [] }), /non-empty array of turn names/);
+  assert.throws(() => resolvePipeline({ turns: ["diagnosis"] }), /turns\[0\] must be an object/);
+  assert.throws(() => resolvePipeline({ turns: [{ ...turn, name: "codeFix" }] }), /must start with 'diagnosis' or 'report'/);
+  assert.throws(() => resolvePipeline({ turns: [turn, { name: "notes", prompt: "" }] }), /prompt must be a non-empty string/);
+  assert.throws(() => resolvePipeline({ turns: [turn], maxEvidenceRounds: 1000 }), /maxEvidenceRounds must be an integer/);
+  assert.throws(() => resolvePipeline({ turns: [turn], extra: true }), /extra is not a known setting/);
+});
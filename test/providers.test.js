@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { diagnoseTxFailure } = require("../agent");
+const { getProvider, createRecordedProvider, createRecordingProvider } = require("../providers");
+const { createLogger } = require("../logger");
+const { DEMOS } = require("../demos");
+
+const logger = createLogger({}, { level: "silent" });
+const SHIPPED_FIXTURES = path.join(__dirname, "..", "fixtures", "recorded-responses.json");
+
+test("a diagnosis recorded without a timestamp replays", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+  const fixtures = path.join(dir, "recorded.json");
+  const tx = { error: "execution reverted", revertReason: "Pausable: paused" };
+  try {
+    const recorded = await diagnoseTxFailure(tx, { provider: createRecordingProvider(getProvider("rules"), fixtures), logger });
+    const replayed = await diagnoseTxFailure(tx, { provider: createRecordedProvider(fixtures), logger });
+    assert.deepStrictEqual(replayed.report, recorded.report);
+    assert.strictEqual(replayed.codeFix, recorded.codeFix);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the shipped fixtures replay every demo", async () => {
+  const provider = createRecordedProvider(SHIPPED_FIXTURES);
+  for (const demo of DEMOS) {
+    const result = await diagnoseTxFailure(demo.transaction, { provider, logger });
+    assert.ok(result.report.rootCause, demo.id);
+  }
+});
+
+test("a request that was never recorded is refused", async () => {
+  const provider = createRecordedProvider(SHIPPED_FIXTURES);
+  await assert.rejects(diagnoseTxFailure({ error: "never recorded" }, { provider, logger }), /No recorded response/);
+});
+
+test("the recorded provider finds the shipped fixtures from any working directory", (t) => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "cwd-"));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  const env = { ...process.env, LOG_LEVEL: "silent" };
+  delete env.DIAGNOSIS_FIXTURES;
+  const args = [path.join(__dirname, "..", "index.js"), "--demo", DEMOS[0].id, "--provider", "recorded", "--format", "json"];
+  const run = spawnSync(process.execPath, args, { cwd, env, encoding: "utf8" });
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /"rootCause"/);
+});
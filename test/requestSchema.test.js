@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateRequest } = require("../requestSchema");
+
+const HASH = "0x" + "AB".repeat(32);
+
+test("transactions are normalized to one spelling per value", () => {
+  const { value, errors } = validateRequest("transaction", {
+    txHash: HASH,
+    errorMessage: "execution reverted",
+    to: "0x7a250d5630b4cf539739df2c5dacb4c659f2488d",
+    chainId: "0x89",
+    gas: "21,000",
+    gasPrice: 30,
+    value: "1.5 POL",
+    timestamp: 1700000000,
+    contractName: "",
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, {
+    hash: HASH.toLowerCase(),
+    errorMessage: "execution reverted",
+    error: "execution reverted",
+    to: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+    chainId: 137,
+    gasLimit: "21000",
+    gasPrice: "30.0 Gwei",
+    value: "1.5 POL",
+    timestamp: "2023-11-14T22:13:20.000Z",
+  });
+});
+
+test("every invalid field is reported by path", () => {
+  const { errors } = validateRequest("transaction", {
+    hash: "0x12",
+    to: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488d",
+    value: "1.5 ETH",
+    chainId: 137,
+    extra: true,
+  });
+  assert.deepStrictEqual(errors, [
+    { field: "error", message: "is required" },
+    { field: "hash", message: "must be a 32-byte hash (0x + 64 hex characters)" },
+    { field: "to", message: "has an invalid EIP-55 checksum" },
+    { field: "value", message: 'must be an amount of POL: whole units ("1.5"), "… wei" or 0x hex wei' },
+    { field: "extra", message: "is not a known field" },
+  ]);
+  assert.deepStrictEqual(validateRequest("transaction", { error: "x", input: "0x12", data: "0x34" }).errors, [
+    { field: "data", message: "is an alias of inputData; give only one" },
+  ]);
+});
+
+test("nested requests check their items and pipeline", () => {
+  const { errors } = validateRequest("batchRequest", {
+    transactions: [{ error: "x" }, { error: "y", gasUsed: -1 }],
+    pipeline: { depth: "thorough", maxTokens: 0 },
+  });
+  assert.deepStrictEqual(errors, [
+    { field: "transactions[1].gasUsed", message: 'must be a non-negative integer (decimal, 0x hex or "21,000")' },
+    { field: "pipeline.depth", message: "must be one of quick, standard, deep" },
+    { field: "pipeline.maxTokens", message: "must be at least 1" },
+  ]);
+  assert.deepStrictEqual(validateRequest("batchRequest", { transactions: Array(11).fill({ error: "x" }) }).errors, [
+    { field: "transactions", message: "must have at most 10 items" },
+  ]);
+  assert.deepStrictEqual(validateRequest("followUpRequest", []).errors, [{ field: "(body)", message: "must be an object" }]);
+  assert.throws(() => validateRequest("nothing", {}), /Unknown request schema: nothing/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { buildRetryTransaction } = require("../retryTransaction");
+
+// JSON-RPC node answering from a method → result table; other methods error
+function stubNode(results) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { id, method } = JSON.parse(body);
+      res.setHeader("Content-Type", "application/json");
+      if (method in results) return res.end(JSON.stringify({ jsonrpc: "2.0", id, result: results[method] }));
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, error: { code: -32601, message: `the method ${method} is not available` } }));
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() })
+    )
+  );
+}
+
+const txData = {
+  chainId: 1,
+  from: "0x1111111111111111111111111111111111111111",
+  to: "0x2222222222222222222222222222222222222222",
+  inputData: "0xa9059cbb",
+  value: "0",
+  gasLimit: "21000",
+};
+const errorCategory = { key: "OUT_OF_GAS", category: "Out of Gas" };
+
+test("a failed nonce lookup leaves the nonce empty and the retry not ready", async () => {
+  const node = await stubNode({ eth_chainId: "0x1", eth_estimateGas: "0x5208" });
+  try {
+    const retry = await buildRetryTransaction(txData, { errorCategory, rpcUrl: node.url });
+    assert.strictEqual(retry.supported, true);
+    assert.strictEqual(retry.simulation.success, true);
+    assert.strictEqual(retry.steps[0].tx.nonce, null);
+    assert.strictEqual(retry.ready, false);
+    assert.ok(retry.notes.some((note) => note.startsWith("Reading the next nonce failed")));
+  } finally {
+    node.close();
+  }
+});
+
+test("a simulated retry with a known nonce is ready", async () => {
+  const node = await stubNode({ eth_chainId: "0x1", eth_estimateGas: "0x5208", eth_getTransactionCount: "0x9" });
+  try {
+    const retry = await buildRetryTransaction(txData, { errorCategory, rpcUrl: node.url });
+    assert.strictEqual(retry.steps[0].tx.nonce, 9);
+    assert.strictEqual(retry.ready, true);
+  } finally {
+    node.close();
+  }
+});
+
+test("a retry built without an RPC is never ready", async () => {
+  const retry = await buildRetryTransaction(txData, { errorCategory });
+  assert.strictEqual(retry.supported, true);
+  assert.strictEqual(retry.simulation, null);
+  assert.strictEqual(retry.ready, false);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { decodeRevertData } = require("../revertDecoder");
+const { detectErrorCategory, buildTransactionContext } = require("../agent");
+
+const word = (hex) => hex.padStart(64, "0");
+
+test("a bare Error(string) selector decodes without a reason", () => {
+  const decoded = decodeRevertData("0x08c379a0");
+  assert.strictEqual(decoded.type, "Error");
+  assert.strictEqual(decoded.reason, null);
+  assert.strictEqual(decoded.raw, "0x08c379a0");
+});
+
+test("an Error(string) with a bad offset decodes without a reason", () => {
+  const decoded = decodeRevertData(`0x08c379a0${word("ffff")}${word("5")}`);
+  assert.strictEqual(decoded.type, "Error");
+  assert.strictEqual(decoded.reason, null);
+});
+
+test("a bare Panic(uint256) selector decodes as a panic without a code", () => {
+  const decoded = decodeRevertData("0x4e487b71");
+  assert.strictEqual(decoded.type, "Panic");
+  assert.strictEqual(decoded.reason, null);
+  assert.strictEqual(decoded.errorKey, "PANIC");
+});
+
+test("panic codes past the table are not rounded", () => {
+  const decoded = decodeRevertData(`0x4e487b71${"f".repeat(63)}1`);
+  assert.strictEqual(decoded.panicCode, `0x${"f".repeat(63)}1`);
+  assert.strictEqual(decoded.reason, `Panic 0x${"f".repeat(63)}1: Unknown panic code`);
+});
+
+test("a large panic code never maps onto a known code", () => {
+  // 2^64 + 0x11 rounds to 2^64 as a Number, but must not read as 0x11
+  const decoded = decodeRevertData(`0x4e487b71${word("10000000000000011")}`);
+  assert.strictEqual(decoded.errorKey, "PANIC");
+  assert.strictEqual(decodeRevertData(`0x4e487b71${word("11")}`).errorKey, "ARITHMETIC");
+});
+
+test("a malformed caller ABI is skipped", () => {
+  const decoded = decodeRevertData("0xfb8f41b2" + word("1") + word("2") + word("3"), [["not an abi fragment"]]);
+  assert.strictEqual(decoded.name, "ERC20InsufficientAllowance");
+});
+
+test("classification survives undecodable revert data", () => {
+  for (const revertData of ["0x08c379a0", "0x4e487b71"]) {
+    const txData = { error: "execution reverted", revertData, abi: "{" };
+    assert.ok(detectErrorCategory(txData).key);
+    assert.ok(buildTransactionContext(txData).errorCategory);
+  }
+});
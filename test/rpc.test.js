@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { AbiCoder } = require("ethers");
+const { rpcRequest, fetchTxDataByHash } = require("../rpc");
+
+// A node that accepts the request and never answers
+function stalledNode() {
+  const sockets = new Set();
+  const server = http.createServer(() => {});
+  server.on("connection", (socket) => sockets.add(socket));
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+          sockets.forEach((socket) => socket.destroy());
+          server.close();
+        },
+      })
+    )
+  );
+}
+
+test("a stalled RPC endpoint times out with a readable error", async () => {
+  const node = await stalledNode();
+  try {
+    await assert.rejects(rpcRequest(node.url, "eth_chainId", [], { timeoutMs: 200 }), {
+      message: "RPC eth_chainId timed out after 200 ms",
+    });
+  } finally {
+    node.close();
+  }
+});
+
+// A node answering from `methods` (method -> (params) => result); a handler may throw
+// { code, message, data } for a JSON-RPC error. Every call is kept in `calls`.
+function stubNode(methods) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+      res.setHeader("Content-Type", "application/json");
+      try {
+        if (!methods[method]) throw { code: -32601, message: `the method ${method} does not exist` };
+        res.end(JSON.stringify({ jsonrpc: "2.0", id, result: methods[method](params) }));
+      } catch (error) {
+        res.end(JSON.stringify({ jsonrpc: "2.0", id, error }));
+      }
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ url: `http://127.0.0.1:${server.address().port}`, calls, close: () => server.close() }))
+  );
+}
+
+const HASH = "0x" + "12".repeat(32);
+const REVERT = "0x08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], ["Pausable: paused"]).slice(2);
+const TX = {
+  hash: HASH,
+  blockNumber: "0x10",
+  from: "0x1111111111111111111111111111111111111111",
+  to: "0x2222222222222222222222222222222222222222",
+  input: "0xa9059cbb",
+  value: "0xde0b6b3a7640000",
+  gas: "0x186a0",
+  nonce: "0x7",
+  gasPrice: "0x3b9aca00",
+};
+const RECEIPT = { status: "0x0", gasUsed: "0x5208", effectiveGasPrice: "0x77359400", contractAddress: null };
+const chain = (overrides = {}) => ({
+  eth_chainId: () => "0x1",
+  eth_getTransactionByHash: () => TX,
+  eth_getTransactionReceipt: () => RECEIPT,
+  eth_getBlockByNumber: () => ({ baseFeePerGas: "0x3b9aca00", timestamp: "0x65a4e600" }),
+  eth_call: () => {
+    throw { code: 3, message: "execution reverted: Pausable: paused", data: REVERT };
+  },
+  ...overrides,
+});
+
+test("a failed transaction and its receipt map to txData, with the revert replayed on the parent block", async (t) => {
+  const node = await stubNode(chain());
+  t.after(() => node.close());
+  const txData = await fetchTxDataByHash(HASH, node.url);
+
+  assert.deepStrictEqual(
+    {
+      status: txData.status,
+      network: txData.network,
+      chainId: txData.chainId,
+      blockNumber: txData.blockNumber,
+      to: txData.to,
+      value: txData.value,
+      nonce: txData.nonce,
+      gasUsed: txData.gasUsed,
+      gasLimit: txData.gasLimit,
+      gasPrice: txData.gasPrice,
+      baseFee: txData.baseFee,
+      timestamp: txData.timestamp,
+      inputData: txData.inputData,
+    },
+    {
+      status: "failed",
+      network: "Ethereum Mainnet",
+      chainId: 1,
+      blockNumber: 16,
+      to: TX.to,
+      value: "1.0",
+      nonce: "7",
+      gasUsed: "21000",
+      gasLimit: "100000",
+      gasPrice: "2.0 Gwei",
+      baseFee: "1.0 Gwei",
+      timestamp: "2024-01-15T08:00:00.000Z",
+      inputData: "0xa9059cbb",
+    }
+  );
+  assert.strictEqual(txData.revertData, REVERT);
+  assert.strictEqual(txData.error, "execution reverted: Pausable: paused");
+  // No debug namespace on this node, so no trace
+  assert.strictEqual(txData.trace, undefined);
+
+  const replay = node.calls.find((call) => call.method === "eth_call");
+  assert.strictEqual(replay.params[1], "0xf");
+  assert.deepStrictEqual(replay.params[0], { from: TX.from, to: TX.to, data: TX.input, value: TX.value, gas: TX.gas });
+});
+
+test("a transaction that used its whole limit and replays cleanly ran out of gas", async (t) => {
+  const node = await stubNode(chain({ eth_getTransactionReceipt: () => ({ ...RECEIPT, gasUsed: TX.gas }), eth_call: () => "0x" }));
+  t.after(() => node.close());
+  const txData = await fetchTxDataByHash(HASH, node.url);
+  assert.strictEqual(txData.error, "out of gas");
+  assert.strictEqual(txData.revertData, undefined);
+});
+
+test("unknown and pending transactions are reported", async (t) => {
+  const missing = await stubNode(chain({ eth_getTransactionByHash: () => null, eth_getTransactionReceipt: () => null }));
+  t.after(() => missing.close());
+  await assert.rejects(fetchTxDataByHash(HASH, missing.url), { message: `Transaction ${HASH} not found on ${missing.url}` });
+
+  const pending = await stubNode(chain({ eth_getTransactionByHash: () => ({ ...TX, blockNumber: null }), eth_getTransactionReceipt: () => null }));
+  t.after(() => pending.close());
+  await assert.rejects(fetchTxDataByHash(HASH, pending.url), { message: `Transaction ${HASH} is still pending` });
+});
@@ -0,0 +1,237 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { DEMOS } = require("../demos");
+const { ERROR_PATTERNS } = require("../errorPatterns");
+
+const ADMIN_KEY = "test-admin-key";
+
+const TX = {
+  hash: "0x" + "ab".repeat(32),
+  from: "0x1111111111111111111111111111111111111111",
+  to: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
+  error: "execution reverted",
+  revertReason: "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT",
+};
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// The server reads its configuration at startup, so each test runs its own process
+// with the rules provider and fresh key, diagnosis and job directories
+async function startServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+  const port = await freePort();
+  const env = { ...process.env, PORT: String(port), DIAGNOSIS_PROVIDER: "rules", ADMIN_API_KEY: ADMIN_KEY, LOG_LEVEL: "silent" };
+  ["API_AUTH", "RPC_URL", "EVIDENCE_RPC_URL", "API_DAILY_COST_USD", "API_DAILY_TOKENS"].forEach((name) => delete env[name]);
+  ["API_KEYS_DIR", "DIAGNOSES_DIR", "JOBS_DIR"].forEach((name) => (env[name] = path.join(dir, name.toLowerCase())));
+
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], { env, stdio: ["ignore", "pipe", "inherit"] });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => chunk.toString().includes("Server:") && resolve());
+    child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+
+  const request = async (method, route, { key, body, headers } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(key ? { "X-API-Key": key } : {}), ...headers },
+      body: body && JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = res.headers.get("content-type").includes("json");
+    return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+  };
+  const issueKey = async (fields) => (await request("POST", "/admin/keys", { key: ADMIN_KEY, body: fields })).body.secret;
+  return { request, issueKey };
+}
+
+test("a key with a cost quota may only run priced models", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const limited = await issueKey({ name: "limited", dailyCostQuotaUsd: 1 });
+  const unlimited = await issueKey({ name: "unlimited" });
+  const body = { ...TX, pipeline: { depth: "quick", model: "some-unpriced-model" } };
+
+  const refused = await request("POST", "/diagnose?provider=recorded", { key: limited, body });
+  assert.strictEqual(refused.status, 403);
+  assert.match(refused.body.error, /Model 'some-unpriced-model' has no price/);
+  // Allowed through (the replay then fails, as nothing is recorded for them)
+  const priced = { ...body, pipeline: { depth: "quick", model: "claude-haiku-4-5" } };
+  assert.notStrictEqual((await request("POST", "/diagnose?provider=recorded", { key: limited, body: priced })).status, 403);
+  assert.notStrictEqual((await request("POST", "/diagnose?provider=recorded", { key: unlimited, body })).status, 403);
+
+  // The rules provider runs no model, so any pipeline model is fine
+  const { status, body: diagnosis } = await request("POST", "/diagnose", { key: limited, body });
+  assert.strictEqual(status, 200);
+
+  // A follow-up runs on the diagnosis' model without naming it
+  const followUp = await request("POST", `/diagnoses/${diagnosis.diagnosisId}/messages?provider=recorded`, {
+    key: limited,
+    body: { question: "Why?" },
+  });
+  assert.strictEqual(followUp.status, 403);
+});
+
+test("diagnoses and jobs are only visible to the key that created them", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const alice = await issueKey({ name: "alice" });
+  const bob = await issueKey({ name: "bob" });
+
+  const { body: diagnosis } = await request("POST", "/diagnose", { key: alice, body: TX });
+  const id = diagnosis.diagnosisId;
+  const { body: job } = await request("POST", "/jobs", { key: alice, body: { transactions: [TX] } });
+
+  assert.deepStrictEqual((await request("GET", "/diagnoses", { key: alice })).body.diagnoses.map((d) => d.id), [id]);
+  assert.deepStrictEqual((await request("GET", "/diagnoses", { key: bob })).body.diagnoses, []);
+  assert.deepStrictEqual((await request("GET", "/jobs", { key: bob })).body.jobs, []);
+  assert.strictEqual((await request("GET", `/diagnoses/${id}`, { key: alice })).status, 200);
+  assert.strictEqual((await request("GET", `/diagnoses/${TX.hash}`, { key: alice })).status, 200);
+
+  for (const [method, route, body] of [
+    ["GET", `/diagnoses/${id}`],
+    ["GET", `/diagnoses/${id}/messages`],
+    ["POST", `/diagnoses/${id}/messages`, { question: "Why?" }],
+    ["GET", `/jobs/${job.id}`],
+    ["POST", `/jobs/${job.id}/cancel`],
+  ]) {
+    assert.strictEqual((await request(method, route, { key: bob, body })).status, 403, `${method} ${route}`);
+  }
+  assert.strictEqual((await request("GET", `/diagnoses/${TX.hash}`, { key: bob })).status, 404);
+
+  // An identical request from another key is a diagnosis of its own
+  const { body: bobs } = await request("POST", "/diagnose", { key: bob, body: TX });
+  assert.strictEqual(bobs.cached, false);
+  assert.notStrictEqual(bobs.diagnosisId, id);
+
+  const everything = await request("GET", "/diagnoses", { key: ADMIN_KEY });
+  assert.strictEqual(everything.body.diagnoses.length, 2);
+  assert.strictEqual((await request("GET", `/jobs/${job.id}`, { key: ADMIN_KEY })).status, 200);
+});
+
+test("report pages open by diagnosis id only", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const key = await issueKey({ name: "alice" });
+  const { body: diagnosis } = await request("POST", "/diagnose", { key, body: TX });
+
+  assert.strictEqual((await request("GET", `/diagnoses/${diagnosis.diagnosisId}/report`)).status, 200);
+  assert.strictEqual((await request("GET", `/diagnoses/${TX.hash}/report`)).status, 404);
+});
+
+test("job bodies get MAX_JOB_BODY_SIZE, other bodies MAX_BODY_SIZE", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const key = await issueKey({ name: "alice" });
+  const padding = "x".repeat(11 * 1024 * 1024);
+
+  // Parsed (then refused by validation), not cut off at the 10mb default
+  const job = await request("POST", "/jobs", { key, body: { transactions: [TX], padding } });
+  assert.strictEqual(job.status, 400);
+  assert.match(job.body.error, /padding/);
+
+  const diagnosis = await request("POST", "/diagnose", { key, body: { ...TX, padding } });
+  assert.strictEqual(diagnosis.status, 413);
+  assert.strictEqual(diagnosis.body.error, "Request body is larger than 10mb");
+});
+
+// "event: x\ndata: {...}\n\n" blocks → [{ event, data }]
+const parseEvents = (text) =>
+  text
+    .trim()
+    .split("\n\n")
+    .map((block) => {
+      const [, event, data] = block.match(/^event: (.+)\ndata: (.+)$/);
+      return { event, data: JSON.parse(data) };
+    });
+
+test("a streamed diagnosis sends progress events, then the /diagnose body", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const key = await issueKey({ name: "alice" });
+
+  const { status, body } = await request("POST", "/diagnose/stream", { key, body: TX });
+  assert.strictEqual(status, 200);
+  const events = parseEvents(body);
+  const names = events.map((e) => e.event);
+  assert.strictEqual(names[0], "classification");
+  assert.strictEqual(events[0].data.errorCategory.key, "SLIPPAGE");
+  for (const name of ["diagnosis", "codeFix", "risk"]) assert.ok(names.includes(name), name);
+  assert.ok(names.indexOf("diagnosis") < names.indexOf("risk"));
+
+  const done = events[events.length - 1];
+  assert.strictEqual(done.event, "done");
+  assert.strictEqual(done.data.success, true);
+  assert.strictEqual(done.data.report.rootCause, events.find((e) => e.event === "diagnosis").data.report.rootCause);
+  assert.strictEqual((await request("GET", `/diagnoses/${done.data.diagnosisId}`, { key })).status, 200);
+
+  // Bad requests are refused before the stream opens
+  const invalid = await request("POST", "/diagnose/stream", { key, body: { ...TX, hash: "0x12" } });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.body.error, /hash/);
+});
+
+test("follow-up questions are answered and kept with the diagnosis", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const key = await issueKey({ name: "alice" });
+  const { body: diagnosis } = await request("POST", "/diagnose", { key, body: TX });
+  const route = `/diagnoses/${diagnosis.diagnosisId}/messages`;
+
+  const asked = await request("POST", route, { key, body: { question: "What slippage should I set?" } });
+  assert.strictEqual(asked.status, 200);
+  assert.strictEqual(asked.body.question, "What slippage should I set?");
+  assert.match(asked.body.answer, /slippage/i);
+  await request("POST", route, { key, body: { question: "Should I retry?" } });
+
+  const { body: thread } = await request("GET", route, { key });
+  assert.deepStrictEqual(thread.followUps.map((f) => f.question), ["What slippage should I set?", "Should I retry?"]);
+  assert.strictEqual(thread.followUps[0].answer, asked.body.answer);
+
+  assert.strictEqual((await request("POST", route, { key, body: { question: "" } })).status, 400);
+  const missing = await request("POST", `/diagnoses/00000000-0000-4000-8000-000000000000/messages`, { key, body: { question: "Why?" } });
+  assert.strictEqual(missing.status, 404);
+});
+
+test("request ids are echoed and /metrics counts requests by route pattern", async (t) => {
+  const { request, issueKey } = await startServer(t);
+  const key = await issueKey({ name: "alice" });
+
+  const traced = await request("POST", "/diagnose", { key, body: TX, headers: { "X-Request-Id": "trace-42" } });
+  assert.strictEqual(traced.headers.get("x-request-id"), "trace-42");
+  const generated = await request("GET", "/health", { headers: { "X-Request-Id": "not an id!" } });
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  await request("GET", `/diagnoses/${traced.body.diagnosisId}`, { key });
+
+  const { body: text } = await request("GET", "/metrics");
+  assert.match(text, /defi_agent_http_requests_total\{method="POST",route="\/diagnose",status="200"\} 1\n/);
+  assert.match(text, /defi_agent_http_requests_total\{method="GET",route="\/diagnoses\/:id",status="200"\} 1\n/);
+  assert.match(text, /defi_agent_diagnoses_total\{cached="false",category="SLIPPAGE",provider="rules"\} 1\n/);
+});
+
+test("the web UI's demos and pattern library come from the server without a key", async (t) => {
+  const { request, issueKey } = await startServer(t);
+
+  const demos = await request("GET", "/demos");
+  assert.strictEqual(demos.status, 200);
+  assert.deepStrictEqual(demos.body.demos, DEMOS);
+
+  const { body } = await request("GET", "/patterns");
+  assert.deepStrictEqual(body.patterns.map((p) => p.key), Object.keys(ERROR_PATTERNS));
+  assert.strictEqual(body.patterns.find((p) => p.key === "REVERT_NO_REASON").catchAll, true);
+
+  // The UI classifies through the server's classifier, which needs a key
+  assert.strictEqual((await request("POST", "/classify", { body: DEMOS[1].transaction })).status, 401);
+  const key = await issueKey({ name: "ui" });
+  const classified = await request("POST", "/classify", { key, body: DEMOS[1].transaction });
+  assert.strictEqual(classified.body.category.key, "SLIPPAGE");
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { analyzeSmartAccount, withSmartAccountFields, describeSmartAccount } = require("../smartAccounts");
+const { detectErrorCategory } = require("../agent");
+
+const SENDER = "0x1111111111111111111111111111111111111111";
+const PAYMASTER = "0x2222222222222222222222222222222222222222";
+const TARGET = "0x3333333333333333333333333333333333333333";
+
+const userOperation = {
+  sender: SENDER,
+  nonce: "0x" + ((5n << 64n) | 7n).toString(16),
+  callData: "0xb61d27f6",
+  callGasLimit: "100000",
+  verificationGasLimit: "50000",
+  preVerificationGas: "21000",
+  maxFeePerGas: "10 Gwei",
+  maxPriorityFeePerGas: "1 Gwei",
+  paymasterAndData: PAYMASTER + "ab".repeat(8),
+  signature: "0x" + "11".repeat(65),
+};
+
+test("a v0.6 UserOperation reserves verification gas three times with a paymaster", () => {
+  const summary = analyzeSmartAccount({ chainId: 1, entryPoint: "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789", userOperation });
+  assert.strictEqual(summary.entryPointVersion, "v0.6");
+  assert.strictEqual(summary.paymaster, PAYMASTER);
+  assert.deepStrictEqual([summary.nonceKey, summary.nonceSequence], ["5", "7"]);
+  assert.strictEqual(summary.totalGasLimit, "271000");
+  assert.strictEqual(summary.requiredPrefund, "0.00271 ETH");
+  assert.strictEqual(summary.signatureBytes, 65);
+  assert.strictEqual(summary.deploysAccount, false);
+});
+
+test("v0.7 fields are recognized without a known EntryPoint", () => {
+  const summary = analyzeSmartAccount({
+    userOperation: { sender: SENDER, factory: TARGET, callGasLimit: "1", verificationGasLimit: "1", paymasterVerificationGasLimit: "5" },
+  });
+  assert.strictEqual(summary.entryPointVersion, "v0.7");
+  assert.strictEqual(summary.deploysAccount, true);
+  assert.strictEqual(summary.totalGasLimit, "7");
+  assert.ok(describeSmartAccount(summary).some((fact) => fact.includes(`deployed by this operation through factory ${TARGET}`)));
+  assert.strictEqual(analyzeSmartAccount({ from: SENDER }), null);
+});
+
+test("the standard fields are derived from the UserOperation, explicit ones win", () => {
+  const txData = withSmartAccountFields({ userOperation, gasLimit: "999999" });
+  assert.strictEqual(txData.from, SENDER);
+  assert.strictEqual(txData.to, SENDER);
+  assert.strictEqual(txData.inputData, "0xb61d27f6");
+  assert.strictEqual(txData.gasLimit, "999999");
+  assert.match(txData.contractName, /^ERC-4337 Smart Account/);
+  assert.deepStrictEqual(withSmartAccountFields(txData), txData);
+});
+
+test("a Safe transaction counts signatures and explains safeTxGas", () => {
+  const safeTransaction = {
+    safe: SENDER,
+    to: TARGET,
+    value: "1000000000000000000",
+    data: "0x",
+    operation: 1,
+    safeTxGas: "0",
+    nonce: "12",
+    signatures: "0x" + "22".repeat(130),
+    threshold: 3,
+  };
+  const summary = analyzeSmartAccount({ chainId: 137, safeTransaction });
+  assert.deepStrictEqual([summary.operation, summary.signatureCount, summary.threshold, summary.value], ["DELEGATECALL", 2, 3, "1.0 POL"]);
+
+  const facts = describeSmartAccount(summary);
+  assert.match(facts[1], /^Signatures: 2 \(threshold 3\)/);
+  assert.ok(facts.some((fact) => fact.includes("GS013")));
+  assert.ok(facts.some((fact) => fact.startsWith("DELEGATECALL runs the target's code")));
+
+  const txData = withSmartAccountFields({ chainId: 137, safeTransaction });
+  assert.deepStrictEqual([txData.from, txData.to, txData.value, txData.nonce], [SENDER, TARGET, "0xde0b6b3a7640000", "12"]);
+});
+
+test("EntryPoint and Safe error codes classify as smart-account failures", () => {
+  assert.strictEqual(detectErrorCategory({ userOperation, error: "FailedOp(0, \"AA21 didn't pay prefund\")" }).key, "PREFUND");
+  assert.strictEqual(detectErrorCategory({ error: "execution reverted", revertReason: "GS026" }).key, "SIGNATURE");
+});
@@ -3,7 +3,7 @@
  * This shows how to integrate the agent into your own dApp or tooling
  */
 
-const { diagnoseTxFailure, detectErrorCategory } = require("../src/agent");
+const { diagnoseTxFailure, detectErrorCategory } = require("./agent");
 
 async function runExamples() {
   console.log("═".repeat(65));